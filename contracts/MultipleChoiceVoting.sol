@@ -0,0 +1,462 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./ProposalVoting.sol";
+
+/**
+ * @title MultipleChoiceVoting
+ * @dev Multiple-choice proposals weighted by the GOV voting power of a ProposalVoting deployment
+ * @notice Lets token holders pick one of 2 to 10 labeled options, e.g. a vendor or a budget tier
+ *
+ * DESIGN:
+ * - Voting power, total supply, quorum, the proposal threshold and the voting period bounds
+ *   are all read from ProposalVoting, so delegation and snapshots behave exactly as for
+ *   binary proposals
+ * - Proposals carry no on-chain actions: the winning option is a decision that follow-up
+ *   binary proposals carry out. This keeps queueing and executeProposal binary-only, and
+ *   keeps ProposalVoting under the contract size limit
+ * - The winning share is a governance parameter, changed only by an executed ProposalVoting proposal
+ * - ProposalVoting's emergency pause applies here too: no proposals or votes while it is paused
+ * - The proposalBond, maxActiveProposals and proposalCooldown of ProposalVoting's ProposalBonds
+ *   module apply here too, with this contract's own escrow and per-proposer counters. The proposer
+ *   approves this contract for the bond; finalizeProposal returns it when the proposal succeeds
+ *   and slashes it to the module's treasury when it is defeated
+ */
+contract MultipleChoiceVoting {
+
+    // ============ State Variables ============
+
+    uint256 public constant BASIS_POINTS = 10000; // 100%
+
+    /// @notice Fewest options a proposal can have
+    uint256 public constant MIN_OPTIONS = 2;
+
+    /// @notice Most options a proposal can have
+    uint256 public constant MAX_OPTIONS = 10;
+
+    /// @notice Token and governance contract whose voting power and parameters are used
+    ProposalVoting public immutable governance;
+
+    /// @notice ProposalVoting's bond module, whose bond, limits and treasury are used
+    ProposalBonds public immutable bonds;
+
+    /// @notice Share of all votes cast the leading option needs to win (50% = 5000 basis points)
+    uint256 public winningThreshold = 5000; // 50%
+
+    /// @notice Counter for proposal IDs
+    uint256 public proposalCount;
+
+    // ============ Mappings ============
+
+    /// @notice Mapping of proposal ID to Proposal struct
+    mapping(uint256 => Proposal) private _proposals;
+
+    /// @notice Mapping to track if an address has voted on a proposal (proposalId => voter => hasVoted)
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+
+    /// @notice Option each voter picked (proposalId => voter => option index)
+    mapping(uint256 => mapping(address => uint256)) public optionChoice;
+
+    /// @notice Weight each voter cast on a proposal (proposalId => voter => weight)
+    mapping(uint256 => mapping(address => uint256)) public voteWeight;
+
+    /// @notice Bond held in escrow for a proposal, zero once returned or slashed (proposalId => amount)
+    mapping(uint256 => uint256) public escrowedBond;
+
+    /// @notice Proposals of each address that are neither finalized nor canceled.
+    ///         A proposal past its deadline keeps counting until someone finalizes it
+    mapping(address => uint256) public activeProposalCount;
+
+    /// @notice When each address last created a multiple-choice proposal (proposer => timestamp)
+    mapping(address => uint256) public lastProposalAt;
+
+    // ============ Structs ============
+
+    /// @notice Multiple-choice proposal data; options[i] has tallies[i] votes
+    struct Proposal {
+        uint256 id;
+        string description;
+        address proposer;
+        string[] options;
+        uint256[] tallies;
+        uint256 totalVotes;
+        uint256 createdAt;
+        uint256 snapshotBlock;
+        uint256 deadline;
+        uint256 winningThreshold;
+        uint256 quorumBasisPoints;
+        bool canceled;
+        bool finalized;
+    }
+
+    // ============ Events ============
+
+    /// @notice Emitted when a new multiple-choice proposal is created
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        string description,
+        string[] options,
+        uint256 deadline
+    );
+
+    /// @notice Emitted when a vote is cast for an option
+    event VoteCast(
+        uint256 indexed proposalId,
+        address indexed voter,
+        uint256 option,
+        uint256 weight,
+        string reason
+    );
+
+    /// @notice Emitted when a proposal is canceled by its proposer or the guardian
+    event ProposalCanceled(uint256 indexed proposalId, address indexed canceledBy);
+
+    /// @notice Emitted when a proposal is settled after its deadline
+    event ProposalFinalized(uint256 indexed proposalId, bool succeeded);
+
+    /// @notice Emitted when a proposal's bond is taken from the proposer
+    event BondEscrowed(uint256 indexed proposalId, address indexed proposer, uint256 amount);
+
+    /// @notice Emitted when a proposal's bond is returned to the proposer, or slashed to ProposalBonds' treasury
+    event BondReleased(uint256 indexed proposalId, address indexed recipient, uint256 amount, bool slashed);
+
+    /// @notice Emitted when the winning share is changed
+    event WinningThresholdUpdated(uint256 oldThreshold, uint256 newThreshold);
+
+    // ============ Modifiers ============
+
+    /// @notice Blocks the call while ProposalVoting is paused
+    modifier whenGovernanceNotPaused() {
+        require(!governance.paused(), "Governance is paused");
+        _;
+    }
+
+    /// @notice Restricts to ProposalVoting itself, i.e. calls made by an executed proposal
+    modifier onlyGovernance() {
+        require(msg.sender == address(governance), "Only governance can call");
+        _;
+    }
+
+    /// @notice Checks if proposal exists
+    modifier proposalExists(uint256 _proposalId) {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "Proposal does not exist");
+        _;
+    }
+
+    // ============ Constructor ============
+
+    /**
+     * @param _governance ProposalVoting deployment providing voting power and parameters
+     */
+    constructor(ProposalVoting _governance) {
+        require(address(_governance) != address(0), "Governance cannot be zero address");
+        governance = _governance;
+        bonds = _governance.proposalBonds();
+    }
+
+    // ============ Governance Functions ============
+
+    /**
+     * @notice Updates the share of votes the leading option needs to win (only an executed proposal)
+     * @dev Only affects proposals created after the change
+     * @param _threshold New threshold in basis points (10000 = 100%)
+     */
+    function setWinningThreshold(uint256 _threshold) external onlyGovernance {
+        require(_threshold > 0 && _threshold <= BASIS_POINTS, "Invalid winning threshold");
+        emit WinningThresholdUpdated(winningThreshold, _threshold);
+        winningThreshold = _threshold;
+    }
+
+    // ============ Proposal Functions ============
+
+    /**
+     * @notice Creates a multiple-choice proposal
+     * @dev Same rules as ProposalVoting.createProposal: voting power is snapshotted at the block
+     *      before creation, the proposer needs minTokensToPropose at that block and the voting
+     *      period must be within ProposalVoting's bounds. Quorum and the winning share are frozen now.
+     *      The proposer must have approved this contract for ProposalBonds' proposalBond
+     * @param _description Text description of the proposal
+     * @param _options Option labels, between MIN_OPTIONS and MAX_OPTIONS of them
+     * @param _votingPeriod Duration of voting period in seconds
+     * @return ID of the new proposal
+     */
+    function createProposal(string memory _description, string[] memory _options, uint256 _votingPeriod)
+        external whenGovernanceNotPaused returns (uint256)
+    {
+        require(
+            governance.getPastVotes(msg.sender, block.number - 1) >= governance.minTokensToPropose(),
+            "Insufficient tokens to create proposal"
+        );
+        require(bytes(_description).length > 0, "Description cannot be empty");
+        require(_options.length >= MIN_OPTIONS && _options.length <= MAX_OPTIONS, "Invalid number of options");
+        require(_votingPeriod >= governance.minVotingPeriod(), "Voting period below minimum");
+        require(_votingPeriod <= governance.maxVotingPeriod(), "Voting period above maximum");
+        uint256 maxActive = bonds.maxActiveProposals();
+        require(maxActive == 0 || activeProposalCount[msg.sender] < maxActive, "Too many active proposals");
+        require(block.timestamp >= nextProposalTime(msg.sender), "Proposal cooldown active");
+
+        proposalCount++;
+        uint256 deadline = block.timestamp + _votingPeriod;
+
+        Proposal storage proposal = _proposals[proposalCount];
+        proposal.id = proposalCount;
+        proposal.description = _description;
+        proposal.proposer = msg.sender;
+        proposal.createdAt = block.timestamp;
+        proposal.snapshotBlock = block.number - 1;
+        proposal.deadline = deadline;
+        proposal.winningThreshold = winningThreshold;
+        proposal.quorumBasisPoints = governance.quorumBasisPoints();
+
+        for (uint256 i = 0; i < _options.length; i++) {
+            require(bytes(_options[i]).length > 0, "Option label cannot be empty");
+            proposal.options.push(_options[i]);
+            proposal.tallies.push(0);
+        }
+        activeProposalCount[msg.sender]++;
+        lastProposalAt[msg.sender] = block.timestamp;
+
+        emit ProposalCreated(proposalCount, msg.sender, _description, _options, deadline);
+
+        uint256 bond = bonds.proposalBond();
+        if (bond > 0) {
+            SafeERC20.safeTransferFrom(governance, msg.sender, address(this), bond);
+            escrowedBond[proposalCount] = bond;
+            emit BondEscrowed(proposalCount, msg.sender, bond);
+        }
+
+        return proposalCount;
+    }
+
+    /**
+     * @notice Casts a vote for one option
+     * @dev Vote weight is the delegated voting power at the proposal's snapshot block
+     * @param _proposalId ID of the proposal to vote on
+     * @param _option Index of the chosen option
+     */
+    function vote(uint256 _proposalId, uint256 _option) external {
+        _castVote(_proposalId, msg.sender, _option, "");
+    }
+
+    /**
+     * @notice Casts a vote for one option with an explanation
+     * @param _proposalId ID of the proposal to vote on
+     * @param _option Index of the chosen option
+     * @param _reason Free-form reason, emitted in VoteCast
+     */
+    function voteWithReason(uint256 _proposalId, uint256 _option, string calldata _reason) external {
+        _castVote(_proposalId, msg.sender, _option, _reason);
+    }
+
+    /**
+     * @notice Cancels a proposal while voting is still open
+     * @dev Allowed for the proposer and for ProposalVoting's guardian. The bond goes back to a
+     *      proposer withdrawing the proposal before any vote and is slashed otherwise
+     * @param _proposalId ID of the proposal to cancel
+     */
+    function cancelProposal(uint256 _proposalId) external proposalExists(_proposalId) {
+        Proposal storage proposal = _proposals[_proposalId];
+
+        require(!proposal.canceled && block.timestamp <= proposal.deadline, "Proposal cannot be canceled");
+        require(
+            msg.sender == proposal.proposer || msg.sender == governance.guardian(),
+            "Only proposer or guardian can cancel"
+        );
+
+        proposal.canceled = true;
+        activeProposalCount[proposal.proposer]--;
+        _releaseBond(_proposalId, msg.sender != proposal.proposer || proposal.totalVotes > 0);
+
+        emit ProposalCanceled(_proposalId, msg.sender);
+    }
+
+    /**
+     * @notice Settles a proposal once voting has ended, freeing the proposer's active slot
+     * @dev Anyone can call it. The bond is returned if the proposal Succeeded and slashed to
+     *      ProposalBonds' treasury if it was Defeated
+     * @param _proposalId ID of the proposal to finalize
+     */
+    function finalizeProposal(uint256 _proposalId) external whenGovernanceNotPaused proposalExists(_proposalId) {
+        Proposal storage proposal = _proposals[_proposalId];
+
+        require(!proposal.canceled && !proposal.finalized, "Proposal already settled");
+        require(block.timestamp > proposal.deadline, "Voting period has not ended");
+
+        bool succeeded = _succeeded(_proposalId);
+        proposal.finalized = true;
+        activeProposalCount[proposal.proposer]--;
+        _releaseBond(_proposalId, !succeeded);
+
+        emit ProposalFinalized(_proposalId, succeeded);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Gets detailed information about a proposal, including its options and tallies
+     * @param _proposalId ID of the proposal
+     * @return Proposal struct
+     */
+    function getProposal(uint256 _proposalId) external view proposalExists(_proposalId) returns (Proposal memory) {
+        return _proposals[_proposalId];
+    }
+
+    /**
+     * @notice Gets each option's label and the votes cast for it
+     * @param _proposalId ID of the proposal
+     * @return labels Option labels, in index order
+     * @return tallies Votes for each option, in the same order
+     */
+    function getOptionTallies(uint256 _proposalId) external view proposalExists(_proposalId)
+        returns (string[] memory labels, uint256[] memory tallies)
+    {
+        Proposal storage proposal = _proposals[_proposalId];
+        return (proposal.options, proposal.tallies);
+    }
+
+    /**
+     * @notice Gets the option currently in the lead and whether it wins
+     * @dev Based on the tallies alone; state() also requires quorum. When several options share
+     *      the most votes there is no winner, whatever the threshold, and option is the lowest
+     *      of the tied indexes
+     * @param _proposalId ID of the proposal
+     * @return hasWinner True if one option leads alone and holds at least the winning share of all votes
+     * @return option Index of the leading option (0 when no votes were cast)
+     * @return tied True if two or more options share the most votes
+     */
+    function getWinningOption(uint256 _proposalId) external view proposalExists(_proposalId)
+        returns (bool hasWinner, uint256 option, bool tied)
+    {
+        return _winningOption(_proposalId);
+    }
+
+    /**
+     * @notice Gets the earliest time an address can create its next multiple-choice proposal
+     * @dev Uses ProposalBonds' proposalCooldown, counted from this contract's own proposals
+     * @param _proposer Address to check
+     * @return Timestamp from which the proposer is out of cooldown, 0 if it never proposed here
+     */
+    function nextProposalTime(address _proposer) public view returns (uint256) {
+        uint256 last = lastProposalAt[_proposer];
+        return last == 0 ? 0 : last + bonds.proposalCooldown();
+    }
+
+    /**
+     * @notice Computes the current lifecycle state of a proposal
+     * @dev Returns Active while voting is open, then Succeeded if quorum was reached and an
+     *      option won, otherwise Defeated (ties included), or Canceled
+     * @param _proposalId ID of the proposal
+     * @return Current state, using ProposalVoting's ProposalState values
+     */
+    function state(uint256 _proposalId) external view proposalExists(_proposalId) returns (ProposalVoting.ProposalState) {
+        Proposal storage proposal = _proposals[_proposalId];
+
+        if (proposal.canceled) {
+            return ProposalVoting.ProposalState.Canceled;
+        }
+        if (block.timestamp <= proposal.deadline) {
+            return ProposalVoting.ProposalState.Active;
+        }
+
+        return _succeeded(_proposalId)
+            ? ProposalVoting.ProposalState.Succeeded
+            : ProposalVoting.ProposalState.Defeated;
+    }
+
+    /**
+     * @notice Gets the number of votes a proposal needs to reach quorum
+     * @dev Based on total supply at the proposal's snapshot block, so later mints or burns don't move it
+     * @param _proposalId ID of the proposal
+     * @return Votes required for quorum
+     */
+    function quorum(uint256 _proposalId) public view proposalExists(_proposalId) returns (uint256) {
+        Proposal storage proposal = _proposals[_proposalId];
+        return (governance.getPastTotalSupply(proposal.snapshotBlock) * proposal.quorumBasisPoints) / BASIS_POINTS;
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev Records a vote for an option, weighted by the voter's delegated voting power at the proposal snapshot
+     */
+    function _castVote(uint256 _proposalId, address _voter, uint256 _option, string memory _reason) internal
+        whenGovernanceNotPaused
+        proposalExists(_proposalId)
+    {
+        Proposal storage proposal = _proposals[_proposalId];
+        require(!proposal.canceled, "Proposal is not active");
+        require(block.timestamp <= proposal.deadline, "Voting period has ended");
+        require(_option < proposal.options.length, "Invalid option");
+
+        uint256 weight = governance.getPastVotes(_voter, proposal.snapshotBlock);
+        require(weight > 0, "Must have tokens to vote");
+        require(!hasVoted[_proposalId][_voter], "Already voted on this proposal");
+
+        hasVoted[_proposalId][_voter] = true;
+        optionChoice[_proposalId][_voter] = _option;
+        voteWeight[_proposalId][_voter] = weight;
+
+        proposal.tallies[_option] += weight;
+        proposal.totalVotes += weight;
+
+        emit VoteCast(_proposalId, _voter, _option, weight, _reason);
+    }
+
+    /**
+     * @dev Checks whether the votes cast reach the proposal's quorum
+     */
+    function _quorumReached(uint256 _proposalId) internal view returns (bool) {
+        uint256 totalVotes = _proposals[_proposalId].totalVotes;
+        return totalVotes > 0 && totalVotes >= quorum(_proposalId);
+    }
+
+    /**
+     * @dev Checks whether the votes cast reach quorum and an option wins
+     */
+    function _succeeded(uint256 _proposalId) internal view returns (bool) {
+        (bool hasWinner, , ) = _winningOption(_proposalId);
+        return _quorumReached(_proposalId) && hasWinner;
+    }
+
+    /**
+     * @dev Pays a proposal's escrowed bond, if any, back to the proposer or to ProposalBonds' treasury when slashed
+     */
+    function _releaseBond(uint256 _proposalId, bool _slash) internal {
+        uint256 bond = escrowedBond[_proposalId];
+        if (bond == 0) {
+            return;
+        }
+
+        address recipient = _slash ? bonds.treasury() : _proposals[_proposalId].proposer;
+        delete escrowedBond[_proposalId];
+        SafeERC20.safeTransfer(governance, recipient, bond);
+
+        emit BondReleased(_proposalId, recipient, bond, _slash);
+    }
+
+    /**
+     * @dev Finds the leading option, whether it shares the lead, and whether it holds the winning share
+     */
+    function _winningOption(uint256 _proposalId) internal view returns (bool hasWinner, uint256 option, bool tied) {
+        Proposal storage proposal = _proposals[_proposalId];
+        if (proposal.totalVotes == 0) {
+            return (false, 0, false);
+        }
+
+        uint256 leadingVotes = proposal.tallies[0];
+        for (uint256 i = 1; i < proposal.tallies.length; i++) {
+            uint256 votes = proposal.tallies[i];
+            if (votes > leadingVotes) {
+                leadingVotes = votes;
+                option = i;
+                tied = false;
+            } else if (votes == leadingVotes) {
+                tied = true;
+            }
+        }
+
+        hasWinner = !tied && (leadingVotes * BASIS_POINTS) / proposal.totalVotes >= proposal.winningThreshold;
+    }
+}
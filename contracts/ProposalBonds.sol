@@ -0,0 +1,227 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./ProposalVoting.sol";
+
+/**
+ * @title ProposalBonds
+ * @dev Proposal bonds and per-proposer limits for the ProposalVoting deployment that created it
+ * @notice Escrows a GOV bond for each new proposal, caps how many Active proposals an address
+ *         can have and enforces a cooldown between its proposals
+ *
+ * DESIGN:
+ * - ProposalVoting deploys this module in its constructor and calls the hooks below as
+ *   proposals are created, queued, canceled and executed. Keeping bonds and limits here keeps
+ *   ProposalVoting under the contract size limit
+ * - ProposalVoting is the GOV token, so it moves each bond here without an approval
+ * - Executed proposals call in as ProposalVoting too, so the hooks check the proposal's state:
+ *   an action can't record a proposal twice or release a bond before the proposal is settled
+ * - MultipleChoiceVoting applies the same bond and limits, with its own escrow and counters
+ */
+contract ProposalBonds {
+
+    // ============ State Variables ============
+
+    /// @notice ProposalVoting deployment whose proposals are bonded and limited
+    ProposalVoting public immutable governance;
+
+    /// @notice GOV escrowed from the proposer's balance for each new proposal (0 = no bond)
+    uint256 public proposalBond;
+
+    /// @notice Address that receives the bonds of proposals that fail, miss quorum or are vetoed (initially ProposalVoting)
+    address public treasury;
+
+    /// @notice Most proposals an address can have Active at the same time (0 = no limit)
+    uint256 public maxActiveProposals;
+
+    /// @notice Minimum time between two proposals from the same address (0 = no cooldown)
+    uint256 public proposalCooldown;
+
+    // ============ Mappings ============
+
+    /// @notice Bond held in escrow for a proposal, zero once returned or slashed (proposalId => amount)
+    mapping(uint256 => uint256) public escrowedBond;
+
+    /// @notice Proposals of each address that are still Active, i.e. not yet queued, finalized or canceled.
+    ///         A proposal past its deadline keeps counting until someone queues or finalizes it
+    mapping(address => uint256) public activeProposalCount;
+
+    /// @notice When each address last created a proposal (proposer => timestamp)
+    mapping(address => uint256) public lastProposalAt;
+
+    /// @notice Proposer of each recorded proposal (proposalId => proposer)
+    mapping(uint256 => address) private _proposers;
+
+    /// @notice Whether a proposal still counts towards its proposer's activeProposalCount
+    mapping(uint256 => bool) private _counted;
+
+    // ============ Events ============
+
+    /// @notice Emitted when the proposal bond is changed
+    event ProposalBondUpdated(uint256 oldBond, uint256 newBond);
+
+    /// @notice Emitted when the treasury receiving slashed bonds is changed
+    event TreasuryUpdated(address oldTreasury, address newTreasury);
+
+    /// @notice Emitted when the per-proposer active proposal cap or cooldown is changed
+    event ProposalLimitsUpdated(uint256 oldMaxActive, uint256 oldCooldown, uint256 newMaxActive, uint256 newCooldown);
+
+    /// @notice Emitted when a proposal's bond is taken from the proposer
+    event BondEscrowed(uint256 indexed proposalId, address indexed proposer, uint256 amount);
+
+    /// @notice Emitted when a proposal's bond is returned to the proposer, or slashed to the treasury
+    event BondReleased(uint256 indexed proposalId, address indexed recipient, uint256 amount, bool slashed);
+
+    // ============ Modifiers ============
+
+    /// @notice Restricts to ProposalVoting itself, i.e. its hooks and calls made by an executed proposal
+    modifier onlyGovernance() {
+        require(msg.sender == address(governance), "Only governance can call");
+        _;
+    }
+
+    /// @notice Restricts to ProposalVoting's parameter admin or to ProposalVoting itself
+    modifier onlyParameterAdmin() {
+        require(
+            msg.sender == governance.parameterAdmin() || msg.sender == address(governance),
+            "Caller does not have the required role"
+        );
+        _;
+    }
+
+    // ============ Constructor ============
+
+    /**
+     * @param _governance ProposalVoting deployment creating this module
+     */
+    constructor(ProposalVoting _governance) {
+        governance = _governance;
+        treasury = address(_governance);
+    }
+
+    // ============ Parameter Functions ============
+
+    /**
+     * @notice Updates the GOV bond taken from proposers (only the parameter admin or an executed proposal)
+     * @dev Proposals keep the bond they were created with
+     * @param _bond New bond (in wei, 18 decimals), 0 to create proposals without a bond
+     */
+    function setProposalBond(uint256 _bond) external onlyParameterAdmin {
+        emit ProposalBondUpdated(proposalBond, _bond);
+        proposalBond = _bond;
+    }
+
+    /**
+     * @notice Updates how many Active proposals an address may have and how often it may propose
+     *         (only the parameter admin or an executed proposal)
+     * @dev Proposals past their deadline count towards the cap until they are queued or finalized,
+     *      which anyone can do, so a proposer can free their own slots
+     * @param _maxActive New cap on concurrently Active proposals per proposer, 0 for no cap
+     * @param _cooldown New minimum time in seconds between two proposals from the same address
+     */
+    function setProposalLimits(uint256 _maxActive, uint256 _cooldown) external onlyParameterAdmin {
+        emit ProposalLimitsUpdated(maxActiveProposals, proposalCooldown, _maxActive, _cooldown);
+        maxActiveProposals = _maxActive;
+        proposalCooldown = _cooldown;
+    }
+
+    /**
+     * @notice Updates the address that receives slashed bonds (only an executed proposal)
+     * @param _treasury New treasury, or ProposalVoting to keep slashed bonds under governance
+     */
+    function setTreasury(address _treasury) external onlyGovernance {
+        require(_treasury != address(0), "Treasury cannot be zero address");
+        emit TreasuryUpdated(treasury, _treasury);
+        treasury = _treasury;
+    }
+
+    // ============ Hooks ============
+
+    /**
+     * @notice Checks the proposer's limits and records a proposal ProposalVoting is creating
+     * @dev ProposalVoting moves the returned bond here in the same transaction. Only the newest
+     *      proposal can be recorded, and only once
+     * @param _proposalId ID of the new proposal
+     * @param _proposer Address creating the proposal
+     * @return bond GOV to escrow for the proposal
+     */
+    function onProposalCreated(uint256 _proposalId, address _proposer) external onlyGovernance returns (uint256 bond) {
+        require(
+            _proposalId == governance.proposalCount() && _proposers[_proposalId] == address(0),
+            "Proposal already recorded"
+        );
+        require(maxActiveProposals == 0 || activeProposalCount[_proposer] < maxActiveProposals, "Too many active proposals");
+        require(block.timestamp >= nextProposalTime(_proposer), "Proposal cooldown active");
+
+        _proposers[_proposalId] = _proposer;
+        _counted[_proposalId] = true;
+        activeProposalCount[_proposer]++;
+        lastProposalAt[_proposer] = block.timestamp;
+
+        bond = proposalBond;
+        if (bond > 0) {
+            escrowedBond[_proposalId] = bond;
+            emit BondEscrowed(_proposalId, _proposer, bond);
+        }
+    }
+
+    /**
+     * @notice Frees a proposal's slot in its proposer's activeProposalCount once voting on it is over
+     * @dev Called by ProposalVoting when a proposal is queued; does nothing if the slot was already freed
+     * @param _proposalId ID of the proposal
+     */
+    function onProposalClosed(uint256 _proposalId) public onlyGovernance {
+        if (!_counted[_proposalId]) {
+            return;
+        }
+        require(governance.state(_proposalId) != ProposalVoting.ProposalState.Active, "Proposal is still active");
+
+        _counted[_proposalId] = false;
+        activeProposalCount[_proposers[_proposalId]]--;
+    }
+
+    /**
+     * @notice Frees a settled proposal's slot and pays its bond, if any, back to the proposer or to the treasury when slashed
+     * @dev Called by ProposalVoting when a proposal is canceled, finalized, executed or expires.
+     *      A bond can only be slashed once the proposal is Canceled or Defeated, and only returned
+     *      once it is Canceled, Executed or Expired
+     * @param _proposalId ID of the proposal
+     * @param _slash True to send the bond to the treasury, false to return it to the proposer
+     */
+    function onProposalSettled(uint256 _proposalId, bool _slash) external onlyGovernance {
+        onProposalClosed(_proposalId);
+
+        uint256 bond = escrowedBond[_proposalId];
+        if (bond == 0) {
+            return;
+        }
+
+        ProposalVoting.ProposalState state = governance.state(_proposalId);
+        require(
+            state == ProposalVoting.ProposalState.Canceled || (_slash
+                ? state == ProposalVoting.ProposalState.Defeated
+                : state == ProposalVoting.ProposalState.Executed || state == ProposalVoting.ProposalState.Expired),
+            "Proposal is not settled"
+        );
+
+        address recipient = _slash ? treasury : _proposers[_proposalId];
+        delete escrowedBond[_proposalId];
+        SafeERC20.safeTransfer(governance, recipient, bond);
+
+        emit BondReleased(_proposalId, recipient, bond, _slash);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Gets the earliest time an address can create its next proposal under the cooldown
+     * @dev Does not account for maxActiveProposals; compare activeProposalCount for that
+     * @param _proposer Address to check
+     * @return Timestamp from which the proposer is out of cooldown, 0 if it never proposed
+     */
+    function nextProposalTime(address _proposer) public view returns (uint256) {
+        uint256 last = lastProposalAt[_proposer];
+        return last == 0 ? 0 : last + proposalCooldown;
+    }
+}
@@ -2,7 +2,13 @@
 pragma solidity ^0.8.27;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./ProposalBonds.sol";
 
 /**
  * @title ProposalVoting
@@ -11,19 +17,75 @@ import "@openzeppelin/contracts/access/Ownable.sol";
  * 
  * OPENZEPPELIN INTEGRATION:
  * - Inherits from ERC20 for standardized token functionality
- * - Inherits from Ownable for access control
+ * - Inherits from ERC20Votes for delegation and per-block voting power checkpoints
+ * - Inherits from EIP712 so delegateBySig and voteBySig can verify typed-data signatures
+ * - Inherits from Pausable for the guardian's emergency stop on proposals and voting
  * - Uses secure transfer mechanisms from OpenZeppelin
+ * - Uses Address.verifyCallResult to bubble up reverts from proposal actions
+ * - Uses ECDSA to recover the signer of ballots submitted through voteBySig
+ * - Uses Math.sqrt to compute vote weights on quadratic proposals
+ *
+ * Proposal bonds and the per-proposer limits live in the ProposalBonds module this contract
+ * deploys, and the paginated enumeration views in ProposalVotingLens, which keeps it under
+ * the contract size limit
  */
-contract ProposalVoting is ERC20, Ownable {
+contract ProposalVoting is ERC20, ERC20Votes, Pausable {
     
     // ============ State Variables ============
     
-    /// @notice Minimum token balance required to create a proposal
-    uint256 public constant MIN_TOKENS_TO_PROPOSE = 100 * 10**18; // 100 tokens with 18 decimals
+    uint256 public constant BASIS_POINTS = 10000; // 100%
+    
+    /// @notice EIP-712 typehash for signed ballots submitted through voteBySig
+    bytes32 public constant BALLOT_TYPEHASH =
+        keccak256("Ballot(uint256 proposalId,uint8 support,address voter,uint256 nonce,uint256 expiry)");
+    
+    /// @notice Window after a queued proposal's ETA during which it can still be executed
+    uint256 public constant GRACE_PERIOD = 14 days;
+    
+    /// @notice Upper bound for the configurable timelock delay
+    uint256 public constant MAX_TIMELOCK_DELAY = 30 days;
+    
+    /// @notice Longest title (in bytes) a proposal with an off-chain body can have
+    uint256 public constant MAX_TITLE_LENGTH = 256;
+    
+    // Governance parameters: changed only through setters, and frozen into each proposal at creation
+    
+    /// @notice Minimum delegated voting power required to create a proposal
+    uint256 public minTokensToPropose = 100 * 10**18; // 100 tokens with 18 decimals
     
     /// @notice Voting threshold percentage (50% = 5000 basis points)
-    uint256 public constant VOTING_THRESHOLD = 5000; // 50%
-    uint256 public constant BASIS_POINTS = 10000; // 100%
+    uint256 public votingThreshold = 5000; // 50%
+    
+    /// @notice Shortest voting period a proposal can be created with
+    uint256 public minVotingPeriod = 60;
+    
+    /// @notice Longest voting period a proposal can be created with
+    uint256 public maxVotingPeriod = 30 days;
+    
+    /// @notice Minimum time between queueing a passed proposal and executing it
+    uint256 public timelockDelay = 1 days;
+    
+    /// @notice Share of total supply (at the proposal snapshot) that must vote for a result to count (4% = 400 basis points)
+    uint256 public quorumBasisPoints = 400;
+    
+    /// @notice Longest vote lock window a proposal can be created with
+    uint256 public maxVoteLockWindow = 1 days;
+    
+    // Role holders: each role has at most one holder, who can transfer or renounce it.
+    // An executed proposal can act as any role, and reassign it
+    
+    /// @notice Address allowed to mint new tokens
+    address public minter;
+    
+    /// @notice Address allowed to cancel any proposal before it is executed, and to pause and unpause
+    address public guardian;
+    
+    /// @notice Address allowed to change the timelock delay, quorum and maximum vote lock window here, and the
+    ///         proposal bond and proposal limits in ProposalBonds
+    address public parameterAdmin;
+    
+    /// @notice Module that escrows proposal bonds and enforces the per-proposer limits, deployed with this contract
+    ProposalBonds public immutable proposalBonds;
     
     /// @notice Counter for proposal IDs
     uint256 public proposalCount;
@@ -36,8 +98,24 @@ contract ProposalVoting is ERC20, Ownable {
     /// @notice Mapping to track if an address has voted on a proposal (proposalId => voter => hasVoted)
     mapping(uint256 => mapping(address => bool)) public hasVoted;
     
-    /// @notice Mapping to track vote choice (proposalId => voter => votedYes)
-    mapping(uint256 => mapping(address => bool)) public voteChoice;
+    /// @notice Mapping to track vote choice (proposalId => voter => support)
+    mapping(uint256 => mapping(address => VoteType)) public voteChoice;
+    
+    /// @notice Hash of the off-chain document describing a proposal, or zero for plain proposals
+    /// @dev keccak256 of the document bytes, or the sha256 digest inside its IPFS CID
+    mapping(uint256 => bytes32) public proposalContentHash;
+    
+    /// @notice Weight each voter cast on a proposal (proposalId => voter => weight)
+    mapping(uint256 => mapping(address => uint256)) public voteWeight;
+    
+    /// @notice On-chain calls attached to a proposal (proposalId => actions)
+    mapping(uint256 => ProposalAction[]) private _proposalActions;
+    
+    /// @notice Voters of each proposal in the order they voted (proposalId => voters)
+    mapping(uint256 => address[]) public voters;
+    
+    /// @notice IDs of the proposals each address created (proposer => proposal IDs)
+    mapping(address => uint256[]) private _proposalsByProposer;
     
     // ============ Structs ============
     
@@ -48,17 +126,80 @@ contract ProposalVoting is ERC20, Ownable {
         address proposer;
         uint256 yesVotes;
         uint256 noVotes;
+        uint256 abstainVotes;
         uint256 createdAt;
+        uint256 snapshotBlock;
         uint256 deadline;
+        uint256 eta;
         bool executed;
         ProposalStatus status;
+        ProposalParams params;
+        VotingMode votingMode;
+        uint256 votedTokens;
+    }
+    
+    /// @notice Governance parameters frozen into a proposal when it is created, with the vote lock window its proposer chose
+    struct ProposalParams {
+        uint256 votingThreshold;
+        uint256 quorumBasisPoints;
+        uint256 timelockDelay;
+        uint256 voteLockWindow;
+    }
+    
+    /// @notice A call performed when a passed proposal is executed
+    struct ProposalAction {
+        address target;
+        uint256 value;
+        bytes data;
+    }
+    
+    /// @notice Privileged roles, each held by a single address (see roleHolder)
+    enum Role {
+        Minter,
+        Guardian,
+        ParameterAdmin
+    }
+    
+    /// @notice Enum for vote support (Against = no, For = yes)
+    enum VoteType {
+        Against,
+        For,
+        Abstain
+    }
+    
+    /// @notice How a voter's tokens turn into votes on a proposal
+    /// @dev Quadratic weights are sqrt(tokens * 1e18), so they stay in token units: 1 GOV
+    ///      gives 1 vote, 100 GOV give 10 votes and 10,000 GOV give 100 votes
+    enum VotingMode {
+        Linear,
+        Quadratic
     }
     
     /// @notice Enum for proposal status
+    /// @dev Passed is no longer assigned (passed proposals move to Queued) but keeps its
+    ///      position so the numeric values of the other statuses stay stable
     enum ProposalStatus {
         Active,
         Passed,
         Failed,
+        Executed,
+        Queued,
+        Expired,
+        DefeatedQuorum,
+        Canceled
+    }
+    
+    /// @notice Lifecycle state computed from the stored status, the clock and the tallies (see state())
+    /// @dev Pending is reserved for a future voting delay: voting opens in the block a proposal is
+    ///      created, so state() does not currently return it
+    enum ProposalState {
+        Pending,
+        Active,
+        Canceled,
+        Defeated,
+        Succeeded,
+        Queued,
+        Expired,
         Executed
     }
     
@@ -72,22 +213,87 @@ contract ProposalVoting is ERC20, Ownable {
         uint256 deadline
     );
     
+    /// @notice Emitted after ProposalCreated when the proposal's body lives off-chain
+    event ProposalContentHashSet(uint256 indexed proposalId, bytes32 contentHash);
+    
     /// @notice Emitted when a vote is cast
     event VoteCast(
         uint256 indexed proposalId,
         address indexed voter,
-        bool support,
-        uint256 weight
+        VoteType support,
+        uint256 weight,
+        string reason
+    );
+    
+    /// @notice Emitted when a voter moves their vote to another choice; the weight is unchanged
+    event VoteChanged(
+        uint256 indexed proposalId,
+        address indexed voter,
+        VoteType oldSupport,
+        VoteType newSupport,
+        uint256 weight,
+        string reason
     );
     
+    /// @notice Emitted when a passed proposal is queued in the timelock
+    event ProposalQueued(uint256 indexed proposalId, uint256 eta);
+    
     /// @notice Emitted when a proposal is executed
     event ProposalExecuted(uint256 indexed proposalId, bool passed);
     
+    /// @notice Emitted when a queued proposal was not executed before its grace period ran out
+    event ProposalExpired(uint256 indexed proposalId);
+    
+    /// @notice Emitted when a proposal is canceled by its proposer or the guardian
+    event ProposalCanceled(uint256 indexed proposalId, address indexed canceledBy);
+    
+    /// @notice Emitted when a role is assigned, transferred or renounced (newHolder is zero)
+    event RoleTransferred(Role indexed role, address indexed previousHolder, address indexed newHolder);
+    
+    /// @notice Emitted when the minimum voting power to propose is changed
+    event MinTokensToProposeUpdated(uint256 oldMinTokens, uint256 newMinTokens);
+    
+    /// @notice Emitted when the voting threshold is changed
+    event VotingThresholdUpdated(uint256 oldThreshold, uint256 newThreshold);
+    
+    /// @notice Emitted when the allowed voting period range is changed
+    event VotingPeriodBoundsUpdated(uint256 oldMinPeriod, uint256 oldMaxPeriod, uint256 newMinPeriod, uint256 newMaxPeriod);
+    
+    /// @notice Emitted when the timelock delay is changed
+    event TimelockDelayUpdated(uint256 oldDelay, uint256 newDelay);
+    
+    /// @notice Emitted when the quorum is changed
+    event QuorumUpdated(uint256 oldQuorumBasisPoints, uint256 newQuorumBasisPoints);
+    
+    /// @notice Emitted when the maximum vote lock window is changed
+    event MaxVoteLockWindowUpdated(uint256 oldMaxWindow, uint256 newMaxWindow);
+    
+    /// @notice Emitted for each action call made while executing a passed proposal
+    event ProposalActionExecuted(
+        uint256 indexed proposalId,
+        uint256 indexed actionIndex,
+        address target,
+        uint256 value,
+        bytes returnData
+    );
+    
     // ============ Modifiers ============
     
+    /// @notice Restricts to the holder of a role or to the contract itself (i.e. an executed proposal)
+    modifier onlyRole(Role _role) {
+        require(msg.sender == roleHolder(_role) || msg.sender == address(this), "Caller does not have the required role");
+        _;
+    }
+    
+    /// @notice Restricts to the contract itself, i.e. calls made by an executed proposal
+    modifier onlyGovernance() {
+        require(msg.sender == address(this), "Only governance can call");
+        _;
+    }
+    
     /// @notice Checks if proposal exists
     modifier proposalExists(uint256 _proposalId) {
-        require(_proposalId > 0 && _proposalId <= proposalCount, "Proposal does not exist");
+        _requireProposalExists(_proposalId);
         _;
     }
     
@@ -106,26 +312,155 @@ contract ProposalVoting is ERC20, Ownable {
      * 
      * OPENZEPPELIN USAGE:
      * - ERC20("GovernanceToken", "GOV") sets token name and symbol
-     * - Ownable(msg.sender) sets contract deployer as owner
+     * - EIP712("GovernanceToken", "1") sets the signing domain used by delegateBySig
      * - _mint() uses OpenZeppelin's secure minting function
      */
-    constructor() ERC20("GovernanceToken", "GOV") Ownable(msg.sender) {
-        // Mint initial supply to owner (10,000 tokens with 18 decimals)
+    constructor() ERC20("GovernanceToken", "GOV") EIP712("GovernanceToken", "1") {
+        // Mint initial supply to the deployer (10,000 tokens with 18 decimals)
         _mint(msg.sender, 10000 * 10**18);
+        
+        // Deployer starts with every role until they hand them over
+        _setRole(Role.Minter, msg.sender);
+        _setRole(Role.Guardian, msg.sender);
+        _setRole(Role.ParameterAdmin, msg.sender);
+        
+        proposalBonds = new ProposalBonds(this);
     }
     
     // ============ Token Functions (Extended from ERC20) ============
     
     /**
-     * @notice Mints new voting tokens (only owner)
+     * @notice Mints new voting tokens (only the minter or an executed proposal)
      * @dev Uses OpenZeppelin's _mint function with built-in security checks
      * @param _to Address to receive tokens
      * @param _amount Amount of tokens to mint (in wei, 18 decimals)
      */
-    function mint(address _to, uint256 _amount) external onlyOwner {
+    function mint(address _to, uint256 _amount) external onlyRole(Role.Minter) {
         _mint(_to, _amount);
     }
     
+    // ============ Role Functions ============
+    
+    /**
+     * @notice Gets the current holder of a role
+     * @param _role Role to look up
+     * @return Holder address, or zero if the role was renounced
+     */
+    function roleHolder(Role _role) public view returns (address) {
+        if (_role == Role.Minter) {
+            return minter;
+        }
+        return _role == Role.Guardian ? guardian : parameterAdmin;
+    }
+    
+    /**
+     * @notice Hands a role over to another address (only its holder or an executed proposal)
+     * @param _role Role to transfer
+     * @param _newHolder Address receiving the role
+     */
+    function transferRole(Role _role, address _newHolder) external onlyRole(_role) {
+        require(_newHolder != address(0), "New holder cannot be zero address");
+        _setRole(_role, _newHolder);
+    }
+    
+    /**
+     * @notice Gives up a role, leaving it empty (only its holder or an executed proposal)
+     * @dev An executed proposal can still act as the role, and can appoint a new holder.
+     *      The guardian can't renounce while paused, as proposals can't execute to unpause
+     * @param _role Role to renounce
+     */
+    function renounceRole(Role _role) external onlyRole(_role) {
+        if (_role == Role.Guardian) {
+            _requireNotPaused();
+        }
+        _setRole(_role, address(0));
+    }
+    
+    /**
+     * @notice Stops proposal creation, voting and execution during an incident (only the guardian or an executed proposal)
+     * @dev Token transfers, delegation, queueing and cancellation keep working.
+     *      Requires a guardian to be appointed, as only the guardian can unpause; otherwise an
+     *      executed proposal renouncing the role and then pausing would pause the contract for good
+     */
+    function pause() external onlyRole(Role.Guardian) {
+        require(guardian != address(0), "No guardian to unpause");
+        _pause();
+    }
+    
+    /**
+     * @notice Lifts the emergency stop (only the guardian)
+     * @dev An executed proposal can't unpause, since execution itself is paused
+     */
+    function unpause() external onlyRole(Role.Guardian) {
+        _unpause();
+    }
+    
+    // ============ Parameter Functions ============
+    
+    /**
+     * @notice Updates the delay between queueing and executing a proposal (only the parameter admin or an executed proposal)
+     * @dev Only affects proposals created after the change
+     * @param _delay New delay in seconds
+     */
+    function setTimelockDelay(uint256 _delay) external onlyRole(Role.ParameterAdmin) {
+        require(_delay <= MAX_TIMELOCK_DELAY, "Timelock delay too long");
+        emit TimelockDelayUpdated(timelockDelay, _delay);
+        timelockDelay = _delay;
+    }
+    
+    /**
+     * @notice Updates the quorum as a share of total supply (only the parameter admin or an executed proposal)
+     * @dev Only affects proposals created after the change
+     * @param _quorumBasisPoints New quorum in basis points (10000 = 100%)
+     */
+    function setQuorumBasisPoints(uint256 _quorumBasisPoints) external onlyRole(Role.ParameterAdmin) {
+        require(_quorumBasisPoints <= BASIS_POINTS, "Quorum cannot exceed 100%");
+        emit QuorumUpdated(quorumBasisPoints, _quorumBasisPoints);
+        quorumBasisPoints = _quorumBasisPoints;
+    }
+    
+    /**
+     * @notice Updates the longest vote lock window a proposal can be created with (only the parameter admin or an executed proposal)
+     * @dev Only affects proposals created after the change
+     * @param _maxWindow New maximum in seconds, 0 to let votes change until the deadline on every proposal
+     */
+    function setMaxVoteLockWindow(uint256 _maxWindow) external onlyRole(Role.ParameterAdmin) {
+        emit MaxVoteLockWindowUpdated(maxVoteLockWindow, _maxWindow);
+        maxVoteLockWindow = _maxWindow;
+    }
+    
+    /**
+     * @notice Updates the delegated voting power needed to create a proposal (only an executed proposal)
+     * @param _minTokens New minimum (in wei, 18 decimals)
+     */
+    function setMinTokensToPropose(uint256 _minTokens) external onlyGovernance {
+        emit MinTokensToProposeUpdated(minTokensToPropose, _minTokens);
+        minTokensToPropose = _minTokens;
+    }
+    
+    /**
+     * @notice Updates the share of yes votes a proposal needs to pass (only an executed proposal)
+     * @dev Only affects proposals created after the change
+     * @param _threshold New threshold in basis points (10000 = 100%)
+     */
+    function setVotingThreshold(uint256 _threshold) external onlyGovernance {
+        require(_threshold > 0 && _threshold <= BASIS_POINTS, "Invalid voting threshold");
+        emit VotingThresholdUpdated(votingThreshold, _threshold);
+        votingThreshold = _threshold;
+    }
+    
+    /**
+     * @notice Updates the range of voting periods proposals can use (only an executed proposal)
+     * @param _minPeriod New minimum voting period in seconds
+     * @param _maxPeriod New maximum voting period in seconds
+     */
+    function setVotingPeriodBounds(uint256 _minPeriod, uint256 _maxPeriod) external onlyGovernance {
+        require(_minPeriod > 0 && _minPeriod <= _maxPeriod, "Invalid voting period bounds");
+        emit VotingPeriodBoundsUpdated(minVotingPeriod, maxVotingPeriod, _minPeriod, _maxPeriod);
+        minVotingPeriod = _minPeriod;
+        maxVotingPeriod = _maxPeriod;
+    }
+    
     /**
      * @notice Burns tokens from caller's balance
      * @dev Uses OpenZeppelin's _burn function
@@ -135,18 +470,148 @@ contract ProposalVoting is ERC20, Ownable {
         _burn(msg.sender, _amount);
     }
     
+    // ============ Delegation Functions (Extended from ERC20Votes) ============
+    
+    /**
+     * @notice Returns the address an account's voting power is delegated to
+     * @dev Accounts that never called delegate() count as self-delegated, so plain
+     *      holders can vote without an extra transaction
+     * @param _account Address to check
+     * @return Current delegate of the account
+     */
+    function delegates(address _account) public view override returns (address) {
+        address delegatee = super.delegates(_account);
+        return delegatee == address(0) ? _account : delegatee;
+    }
+    
+    /**
+     * @dev Delegating to the zero address resets the account to self-delegation
+     *      instead of burning its voting power
+     */
+    function _delegate(address _account, address _delegatee) internal override {
+        super._delegate(_account, _delegatee == address(0) ? _account : _delegatee);
+    }
+    
+    /**
+     * @dev Required override: ERC20Votes moves delegated votes on every mint, burn and transfer
+     */
+    function _update(address _from, address _to, uint256 _value) internal override(ERC20, ERC20Votes) {
+        super._update(_from, _to, _value);
+    }
+    
     // ============ Proposal Functions ============
     
     /**
      * @notice Creates a new proposal
+     * @dev Voting power is snapshotted at the block before creation, so tokens
+     *      bought or moved once the proposal exists carry no weight on it.
+     *      The proposer's delegated voting power at that block must meet minTokensToPropose
      * @param _description Text description of the proposal
      * @param _votingPeriod Duration of voting period in seconds
      */
     function createProposal(string memory _description, uint256 _votingPeriod) external returns (uint256) {
-        require(balanceOf(msg.sender) >= MIN_TOKENS_TO_PROPOSE, "Insufficient tokens to create proposal");
+        return _createProposal(_description, _votingPeriod, new address[](0), new uint256[](0), new bytes[](0), VotingMode.Linear, 0);
+    }
+    
+    /**
+     * @notice Creates a new proposal that performs on-chain calls once it passes
+     * @dev Actions run in order during executeProposal; if any call reverts the whole execution reverts
+     * @param _description Text description of the proposal
+     * @param _votingPeriod Duration of voting period in seconds
+     * @param _targets Addresses to call
+     * @param _values ETH (in wei) to send with each call, paid from this contract's balance
+     * @param _calldatas Encoded function calls
+     */
+    function createProposal(
+        string memory _description,
+        uint256 _votingPeriod,
+        address[] memory _targets,
+        uint256[] memory _values,
+        bytes[] memory _calldatas
+    ) external returns (uint256) {
+        return _createProposal(_description, _votingPeriod, _targets, _values, _calldatas, VotingMode.Linear, 0);
+    }
+    
+    /**
+     * @notice Creates a proposal with a chosen voting mode and vote lock window
+     * @dev Quadratic proposals weigh each vote by the square root of the tokens behind it, so
+     *      large holders count for less. Votes can be changed until the last _voteLockWindow
+     *      seconds before the deadline; a window at least as long as the voting period means they
+     *      can never be changed. Pass empty arrays for a proposal without actions
+     * @param _description Text description of the proposal
+     * @param _votingPeriod Duration of voting period in seconds
+     * @param _targets Addresses to call
+     * @param _values ETH (in wei) to send with each call, paid from this contract's balance
+     * @param _calldatas Encoded function calls
+     * @param _votingMode Linear (one vote per token) or Quadratic
+     * @param _voteLockWindow Final part of the voting period in seconds during which votes can't be
+     *        changed, at most maxVoteLockWindow (0 = never locked)
+     */
+    function createProposal(
+        string memory _description,
+        uint256 _votingPeriod,
+        address[] memory _targets,
+        uint256[] memory _values,
+        bytes[] memory _calldatas,
+        VotingMode _votingMode,
+        uint256 _voteLockWindow
+    ) external returns (uint256) {
+        return _createProposal(_description, _votingPeriod, _targets, _values, _calldatas, _votingMode, _voteLockWindow);
+    }
+    
+    /**
+     * @notice Creates a proposal whose full text is an off-chain document, identified by its hash
+     * @dev Only the short title is stored as the description. Anyone holding the document can
+     *      check it against proposalContentHash. Pass empty arrays for a proposal without actions
+     * @param _title Short title, stored as the proposal description (at most MAX_TITLE_LENGTH bytes)
+     * @param _contentHash keccak256 of the document, or the sha256 digest of its IPFS CID
+     * @param _votingPeriod Duration of voting period in seconds
+     * @param _targets Addresses to call
+     * @param _values ETH (in wei) to send with each call, paid from this contract's balance
+     * @param _calldatas Encoded function calls
+     */
+    function createProposalWithContent(
+        string memory _title,
+        bytes32 _contentHash,
+        uint256 _votingPeriod,
+        address[] memory _targets,
+        uint256[] memory _values,
+        bytes[] memory _calldatas
+    ) external returns (uint256) {
+        require(_contentHash != bytes32(0), "Content hash cannot be empty");
+        require(bytes(_title).length <= MAX_TITLE_LENGTH, "Title too long");
+        uint256 proposalId = _createProposal(_title, _votingPeriod, _targets, _values, _calldatas, VotingMode.Linear, 0);
+        proposalContentHash[proposalId] = _contentHash;
+        emit ProposalContentHashSet(proposalId, _contentHash);
+        return proposalId;
+    }
+    
+    /**
+     * @notice Accepts ETH so the contract can act as a treasury for proposal actions
+     */
+    receive() external payable {}
+    
+    /**
+     * @dev Shared implementation of the createProposal overloads and createProposalWithContent
+     */
+    function _createProposal(
+        string memory _description,
+        uint256 _votingPeriod,
+        address[] memory _targets,
+        uint256[] memory _values,
+        bytes[] memory _calldatas,
+        VotingMode _votingMode,
+        uint256 _voteLockWindow
+    ) internal whenNotPaused returns (uint256) {
+        require(getPastVotes(msg.sender, block.number - 1) >= minTokensToPropose, "Insufficient tokens to create proposal");
         require(bytes(_description).length > 0, "Description cannot be empty");
-        require(_votingPeriod >= 60, "Voting period must be at least 60 seconds");
-        require(_votingPeriod <= 30 days, "Voting period cannot exceed 30 days");
+        require(_votingPeriod >= minVotingPeriod, "Voting period below minimum");
+        require(_votingPeriod <= maxVotingPeriod, "Voting period above maximum");
+        require(_voteLockWindow <= maxVoteLockWindow, "Vote lock window above maximum");
+        require(
+            _targets.length == _values.length && _targets.length == _calldatas.length,
+            "Proposal action length mismatch"
+        );
         
         proposalCount++;
         uint256 deadline = block.timestamp + _votingPeriod;
@@ -157,71 +622,218 @@ contract ProposalVoting is ERC20, Ownable {
             proposer: msg.sender,
             yesVotes: 0,
             noVotes: 0,
+            abstainVotes: 0,
             createdAt: block.timestamp,
+            snapshotBlock: block.number - 1,
             deadline: deadline,
+            eta: 0,
             executed: false,
-            status: ProposalStatus.Active
+            status: ProposalStatus.Active,
+            params: ProposalParams({
+                votingThreshold: votingThreshold,
+                quorumBasisPoints: quorumBasisPoints,
+                timelockDelay: timelockDelay,
+                voteLockWindow: _voteLockWindow
+            }),
+            votingMode: _votingMode,
+            votedTokens: 0
         });
         
+        _proposalsByProposer[msg.sender].push(proposalCount);
+        
+        for (uint256 i = 0; i < _targets.length; i++) {
+            require(_targets[i] != address(0), "Action target cannot be zero address");
+            _proposalActions[proposalCount].push(ProposalAction({
+                target: _targets[i],
+                value: _values[i],
+                data: _calldatas[i]
+            }));
+        }
+        
         emit ProposalCreated(proposalCount, msg.sender, _description, deadline);
         
+        // GOV is this contract, so the bond moves into escrow without an approval
+        uint256 bond = proposalBonds.onProposalCreated(proposalCount, msg.sender);
+        if (bond > 0) {
+            _transfer(msg.sender, address(proposalBonds), bond);
+        }
+        
         return proposalCount;
     }
     
     /**
-     * @notice Casts a vote on a proposal
-     * @dev Vote weight is based on token balance at time of voting
+     * @notice Casts a yes or no vote on a proposal, or changes an earlier vote
+     * @dev Vote weight is the delegated voting power at the proposal's snapshot block,
+     *      or its square root on quadratic proposals. Voting again moves the same weight to
+     *      the new choice, until the proposal's vote lock window starts
      * @param _proposalId ID of the proposal to vote on
      * @param _support True for yes, false for no
      */
-    function vote(uint256 _proposalId, bool _support) external 
-        proposalExists(_proposalId) 
-        proposalActive(_proposalId) 
-    {
-        require(balanceOf(msg.sender) > 0, "Must have tokens to vote");
-        require(!hasVoted[_proposalId][msg.sender], "Already voted on this proposal");
+    function vote(uint256 _proposalId, bool _support) external {
+        _castVote(_proposalId, msg.sender, _support ? VoteType.For : VoteType.Against, 0, "");
+    }
+    
+    /**
+     * @notice Casts a vote on a proposal with an explanation
+     * @dev Abstain votes count towards quorum but are ignored by the voting threshold check
+     * @param _proposalId ID of the proposal to vote on
+     * @param _support Against, For or Abstain
+     * @param _reason Free-form reason, emitted in VoteCast
+     */
+    function voteWithReason(uint256 _proposalId, VoteType _support, string calldata _reason) external {
+        _castVote(_proposalId, msg.sender, _support, 0, _reason);
+    }
+    
+    /**
+     * @notice Casts a vote backed by only part of the caller's voting power
+     * @dev On quadratic proposals the vote weight is the square root of _tokens. The rest of
+     *      the voting power is not spent, and a later change of vote keeps this weight
+     * @param _proposalId ID of the proposal to vote on
+     * @param _support Against, For or Abstain
+     * @param _tokens Voting power to use, at most the caller's power at the proposal snapshot
+     * @param _reason Free-form reason, emitted in VoteCast
+     */
+    function voteWithTokens(uint256 _proposalId, VoteType _support, uint256 _tokens, string calldata _reason) external {
+        require(_tokens > 0, "Token amount cannot be zero");
+        _castVote(_proposalId, msg.sender, _support, _tokens, _reason);
+    }
+    
+    /**
+     * @notice Casts a vote on behalf of a voter using an EIP-712 signed ballot
+     * @dev Anyone can relay the ballot and pay the gas. The nonce is shared with delegateBySig
+     *      (see nonces()) and is consumed on use, so a ballot can never be replayed
+     * @param _proposalId ID of the proposal to vote on
+     * @param _support Against, For or Abstain
+     * @param _voter Address whose voting power is used
+     * @param _nonce Voter's current nonce
+     * @param _expiry Timestamp after which the signature is no longer valid
+     * @param _signature EIP-712 signature of the Ballot by the voter
+     */
+    function voteBySig(
+        uint256 _proposalId,
+        VoteType _support,
+        address _voter,
+        uint256 _nonce,
+        uint256 _expiry,
+        bytes calldata _signature
+    ) external {
+        require(block.timestamp <= _expiry, "Signature expired");
         
-        uint256 weight = balanceOf(msg.sender); // Uses ERC20's balanceOf
-        hasVoted[_proposalId][msg.sender] = true;
-        voteChoice[_proposalId][msg.sender] = _support;
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(BALLOT_TYPEHASH, _proposalId, _support, _voter, _nonce, _expiry))
+        );
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(digest, _signature);
+        require(error == ECDSA.RecoverError.NoError && signer == _voter, "Invalid signature");
         
-        if (_support) {
-            proposals[_proposalId].yesVotes += weight;
-        } else {
-            proposals[_proposalId].noVotes += weight;
+        _useCheckedNonce(_voter, _nonce);
+        _castVote(_proposalId, _voter, _support, 0, "");
+    }
+    
+    /**
+     * @notice Queues a passed proposal in the timelock once its voting period has ended
+     * @dev The proposal becomes executable at the returned ETA and expires GRACE_PERIOD after it
+     * @param _proposalId ID of the proposal to queue
+     * @return eta Earliest timestamp at which the proposal can be executed
+     */
+    function queueProposal(uint256 _proposalId) external proposalExists(_proposalId) returns (uint256 eta) {
+        Proposal storage proposal = proposals[_proposalId];
+        
+        require(block.timestamp > proposal.deadline, "Voting period has not ended");
+        require(proposal.status == ProposalStatus.Active, "Proposal is not active");
+        require(_quorumReached(_proposalId), "Quorum not reached");
+        require(_thresholdReached(proposal), "Proposal did not pass");
+        
+        eta = block.timestamp + proposal.params.timelockDelay;
+        proposal.eta = eta;
+        proposal.status = ProposalStatus.Queued;
+        proposalBonds.onProposalClosed(_proposalId);
+        
+        emit ProposalQueued(_proposalId, eta);
+    }
+    
+    /**
+     * @notice Cancels a proposal, returning its bond to a proposer withdrawing it before any vote and slashing it otherwise
+     * @dev The proposer can cancel while voting is still open; the guardian, or an executed
+     *      proposal, can cancel at any point before execution, including while it is queued.
+     *      A proposer withdrawing a proposal that already has votes loses the bond, so it can't
+     *      escape the slash of a proposal heading for defeat
+     * @param _proposalId ID of the proposal to cancel
+     */
+    function cancelProposal(uint256 _proposalId) external proposalExists(_proposalId) {
+        Proposal storage proposal = proposals[_proposalId];
+        
+        require(
+            proposal.status == ProposalStatus.Active || proposal.status == ProposalStatus.Queued,
+            "Proposal cannot be canceled"
+        );
+        
+        bool byProposer = msg.sender == proposal.proposer;
+        if (msg.sender != guardian && msg.sender != address(this)) {
+            require(byProposer, "Only proposer or guardian can cancel");
+            require(
+                proposal.status == ProposalStatus.Active && block.timestamp <= proposal.deadline,
+                "Proposer can only cancel during voting"
+            );
         }
         
-        emit VoteCast(_proposalId, msg.sender, _support, weight);
+        proposal.status = ProposalStatus.Canceled;
+        // Only the proposer withdrawing their own proposal before anyone voted gets the bond back
+        proposalBonds.onProposalSettled(_proposalId, !byProposer || proposal.votedTokens > 0);
+        
+        emit ProposalCanceled(_proposalId, msg.sender);
     }
     
     /**
      * @notice Executes a proposal after voting period ends
+     * @dev A proposal below quorum is finalized as DefeatedQuorum and one that reached quorum
+     *      but not its voting threshold as Failed. A passed proposal must be queued first
+     *      and can only run between its ETA and ETA + GRACE_PERIOD; after that it is marked Expired.
+     *      Actions are called in order and any failing call reverts the whole execution,
+     *      leaving the proposal queued.
+     *      The bond is slashed to the treasury when the proposal is Failed or DefeatedQuorum,
+     *      and returned to the proposer when it is Executed or Expired. Bonds are escrowed in
+     *      ProposalBonds, out of reach of the actions
      * @param _proposalId ID of the proposal to execute
      */
-    function executeProposal(uint256 _proposalId) external proposalExists(_proposalId) {
+    function executeProposal(uint256 _proposalId) external whenNotPaused proposalExists(_proposalId) {
         Proposal storage proposal = proposals[_proposalId];
         
         require(block.timestamp > proposal.deadline, "Voting period has not ended");
         require(!proposal.executed, "Proposal already executed");
-        require(proposal.status == ProposalStatus.Active, "Proposal is not active");
         
-        uint256 totalVotes = proposal.yesVotes + proposal.noVotes;
-        bool passed = false;
+        if (proposal.status == ProposalStatus.Active) {
+            bool quorumReached = _quorumReached(_proposalId);
+            require(!quorumReached || !_thresholdReached(proposal), "Proposal must be queued before execution");
+            
+            proposal.executed = true;
+            proposal.status = quorumReached ? ProposalStatus.Failed : ProposalStatus.DefeatedQuorum;
+            proposalBonds.onProposalSettled(_proposalId, true);
+            emit ProposalExecuted(_proposalId, false);
+            return;
+        }
+        
+        require(proposal.status == ProposalStatus.Queued, "Proposal is not queued");
+        require(block.timestamp >= proposal.eta, "Timelock delay has not passed");
         
-        // Check if quorum is met and if yes votes exceed threshold
-        if (totalVotes > 0) {
-            uint256 yesPercentage = (proposal.yesVotes * BASIS_POINTS) / totalVotes;
-            passed = yesPercentage >= VOTING_THRESHOLD;
+        if (block.timestamp > proposal.eta + GRACE_PERIOD) {
+            proposal.status = ProposalStatus.Expired;
+            proposalBonds.onProposalSettled(_proposalId, false);
+            emit ProposalExpired(_proposalId);
+            return;
         }
         
         proposal.executed = true;
-        proposal.status = passed ? ProposalStatus.Passed : ProposalStatus.Failed;
+        proposal.status = ProposalStatus.Executed;
+        proposalBonds.onProposalSettled(_proposalId, false);
         
-        if (passed) {
-            proposal.status = ProposalStatus.Executed;
+        ProposalAction[] storage actions = _proposalActions[_proposalId];
+        for (uint256 i = 0; i < actions.length; i++) {
+            (bool success, bytes memory returnData) = actions[i].target.call{value: actions[i].value}(actions[i].data);
+            Address.verifyCallResult(success, returnData);
+            emit ProposalActionExecuted(_proposalId, i, actions[i].target, actions[i].value, returnData);
         }
         
-        emit ProposalExecuted(_proposalId, passed);
+        emit ProposalExecuted(_proposalId, true);
     }
     
     // ============ View Functions ============
@@ -235,6 +847,79 @@ contract ProposalVoting is ERC20, Ownable {
         return proposals[_proposalId];
     }
     
+    /**
+     * @notice Gets the stored status of a proposal
+     * @dev Lets ProposalVotingLens filter by status without reading whole proposals
+     * @param _proposalId ID of the proposal
+     * @return Stored ProposalStatus
+     */
+    function getProposalStatus(uint256 _proposalId) external view proposalExists(_proposalId) returns (ProposalStatus) {
+        return proposals[_proposalId].status;
+    }
+    
+    /**
+     * @notice Gets the IDs of every proposal created by an address, in ID order
+     * @param _proposer Address that created the proposals
+     * @return IDs of the proposals created by _proposer
+     */
+    function getProposalIdsByProposer(address _proposer) external view returns (uint256[] memory) {
+        return _proposalsByProposer[_proposer];
+    }
+    
+    /**
+     * @notice Gets the number of addresses that voted on a proposal
+     * @param _proposalId ID of the proposal
+     * @return Number of voters, for paging through voters() or ProposalVotingLens.getVoters
+     */
+    function getVoterCount(uint256 _proposalId) external view proposalExists(_proposalId) returns (uint256) {
+        return voters[_proposalId].length;
+    }
+    
+    /**
+     * @notice Computes the current lifecycle state of a proposal
+     * @dev Unlike the stored status, which only changes on queue/execute/cancel, this
+     *      reflects deadlines, tallies and the timelock grace period as of now
+     * @param _proposalId ID of the proposal
+     * @return Current ProposalState
+     */
+    function state(uint256 _proposalId) external view proposalExists(_proposalId) returns (ProposalState) {
+        Proposal storage proposal = proposals[_proposalId];
+        ProposalStatus status = proposal.status;
+        
+        if (status == ProposalStatus.Executed) {
+            return ProposalState.Executed;
+        }
+        if (status == ProposalStatus.Canceled) {
+            return ProposalState.Canceled;
+        }
+        if (status == ProposalStatus.Failed || status == ProposalStatus.DefeatedQuorum) {
+            return ProposalState.Defeated;
+        }
+        if (status == ProposalStatus.Expired) {
+            return ProposalState.Expired;
+        }
+        if (status == ProposalStatus.Queued) {
+            return block.timestamp > proposal.eta + GRACE_PERIOD ? ProposalState.Expired : ProposalState.Queued;
+        }
+        
+        if (block.timestamp <= proposal.deadline) {
+            return ProposalState.Active;
+        }
+        
+        return _quorumReached(_proposalId) && _thresholdReached(proposal)
+            ? ProposalState.Succeeded
+            : ProposalState.Defeated;
+    }
+    
+    /**
+     * @notice Gets the on-chain actions attached to a proposal
+     * @param _proposalId ID of the proposal
+     * @return Array of actions (empty for text-only proposals)
+     */
+    function getProposalActions(uint256 _proposalId) external view proposalExists(_proposalId) returns (ProposalAction[] memory) {
+        return _proposalActions[_proposalId];
+    }
+    
     /**
      * @notice Checks if voting period is still active
      * @param _proposalId ID of the proposal
@@ -250,13 +935,43 @@ contract ProposalVoting is ERC20, Ownable {
      * @param _proposalId ID of the proposal
      * @return yesVotes Number of yes votes
      * @return noVotes Number of no votes
-     * @return totalVotes Total votes cast
+     * @return totalVotes Total votes cast, including abstentions
+     * @return quorumVotes Votes required to reach quorum
+     * @return quorumReached True if votes have been cast and the tokens behind them (votedTokens) reach quorumVotes
+     * @return abstainVotes Number of abstain votes
      */
     function getVoteCounts(uint256 _proposalId) external view proposalExists(_proposalId) 
-        returns (uint256 yesVotes, uint256 noVotes, uint256 totalVotes) 
+        returns (
+            uint256 yesVotes,
+            uint256 noVotes,
+            uint256 totalVotes,
+            uint256 quorumVotes,
+            bool quorumReached,
+            uint256 abstainVotes
+        ) 
     {
-        Proposal memory proposal = proposals[_proposalId];
-        return (proposal.yesVotes, proposal.noVotes, proposal.yesVotes + proposal.noVotes);
+        Proposal storage proposal = proposals[_proposalId];
+        totalVotes = proposal.yesVotes + proposal.noVotes + proposal.abstainVotes;
+        quorumVotes = quorum(_proposalId);
+        return (
+            proposal.yesVotes,
+            proposal.noVotes,
+            totalVotes,
+            quorumVotes,
+            _quorumReached(_proposalId),
+            proposal.abstainVotes
+        );
+    }
+    
+    /**
+     * @notice Gets the number of votes a proposal needs to reach quorum
+     * @dev Based on total supply at the proposal's snapshot block, so later mints or burns don't move it
+     * @param _proposalId ID of the proposal
+     * @return Votes required for quorum
+     */
+    function quorum(uint256 _proposalId) public view proposalExists(_proposalId) returns (uint256) {
+        Proposal storage proposal = proposals[_proposalId];
+        return (getPastTotalSupply(proposal.snapshotBlock) * proposal.params.quorumBasisPoints) / BASIS_POINTS;
     }
     
     /**
@@ -271,12 +986,24 @@ contract ProposalVoting is ERC20, Ownable {
     
     /**
      * @notice Gets the voting power of an address
-     * @dev Uses ERC20's balanceOf function
+     * @dev Uses ERC20Votes' getVotes, i.e. own balance (if self-delegated) plus delegated balances
      * @param _account Address to check
-     * @return Token balance (voting power)
+     * @return Current voting power
      */
     function getVotingPower(address _account) external view returns (uint256) {
-        return balanceOf(_account);
+        return getVotes(_account);
+    }
+    
+    /**
+     * @notice Gets the voting power of an address at a past block
+     * @dev Uses ERC20Votes' getPastVotes checkpoints
+     * @param _account Address to check
+     * @param _blockNumber Block to read the voting power at (must already be mined)
+     * @return Voting power at the end of that block
+     */
+    function getVotingPower(address _account, uint256 _blockNumber) external view returns (uint256) {
+        require(_blockNumber < block.number, "Block not yet mined");
+        return getPastVotes(_account, _blockNumber);
     }
     
     /**
@@ -287,4 +1014,111 @@ contract ProposalVoting is ERC20, Ownable {
     function getTotalSupply() external view returns (uint256) {
         return totalSupply();
     }
+    
+    // ============ Internal Functions ============
+    
+    /**
+     * @dev Reverts unless a proposal with this ID was created; shared by proposalExists to keep the bytecode small
+     */
+    function _requireProposalExists(uint256 _proposalId) internal view {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "Proposal does not exist");
+    }
+    
+    /**
+     * @dev Records a new role holder and emits RoleTransferred
+     */
+    function _setRole(Role _role, address _holder) internal {
+        emit RoleTransferred(_role, roleHolder(_role), _holder);
+        if (_role == Role.Minter) {
+            minter = _holder;
+        } else if (_role == Role.Guardian) {
+            guardian = _holder;
+        } else {
+            parameterAdmin = _holder;
+        }
+    }
+    
+    /**
+     * @dev Records a vote backed by _tokens of the voter's delegated voting power at the proposal
+     *      snapshot (all of it when _tokens is 0), weighted according to the proposal's voting mode
+     */
+    function _castVote(uint256 _proposalId, address _voter, VoteType _support, uint256 _tokens, string memory _reason) internal 
+        whenNotPaused
+        proposalExists(_proposalId) 
+        proposalActive(_proposalId) 
+    {
+        Proposal storage proposal = proposals[_proposalId];
+        if (hasVoted[_proposalId][_voter]) {
+            _changeVote(proposal, _voter, _support, _tokens, _reason);
+            return;
+        }
+        
+        uint256 power = getPastVotes(_voter, proposal.snapshotBlock);
+        require(power > 0, "Must have tokens to vote");
+        require(_tokens <= power, "Token amount exceeds voting power");
+        
+        uint256 tokens = _tokens == 0 ? power : _tokens;
+        uint256 weight = proposal.votingMode == VotingMode.Quadratic ? Math.sqrt(tokens * 1e18) : tokens;
+        proposal.votedTokens += tokens;
+        
+        hasVoted[_proposalId][_voter] = true;
+        voteChoice[_proposalId][_voter] = _support;
+        voteWeight[_proposalId][_voter] = weight;
+        voters[_proposalId].push(_voter);
+        _tallyVote(proposal, _support, weight, true);
+        
+        emit VoteCast(_proposalId, _voter, _support, weight, _reason);
+    }
+    
+    /**
+     * @dev Moves an existing vote's weight from its previous choice to the new one. The weight
+     *      itself can't change, so a token amount is only accepted on the first vote
+     */
+    function _changeVote(Proposal storage _proposal, address _voter, VoteType _support, uint256 _tokens, string memory _reason) internal {
+        require(_tokens == 0, "Vote weight cannot be changed");
+        require(block.timestamp + _proposal.params.voteLockWindow <= _proposal.deadline, "Votes are locked");
+        
+        uint256 weight = voteWeight[_proposal.id][_voter];
+        VoteType previous = voteChoice[_proposal.id][_voter];
+        _tallyVote(_proposal, previous, weight, false);
+        _tallyVote(_proposal, _support, weight, true);
+        voteChoice[_proposal.id][_voter] = _support;
+        
+        emit VoteChanged(_proposal.id, _voter, previous, _support, weight, _reason);
+    }
+    
+    /**
+     * @dev Adds weight to, or removes it from, the tally for one choice
+     */
+    function _tallyVote(Proposal storage _proposal, VoteType _support, uint256 _weight, bool _add) internal {
+        if (_support == VoteType.For) {
+            _proposal.yesVotes = _add ? _proposal.yesVotes + _weight : _proposal.yesVotes - _weight;
+        } else if (_support == VoteType.Against) {
+            _proposal.noVotes = _add ? _proposal.noVotes + _weight : _proposal.noVotes - _weight;
+        } else {
+            _proposal.abstainVotes = _add ? _proposal.abstainVotes + _weight : _proposal.abstainVotes - _weight;
+        }
+    }
+    
+    /**
+     * @dev Checks whether the tokens that voted, including abstentions, reach the proposal's quorum.
+     *      Quorum counts tokens rather than vote weights so it means the same turnout in both voting modes
+     */
+    function _quorumReached(uint256 _proposalId) internal view returns (bool) {
+        uint256 votedTokens = proposals[_proposalId].votedTokens;
+        return votedTokens > 0 && votedTokens >= quorum(_proposalId);
+    }
+    
+    /**
+     * @dev Checks whether yes votes reach the proposal's voting threshold of the yes and no votes (abstentions are ignored)
+     */
+    function _thresholdReached(Proposal storage _proposal) internal view returns (bool) {
+        uint256 totalVotes = _proposal.yesVotes + _proposal.noVotes;
+        if (totalVotes == 0) {
+            return false;
+        }
+        
+        uint256 yesPercentage = (_proposal.yesVotes * BASIS_POINTS) / totalVotes;
+        return yesPercentage >= _proposal.params.votingThreshold;
+    }
 }
\ No newline at end of file
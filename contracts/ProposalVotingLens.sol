@@ -0,0 +1,145 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./ProposalVoting.sol";
+
+/**
+ * @title ProposalVotingLens
+ * @dev Read-only enumeration views over a ProposalVoting deployment
+ * @notice Returns proposals and voters in pages, so front-ends don't need one RPC call per proposal
+ *
+ * DESIGN:
+ * - Holds no state of its own: every view reads ProposalVoting, so one lens can be deployed
+ *   per ProposalVoting and replaced at any time
+ * - Living outside ProposalVoting keeps it under the contract size limit
+ * - Pages are capped at MAX_PAGE_SIZE entries, keeping each call well under node gas caps
+ */
+contract ProposalVotingLens {
+
+    // ============ State Variables ============
+
+    /// @notice Largest page the paginated views return
+    uint256 public constant MAX_PAGE_SIZE = 100;
+
+    /// @notice ProposalVoting deployment whose proposals and voters are read
+    ProposalVoting public immutable governance;
+
+    // ============ Structs ============
+
+    /// @notice A voter's ballot on a proposal, as returned by getVoters
+    struct VoterInfo {
+        address voter;
+        ProposalVoting.VoteType support;
+        uint256 weight;
+    }
+
+    // ============ Constructor ============
+
+    /**
+     * @param _governance ProposalVoting deployment to read
+     */
+    constructor(ProposalVoting _governance) {
+        require(address(_governance) != address(0), "Governance cannot be zero address");
+        governance = _governance;
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Gets a page of proposals in ID order
+     * @dev Returns fewer than _limit entries at the end of the list and none past it
+     * @param _offset Number of proposals to skip (0 starts at proposal 1)
+     * @param _limit Maximum number of proposals to return, at most MAX_PAGE_SIZE
+     * @return page Proposals _offset + 1 to _offset + _limit
+     */
+    function getProposals(uint256 _offset, uint256 _limit) external view returns (ProposalVoting.Proposal[] memory page) {
+        require(_limit <= MAX_PAGE_SIZE, "Page size too large");
+
+        uint256 proposalCount = governance.proposalCount();
+        uint256 count = _offset >= proposalCount ? 0 : Math.min(_limit, proposalCount - _offset);
+        uint256[] memory ids = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            ids[i] = _offset + i + 1;
+        }
+        return _loadProposals(ids, count);
+    }
+
+    /**
+     * @notice Gets a page of the proposals with a given stored status, in ID order
+     * @dev Filters on the stored status, which only changes on queue/execute/cancel; use
+     *      state() for the computed lifecycle. Scans every proposal, so cost grows with proposalCount
+     * @param _status Stored status to match
+     * @param _offset Number of matching proposals to skip
+     * @param _limit Maximum number of proposals to return, at most MAX_PAGE_SIZE
+     * @return page Matching proposals
+     */
+    function getProposalsByStatus(ProposalVoting.ProposalStatus _status, uint256 _offset, uint256 _limit)
+        external view returns (ProposalVoting.Proposal[] memory page)
+    {
+        require(_limit <= MAX_PAGE_SIZE, "Page size too large");
+
+        uint256 proposalCount = governance.proposalCount();
+        uint256[] memory ids = new uint256[](_limit);
+        uint256 found;
+        uint256 skipped;
+        for (uint256 id = 1; id <= proposalCount && found < _limit; id++) {
+            if (governance.getProposalStatus(id) != _status) {
+                continue;
+            }
+            if (skipped < _offset) {
+                skipped++;
+                continue;
+            }
+            ids[found++] = id;
+        }
+        return _loadProposals(ids, found);
+    }
+
+    /**
+     * @notice Gets every proposal created by an address, in ID order
+     * @param _proposer Address that created the proposals
+     * @return Proposals created by _proposer
+     */
+    function getProposalsByProposer(address _proposer) external view returns (ProposalVoting.Proposal[] memory) {
+        uint256[] memory ids = governance.getProposalIdsByProposer(_proposer);
+        return _loadProposals(ids, ids.length);
+    }
+
+    /**
+     * @notice Gets a page of a proposal's voters with their choices and weights, in voting order
+     * @param _proposalId ID of the proposal
+     * @param _offset Number of voters to skip
+     * @param _limit Maximum number of voters to return, at most MAX_PAGE_SIZE
+     * @return page Voters _offset to _offset + _limit - 1
+     */
+    function getVoters(uint256 _proposalId, uint256 _offset, uint256 _limit)
+        external view returns (VoterInfo[] memory page)
+    {
+        require(_limit <= MAX_PAGE_SIZE, "Page size too large");
+
+        uint256 voterCount = governance.getVoterCount(_proposalId);
+        uint256 count = _offset >= voterCount ? 0 : Math.min(_limit, voterCount - _offset);
+        page = new VoterInfo[](count);
+        for (uint256 i = 0; i < count; i++) {
+            address voter = governance.voters(_proposalId, _offset + i);
+            page[i] = VoterInfo({
+                voter: voter,
+                support: governance.voteChoice(_proposalId, voter),
+                weight: governance.voteWeight(_proposalId, voter)
+            });
+        }
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev Reads the first _count of the given proposals from ProposalVoting
+     */
+    function _loadProposals(uint256[] memory _ids, uint256 _count) internal view returns (ProposalVoting.Proposal[] memory page) {
+        page = new ProposalVoting.Proposal[](_count);
+        for (uint256 i = 0; i < _count; i++) {
+            page[i] = governance.getProposal(_ids[i]);
+        }
+    }
+}
@@ -1,8 +1,23 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./tasks/governance");
 
 module.exports = {
-  solidity: "0.8.27",
+  solidity: {
+    version: "0.8.27",
+    settings: {
+      // ProposalVoting exceeds the 24KB contract size limit without the optimizer, and the
+      // IR pipeline avoids "stack too deep" in its larger functions. Bonds and enumeration
+      // views live in ProposalBonds and ProposalVotingLens, and cancun's MCOPY shortens its
+      // memory copies, to keep it under the limit
+      optimizer: {
+        enabled: true,
+        runs: 200
+      },
+      viaIR: true,
+      evmVersion: "cancun"
+    }
+  },
   networks: {
     sepolia: {
       url: process.env.SEPOLIA_RPC_URL || "",
@@ -0,0 +1,326 @@
+// Read-only JSON API over a ProposalVoting deployment, for dashboards.
+//
+// Usage:
+//   node scripts/api.js --rpc http://127.0.0.1:8545 --network localhost --port 8788
+//   node scripts/api.js --rpc $SEPOLIA_RPC_URL --contract <address> --from-block 5000000
+//
+// Proposal data comes from the contract's views; votes and history come from event logs,
+// replayed by the indexer (scripts/indexer.js). Token amounts are decimal strings (wei).
+//
+//   GET /health                     RPC and indexer status
+//   GET /proposals?status=&page=&pageSize=
+//   GET /proposals/:id
+//   GET /proposals/:id/votes?page=&pageSize=
+//   GET /accounts/:address          balance, voting power and vote history
+//   GET /stats
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { STATE_NAMES, parseStatusName, getProposalBonds, loadProposal } = require("./lib/proposals");
+const { loadDeployment } = require("./lib/deployments");
+const { sendJson } = require("./lib/http");
+const { createIndexer } = require("./indexer");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const ARTIFACT_PATH = path.join(__dirname, "..", "artifacts", "contracts", "ProposalVoting.sol", "ProposalVoting.json");
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parsePositiveInt(value, name, fallback) {
+  if (value === null) {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new HttpError(400, `${name} must be a positive integer`);
+  }
+  return parsed;
+}
+
+function parsePaging(searchParams) {
+  const page = parsePositiveInt(searchParams.get("page"), "page", 1);
+  const pageSize = parsePositiveInt(searchParams.get("pageSize"), "pageSize", DEFAULT_PAGE_SIZE);
+  if (pageSize > MAX_PAGE_SIZE) {
+    throw new HttpError(400, `pageSize must be at most ${MAX_PAGE_SIZE}`);
+  }
+  return { page, pageSize };
+}
+
+function paginate(items, { page, pageSize }) {
+  return {
+    page,
+    pageSize,
+    total: items.length,
+    totalPages: Math.ceil(items.length / pageSize),
+    items: items.slice((page - 1) * pageSize, page * pageSize)
+  };
+}
+
+/**
+ * Creates the API server for a read-only contract instance.
+ *
+ * The indexer is synced before any request that reads event data, at most once
+ * every syncInterval ms. The caller is responsible for server.listen() and server.close().
+ */
+function createApiServer(contract, { indexer, syncInterval = 2000, log = () => {} }) {
+  const provider = contract.runner.provider;
+  let lastSync = 0;
+  let syncing;
+
+  // Concurrent requests share one in-flight sync instead of racing on the store
+  const ensureSynced = () => {
+    if (!syncing) {
+      if (Date.now() - lastSync < syncInterval) {
+        return Promise.resolve();
+      }
+      syncing = indexer.sync()
+        .then(() => {
+          lastSync = Date.now();
+        })
+        .finally(() => {
+          syncing = undefined;
+        });
+    }
+    return syncing;
+  };
+
+  const parseProposalId = async (value) => {
+    const id = Number(value);
+    const count = Number(await contract.proposalCount());
+    if (!Number.isInteger(id) || id < 1 || id > count) {
+      throw new HttpError(404, `Proposal ${value} not found`);
+    }
+    return id;
+  };
+
+  const routes = [
+    {
+      pattern: /^\/health$/,
+      handler: async () => {
+        const [{ chainId }, blockNumber] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+        return {
+          status: "ok",
+          chainId: Number(chainId),
+          blockNumber,
+          contract: await contract.getAddress(),
+          indexedBlock: indexer.lastBlock
+        };
+      }
+    },
+    {
+      pattern: /^\/proposals$/,
+      handler: async (url) => {
+        const paging = parsePaging(url.searchParams);
+        const count = Number(await contract.proposalCount());
+        let ids = Array.from({ length: count }, (_, i) => i + 1);
+
+        const status = url.searchParams.get("status");
+        if (status !== null) {
+          let wanted;
+          try {
+            wanted = parseStatusName(STATE_NAMES, status);
+          } catch (error) {
+            throw new HttpError(400, error.message);
+          }
+          const states = await Promise.all(ids.map((id) => contract.state(id)));
+          ids = ids.filter((_, i) => Number(states[i]) === wanted);
+        }
+
+        const { items, ...page } = paginate(ids, paging);
+        return { ...page, proposals: await Promise.all(items.map((id) => loadProposal(contract, id))) };
+      }
+    },
+    {
+      pattern: /^\/proposals\/([^/]+)$/,
+      handler: async (url, [rawId]) => {
+        const id = await parseProposalId(rawId);
+        const [proposal, actions] = await Promise.all([loadProposal(contract, id), contract.getProposalActions(id)]);
+        await ensureSynced();
+
+        return {
+          ...proposal,
+          actions: actions.map((action) => ({ target: action.target, value: action.value.toString(), data: action.data })),
+          participation: indexer.getParticipation(id) || null
+        };
+      }
+    },
+    {
+      pattern: /^\/proposals\/([^/]+)\/votes$/,
+      handler: async (url, [rawId]) => {
+        const id = await parseProposalId(rawId);
+        const paging = parsePaging(url.searchParams);
+        await ensureSynced();
+
+        const { items, ...page } = paginate(indexer.getVotesByProposal(id), paging);
+        return { ...page, votes: items };
+      }
+    },
+    {
+      pattern: /^\/accounts\/([^/]+)$/,
+      handler: async (url, [address]) => {
+        if (!ethers.isAddress(address)) {
+          throw new HttpError(400, `Invalid address: ${address}`);
+        }
+        const account = ethers.getAddress(address);
+        const [balance, votingPower, delegate] = await Promise.all([
+          contract.balanceOf(account),
+          contract["getVotingPower(address)"](account),
+          contract.delegates(account)
+        ]);
+        await ensureSynced();
+
+        return {
+          address: account,
+          balance: balance.toString(),
+          votingPower: votingPower.toString(),
+          delegate,
+          proposals: indexer.getProposals().filter((p) => p.proposer === account).map((p) => p.id),
+          votes: indexer.getVotesByVoter(account)
+        };
+      }
+    },
+    {
+      pattern: /^\/stats$/,
+      handler: async () => {
+        const bonds = await getProposalBonds(contract);
+        const [
+          count, totalSupply, minTokensToPropose, votingThreshold, quorumBasisPoints, timelockDelay,
+          proposalBond, maxActiveProposals, proposalCooldown
+        ] = await Promise.all([
+          contract.proposalCount(),
+          contract.totalSupply(),
+          contract.minTokensToPropose(),
+          contract.votingThreshold(),
+          contract.quorumBasisPoints(),
+          contract.timelockDelay(),
+          bonds.proposalBond(),
+          bonds.maxActiveProposals(),
+          bonds.proposalCooldown()
+        ]);
+        const ids = Array.from({ length: Number(count) }, (_, i) => i + 1);
+        const states = await Promise.all(ids.map((id) => contract.state(id)));
+        await ensureSynced();
+
+        const proposalsByState = Object.fromEntries(STATE_NAMES.map((name) => [name, 0]));
+        states.forEach((state) => proposalsByState[STATE_NAMES[Number(state)]]++);
+
+        const indexed = indexer.getProposals();
+        const participation = indexed.map((p) => indexer.getParticipation(p.id).participationBps);
+        const voters = new Set(indexed.flatMap((p) => indexer.getVotesByProposal(p.id).map((v) => v.voter)));
+
+        return {
+          proposalCount: Number(count),
+          proposalsByState,
+          totalSupply: totalSupply.toString(),
+          voteCount: indexed.reduce((sum, p) => sum + p.voterCount, 0),
+          uniqueVoters: voters.size,
+          averageParticipationBps: participation.length === 0
+            ? 0
+            : Math.round(participation.reduce((sum, bps) => sum + bps, 0) / participation.length),
+          parameters: {
+            minTokensToPropose: minTokensToPropose.toString(),
+            votingThreshold: Number(votingThreshold),
+            quorumBasisPoints: Number(quorumBasisPoints),
+            timelockDelay: Number(timelockDelay),
+            proposalBond: proposalBond.toString(),
+            maxActiveProposals: Number(maxActiveProposals),
+            proposalCooldown: Number(proposalCooldown)
+          },
+          indexedBlock: indexer.lastBlock
+        };
+      }
+    }
+  ];
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (req.method !== "GET") {
+        throw new HttpError(405, "Method not allowed");
+      }
+
+      for (const { pattern, handler } of routes) {
+        const match = url.pathname.match(pattern);
+        if (match) {
+          sendJson(res, 200, await handler(url, match.slice(1)));
+          return;
+        }
+      }
+      throw new HttpError(404, "Not found");
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendJson(res, error.status, { error: error.message });
+        return;
+      }
+
+      log(`${req.method} ${url.pathname} failed: ${error.message}`);
+      // A failing health check means the RPC is unreachable, which is a 503 rather than a bug
+      const status = url.pathname === "/health" ? 503 : 500;
+      sendJson(res, status, status === 503 ? { status: "error", error: error.message } : { error: "Internal server error" });
+    }
+  });
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      rpc: { type: "string", default: process.env.RPC_URL || "http://127.0.0.1:8545" },
+      contract: { type: "string" },
+      network: { type: "string", default: "localhost" },
+      port: { type: "string", default: "8788" },
+      store: { type: "string" },
+      "from-block": { type: "string" },
+      "sync-interval": { type: "string", default: "2000" }
+    }
+  });
+
+  // Without --contract, the address, ABI and start block come from the network's manifest
+  const deployment = values.contract ? undefined : loadDeployment(values.network);
+  const address = values.contract || deployment.address;
+  const abi = deployment ? deployment.abi : JSON.parse(fs.readFileSync(ARTIFACT_PATH, "utf8")).abi;
+
+  const provider = new ethers.JsonRpcProvider(values.rpc);
+  const contract = new ethers.Contract(address, abi, provider);
+
+  let startBlock = deployment ? deployment.blockNumber : 0;
+  if (values["from-block"] !== undefined) {
+    startBlock = Number(values["from-block"]);
+  }
+  const indexer = await createIndexer(contract, { file: values.store, startBlock, log: console.log });
+
+  const server = createApiServer(contract, {
+    indexer,
+    syncInterval: Number(values["sync-interval"]),
+    log: console.log
+  });
+  server.listen(Number(values.port), () => {
+    console.log(`🚀 Serving ${address} from ${values.rpc} on http://127.0.0.1:${values.port}`);
+  });
+
+  // Keep running until interrupted
+  await new Promise((resolve) => process.on("SIGINT", resolve));
+  server.close();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  createApiServer
+};
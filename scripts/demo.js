@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { STATUS_NAMES } = require("./lib/proposals");
 
 async function main() {
   console.log("🚀 Starting Voting Proposal Demo...\n");
@@ -58,7 +59,7 @@ async function main() {
   console.log("\n📊 Proposal Details:");
   console.log("ID:", proposal.id.toString());
   console.log("Proposer:", proposal.proposer);
-  console.log("Status:", ["Active", "Passed", "Failed", "Executed"][proposal.status]);
+  console.log("Status:", STATUS_NAMES[proposal.status]);
   console.log("Deadline:", new Date(Number(proposal.deadline) * 1000).toLocaleString());
   console.log("\n" + "=".repeat(60) + "\n");
 
@@ -93,12 +94,14 @@ async function main() {
 
   // 6. Check vote results
   console.log("📈 Current Vote Results:");
-  const [yesVotes, noVotes, totalVotes] = await contract.getVoteCounts(1);
+  const [yesVotes, noVotes, totalVotes, quorumVotes, quorumReached] = await contract.getVoteCounts(1);
   console.log("YES votes:", hre.ethers.formatEther(yesVotes), "GOV");
   console.log("NO votes:", hre.ethers.formatEther(noVotes), "GOV");
   console.log("Total votes:", hre.ethers.formatEther(totalVotes), "GOV");
+  console.log("Quorum:", hre.ethers.formatEther(quorumVotes), "GOV", quorumReached ? "(reached)" : "(not reached)");
   
-  const yesPercentage = (Number(yesVotes) * 100) / Number(totalVotes);
+  // Abstentions are ignored by the threshold, so compare against yes + no only
+  const yesPercentage = (Number(yesVotes) * 100) / Number(yesVotes + noVotes);
   console.log("YES percentage:", yesPercentage.toFixed(2) + "%");
   console.log("\n" + "=".repeat(60) + "\n");
 
@@ -109,14 +112,29 @@ async function main() {
   console.log("✅ Time advanced");
   console.log("\n" + "=".repeat(60) + "\n");
 
-  // 8. Execute proposal
+  // 8. Queue proposal in the timelock
+  console.log("⏳ Queueing proposal...");
+  const queueTx = await contract.queueProposal(1);
+  await queueTx.wait();
+  const queuedProposal = await contract.getProposal(1);
+  console.log("✅ Proposal queued!");
+  console.log("Executable after:", new Date(Number(queuedProposal.eta) * 1000).toLocaleString());
+
+  const timelockDelay = await contract.timelockDelay();
+  console.log("⏰ Fast-forwarding time past timelock delay...");
+  await hre.network.provider.send("evm_increaseTime", [Number(timelockDelay)]);
+  await hre.network.provider.send("evm_mine");
+  console.log("✅ Time advanced");
+  console.log("\n" + "=".repeat(60) + "\n");
+
+  // 9. Execute proposal
   console.log("⚡ Executing proposal...");
   const executeTx = await contract.executeProposal(1);
   await executeTx.wait();
   console.log("✅ Proposal executed!");
   
   const finalProposal = await contract.getProposal(1);
-  const status = ["Active", "Passed", "Failed", "Executed"][finalProposal.status];
+  const status = STATUS_NAMES[finalProposal.status];
   console.log("\n🎯 Final Result:", status);
   console.log("Proposal", finalProposal.status === 3n ? "PASSED ✅" : "FAILED ❌");
   
@@ -1,42 +1,64 @@
-const hre = require("hardhat");
+// Deploys ProposalVoting, its MultipleChoiceVoting module and ProposalVotingLens to the selected
+// network and records them in deployments/<network>.json.
+//
+// Usage:
+//   npx hardhat run scripts/deploy.js --network sepolia
+//   FORCE_DEPLOY=true npx hardhat run scripts/deploy.js --network localhost   # replace an existing manifest
+//
+// The same flow is available as `npx hardhat gov:deploy [--force]`.
+
+const { deploy } = require("./lib/deployments");
+
+const EXPLORERS = {
+  1: "https://etherscan.io",
+  11155111: "https://sepolia.etherscan.io"
+};
+
+function explorerUrl(chainId, address) {
+  const base = EXPLORERS[chainId];
+  return base ? `${base}/address/${address}` : undefined;
+}
 
 async function main() {
-  console.log("Deploying ProposalVoting contract to Sepolia...");
-
-  // Get the contract factory
-  const ProposalVoting = await hre.ethers.getContractFactory("ProposalVoting");
-  
-  // Deploy the contract
-  const proposalVoting = await ProposalVoting.deploy();
-  
-  // Wait for deployment to complete
-  await proposalVoting.waitForDeployment();
-  
-  const address = await proposalVoting.getAddress();
-  
+  const hre = require("hardhat");
+  const force = process.env.FORCE_DEPLOY === "true";
+
+  console.log(`Deploying ProposalVoting contract to ${hre.network.name}...`);
+
+  const manifest = await deploy(hre, { force, log: console.log });
+
   console.log("✅ ProposalVoting deployed successfully!");
-  console.log("Contract address:", address);
-  console.log("Deployment transaction hash:", proposalVoting.deploymentTransaction().hash);
-  console.log("\n📍 Sepolia Etherscan URL:");
-  console.log(`https://sepolia.etherscan.io/address/${address}`);
-  
-  // Wait for a few block confirmations
-  console.log("\nWaiting for block confirmations...");
-  await proposalVoting.deploymentTransaction().wait(5);
-  
-  console.log("\n🎉 Contract verified and ready to use!");
-  console.log("\nNext steps:");
-  console.log("1. Copy the contract address above");
-  console.log("2. Visit the Sepolia Etherscan URL");
-  console.log("3. Interact with the contract using the 'Write Contract' tab");
-  
+  console.log("Contract address:", manifest.address);
+  console.log("Block number:", manifest.blockNumber);
+  for (const [name, deployed] of Object.entries(manifest.modules)) {
+    console.log(`${name} address:`, deployed.address);
+  }
+
+  const url = explorerUrl(manifest.chainId, manifest.address);
+  if (url) {
+    console.log("\n📍 Explorer URL:");
+    console.log(url);
+  }
+
+  if (manifest.file) {
+    console.log(`\n📝 Deployment manifest written to ${manifest.file}`);
+  } else {
+    console.log(`\n📝 Network "${hre.network.name}" is in-process only, so no manifest was written`);
+  }
+
   // Get initial state
-  const owner = await proposalVoting.owner();
-  const totalSupply = await proposalVoting.totalSupply();
-  
+  const [minter, guardian, parameterAdmin, totalSupply] = await Promise.all([
+    manifest.contract.minter(),
+    manifest.contract.guardian(),
+    manifest.contract.parameterAdmin(),
+    manifest.contract.totalSupply()
+  ]);
+
   console.log("\n📊 Initial Contract State:");
-  console.log("Owner:", owner);
-  console.log("Total Supply:", totalSupply.toString(), "tokens");
+  console.log("Minter:", minter);
+  console.log("Guardian:", guardian);
+  console.log("Parameter admin:", parameterAdmin);
+  console.log("Total Supply:", hre.ethers.formatEther(totalSupply), "GOV");
 }
 
 main()
@@ -44,4 +66,4 @@ main()
   .catch((error) => {
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
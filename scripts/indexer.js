@@ -0,0 +1,484 @@
+// Local event indexer: replays ProposalVoting events into a JSON file so proposals and
+// votes can be queried without scanning logs by hand.
+//
+// Usage (against a running `npx hardhat node`):
+//   HARDHAT_NETWORK=localhost node scripts/indexer.js --store index.json
+//   HARDHAT_NETWORK=localhost node scripts/indexer.js --contract <address> --from-block 0 --store index.json --watch
+//
+// Without --contract the indexer uses the network's deployments/<network>.json manifest and
+// starts from its deployment block.
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { VOTE_TYPE_NAMES, VOTING_MODE_NAMES } = require("./lib/proposals");
+const { getDeployedContract, hasDeployment, loadDeployment } = require("./lib/deployments");
+
+const STORE_VERSION = 2;
+const DEFAULT_BATCH_SIZE = 2000;
+const DEFAULT_REORG_DEPTH = 64;
+
+const INDEXED_EVENTS = [
+  "ProposalCreated",
+  "VoteCast",
+  "VoteChanged",
+  "ProposalQueued",
+  "ProposalExecuted",
+  "ProposalCanceled",
+  "ProposalExpired"
+];
+
+function emptyStore(contractAddress, chainId, startBlock) {
+  return {
+    version: STORE_VERSION,
+    contract: contractAddress,
+    chainId,
+    startBlock,
+    lastBlock: startBlock - 1,
+    blockHashes: {},
+    events: []
+  };
+}
+
+function readStore(file) {
+  if (!file || !fs.existsSync(file)) {
+    return undefined;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeStore(file, store) {
+  if (!file) {
+    return;
+  }
+  // Write then rename, so a crash mid-write never leaves a truncated store behind
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Flattens a parsed log into the JSON-friendly record kept in the store.
+ */
+function toRecord(parsed, log) {
+  const record = {
+    event: parsed.name,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    proposalId: Number(parsed.args.proposalId)
+  };
+
+  switch (parsed.name) {
+    case "ProposalCreated":
+      record.proposer = parsed.args.proposer;
+      record.description = parsed.args.description;
+      record.deadline = Number(parsed.args.deadline);
+      // Voting power is read one block before creation
+      record.snapshotBlock = log.blockNumber - 1;
+      break;
+    case "VoteCast":
+      record.voter = parsed.args.voter;
+      record.support = VOTE_TYPE_NAMES[Number(parsed.args.support)];
+      record.weight = parsed.args.weight.toString();
+      record.reason = parsed.args.reason;
+      break;
+    case "VoteChanged":
+      record.voter = parsed.args.voter;
+      record.previousSupport = VOTE_TYPE_NAMES[Number(parsed.args.oldSupport)];
+      record.support = VOTE_TYPE_NAMES[Number(parsed.args.newSupport)];
+      record.weight = parsed.args.weight.toString();
+      record.reason = parsed.args.reason;
+      break;
+    case "ProposalQueued":
+      record.eta = Number(parsed.args.eta);
+      break;
+    case "ProposalExecuted":
+      record.passed = parsed.args.passed;
+      break;
+    case "ProposalCanceled":
+      record.canceledBy = parsed.args.canceledBy;
+      break;
+  }
+  return record;
+}
+
+function addToTally(proposal, support, weight) {
+  if (support === "For") {
+    proposal.yesVotes += weight;
+  } else if (support === "Against") {
+    proposal.noVotes += weight;
+  } else {
+    proposal.abstainVotes += weight;
+  }
+}
+
+/**
+ * Folds the stored events into proposals and votes.
+ *
+ * A proposal's status is the last lifecycle step recorded by an event: Active, Queued,
+ * Executed, Defeated (finalized without passing), Canceled or Expired. Time-based states
+ * such as "voting ended but nobody finalized it yet" are left to the contract's state().
+ * A changed vote keeps its original block and transaction, with the latest choice and reason.
+ */
+function buildView(events) {
+  const proposals = new Map();
+  const votes = [];
+
+  for (const record of events) {
+    if (record.event === "ProposalCreated") {
+      proposals.set(record.proposalId, {
+        id: record.proposalId,
+        proposer: record.proposer,
+        description: record.description,
+        deadline: record.deadline,
+        snapshotBlock: record.snapshotBlock,
+        eligibleSupply: record.eligibleSupply,
+        votingMode: record.votingMode,
+        createdBlock: record.blockNumber,
+        transactionHash: record.transactionHash,
+        status: "Active",
+        eta: 0,
+        yesVotes: 0n,
+        noVotes: 0n,
+        abstainVotes: 0n,
+        votedTokens: 0n,
+        voterCount: 0
+      });
+      continue;
+    }
+
+    const proposal = proposals.get(record.proposalId);
+    if (!proposal) {
+      // Created before the start block; nothing to attach the event to
+      continue;
+    }
+
+    switch (record.event) {
+      case "VoteCast": {
+        addToTally(proposal, record.support, BigInt(record.weight));
+        // Quadratic votes carry the proposal's running token total; linear weights are tokens
+        proposal.votedTokens = record.votedTokens !== undefined
+          ? BigInt(record.votedTokens)
+          : proposal.votedTokens + BigInt(record.weight);
+        proposal.voterCount++;
+        votes.push({
+          proposalId: record.proposalId,
+          voter: record.voter,
+          support: record.support,
+          weight: record.weight,
+          reason: record.reason,
+          blockNumber: record.blockNumber,
+          transactionHash: record.transactionHash
+        });
+        break;
+      }
+      case "VoteChanged": {
+        const weight = BigInt(record.weight);
+        addToTally(proposal, record.previousSupport, -weight);
+        addToTally(proposal, record.support, weight);
+
+        const vote = votes.find((v) => v.proposalId === record.proposalId && v.voter === record.voter);
+        if (vote) {
+          vote.support = record.support;
+          vote.reason = record.reason;
+        }
+        break;
+      }
+      case "ProposalQueued":
+        proposal.status = "Queued";
+        proposal.eta = record.eta;
+        break;
+      case "ProposalExecuted":
+        proposal.status = record.passed ? "Executed" : "Defeated";
+        break;
+      case "ProposalCanceled":
+        proposal.status = "Canceled";
+        break;
+      case "ProposalExpired":
+        proposal.status = "Expired";
+        break;
+    }
+  }
+
+  return { proposals, votes };
+}
+
+function serializeIndexedProposal(proposal) {
+  return {
+    ...proposal,
+    yesVotes: proposal.yesVotes.toString(),
+    noVotes: proposal.noVotes.toString(),
+    abstainVotes: proposal.abstainVotes.toString(),
+    votedTokens: proposal.votedTokens.toString()
+  };
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Creates an indexer for a ProposalVoting contract.
+ *
+ * sync() catches up from the last processed block to the chain head, first rolling back
+ * any blocks that are no longer canonical. Progress is saved to `file` (when given) after
+ * every batch, so a restarted indexer resumes where it stopped.
+ *
+ * Only the hashes of the last reorgDepth tracked blocks are kept; a reorg deeper than
+ * that rebuilds the index from the start block.
+ */
+async function createIndexer(contract, {
+  file,
+  startBlock = 0,
+  batchSize = DEFAULT_BATCH_SIZE,
+  reorgDepth = DEFAULT_REORG_DEPTH,
+  log = () => {}
+} = {}) {
+  const provider = contract.runner.provider;
+  const address = await contract.getAddress();
+  const chainId = Number((await provider.getNetwork()).chainId);
+
+  let store = readStore(file);
+  if (store) {
+    if (store.version !== STORE_VERSION) {
+      throw new Error(`${file} was written by an incompatible indexer version (${store.version})`);
+    }
+    if (!sameAddress(store.contract, address) || store.chainId !== chainId) {
+      throw new Error(`${file} indexes ${store.contract} on chain ${store.chainId}, not ${address} on chain ${chainId}`);
+    }
+  } else {
+    store = emptyStore(address, chainId, startBlock);
+  }
+
+  let view;
+  const getView = () => {
+    view = view || buildView(store.events);
+    return view;
+  };
+
+  const rememberBlock = (number, hash) => {
+    store.blockHashes[number] = hash;
+    const tracked = Object.keys(store.blockHashes).map(Number).sort((a, b) => b - a);
+    for (const stale of tracked.slice(reorgDepth)) {
+      delete store.blockHashes[stale];
+    }
+  };
+
+  /**
+   * Drops everything above blockNumber, e.g. after a reorg.
+   */
+  const rollback = (blockNumber) => {
+    const target = Math.max(blockNumber, store.startBlock - 1);
+    store.events = store.events.filter((record) => record.blockNumber <= target);
+    for (const number of Object.keys(store.blockHashes).map(Number)) {
+      if (number > target) {
+        delete store.blockHashes[number];
+      }
+    }
+    store.lastBlock = Math.min(store.lastBlock, target);
+    view = undefined;
+  };
+
+  /**
+   * Finds the newest tracked block that is still canonical and rolls back to it.
+   * Returns the number of blocks rolled back.
+   */
+  const handleReorg = async () => {
+    const tracked = Object.keys(store.blockHashes).map(Number).sort((a, b) => b - a);
+    if (tracked.length === 0) {
+      return 0;
+    }
+
+    for (const number of tracked) {
+      const block = await provider.getBlock(number);
+      if (block && block.hash === store.blockHashes[number]) {
+        if (number === store.lastBlock) {
+          return 0;
+        }
+        const depth = store.lastBlock - number;
+        log(`Reorg detected: rolling back ${depth} block(s) to ${number}`);
+        rollback(number);
+        return depth;
+      }
+    }
+
+    const depth = store.lastBlock - (store.startBlock - 1);
+    log(`Reorg deeper than the ${tracked.length} tracked block(s): re-indexing from block ${store.startBlock}`);
+    rollback(store.startBlock - 1);
+    return depth;
+  };
+
+  const processRange = async (fromBlock, toBlock) => {
+    const logs = await provider.getLogs({ address, fromBlock, toBlock });
+
+    for (const entry of logs) {
+      const parsed = contract.interface.parseLog(entry);
+      if (!parsed || !INDEXED_EVENTS.includes(parsed.name)) {
+        continue;
+      }
+
+      const record = toRecord(parsed, entry);
+      if (record.event === "ProposalCreated") {
+        // Stored now so participation never needs another RPC call
+        record.eligibleSupply = (await contract.getPastTotalSupply(record.snapshotBlock)).toString();
+        record.votingMode = VOTING_MODE_NAMES[Number((await contract.getProposal(record.proposalId)).votingMode)];
+      } else if (record.event === "VoteCast") {
+        // A quadratic weight is the square root of the tokens behind it, so the tokens that
+        // voted are read from the proposal as of the vote's block
+        const created = store.events.find((e) => e.event === "ProposalCreated" && e.proposalId === record.proposalId);
+        if (created && created.votingMode === "Quadratic") {
+          const proposal = await contract.getProposal(record.proposalId, { blockTag: entry.blockNumber });
+          record.votedTokens = proposal.votedTokens.toString();
+        }
+      }
+      store.events.push(record);
+      rememberBlock(entry.blockNumber, entry.blockHash);
+    }
+
+    const end = await provider.getBlock(toBlock);
+    rememberBlock(toBlock, end.hash);
+    store.lastBlock = toBlock;
+    view = undefined;
+  };
+
+  /**
+   * Indexes up to the current head. Returns the processed range and any rollback depth.
+   */
+  const sync = async () => {
+    const rolledBack = await handleReorg();
+    if (rolledBack > 0) {
+      writeStore(file, store);
+    }
+
+    const head = await provider.getBlockNumber();
+    const fromBlock = store.lastBlock + 1;
+
+    for (let from = fromBlock; from <= head; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, head);
+      await processRange(from, to);
+      writeStore(file, store);
+      log(`Indexed blocks ${from}-${to}`);
+    }
+
+    return { fromBlock, toBlock: store.lastBlock, rolledBack };
+  };
+
+  return {
+    sync,
+    rollback,
+
+    get lastBlock() {
+      return store.lastBlock;
+    },
+
+    getProposals() {
+      return [...getView().proposals.values()].map(serializeIndexedProposal);
+    },
+
+    getProposal(id) {
+      const proposal = getView().proposals.get(Number(id));
+      return proposal && serializeIndexedProposal(proposal);
+    },
+
+    getVotesByProposal(id) {
+      return getView().votes.filter((vote) => vote.proposalId === Number(id));
+    },
+
+    getVotesByVoter(voter) {
+      return getView().votes.filter((vote) => sameAddress(vote.voter, voter));
+    },
+
+    /**
+     * Turnout for one proposal: voters, weight cast, tokens behind it, and the share of the
+     * snapshot supply that voted, in basis points. Turnout counts tokens, which on quadratic
+     * proposals are more than the weight cast.
+     */
+    getParticipation(id) {
+      const proposal = getView().proposals.get(Number(id));
+      if (!proposal) {
+        return undefined;
+      }
+
+      const votedWeight = proposal.yesVotes + proposal.noVotes + proposal.abstainVotes;
+      const eligible = BigInt(proposal.eligibleSupply);
+      return {
+        proposalId: proposal.id,
+        voterCount: proposal.voterCount,
+        votedWeight: votedWeight.toString(),
+        votedTokens: proposal.votedTokens.toString(),
+        eligibleSupply: proposal.eligibleSupply,
+        participationBps: eligible === 0n ? 0 : Number((proposal.votedTokens * 10000n) / eligible)
+      };
+    }
+  };
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      contract: { type: "string" },
+      store: { type: "string", default: "index.json" },
+      "from-block": { type: "string" },
+      "batch-size": { type: "string", default: String(DEFAULT_BATCH_SIZE) },
+      watch: { type: "boolean", default: false },
+      interval: { type: "string", default: "5000" }
+    }
+  });
+
+  const hre = require("hardhat");
+  const contract = await getDeployedContract(hre, { address: values.contract });
+
+  let startBlock = 0;
+  if (values["from-block"] !== undefined) {
+    startBlock = Number(values["from-block"]);
+  } else if (!values.contract && hasDeployment(hre.network.name)) {
+    startBlock = loadDeployment(hre.network.name).blockNumber;
+  }
+
+  const indexer = await createIndexer(contract, {
+    file: values.store,
+    startBlock,
+    batchSize: Number(values["batch-size"]),
+    log: console.log
+  });
+
+  console.log("🔎 Indexing", await contract.getAddress(), "on", hre.network.name);
+
+  const report = async () => {
+    const { rolledBack } = await indexer.sync();
+    const proposals = indexer.getProposals();
+    const voteCount = proposals.reduce((sum, p) => sum + p.voterCount, 0);
+    console.log(`✅ Up to block ${indexer.lastBlock}: ${proposals.length} proposal(s), ${voteCount} vote(s)` +
+      (rolledBack > 0 ? `, rolled back ${rolledBack} block(s)` : ""));
+  };
+
+  await report();
+  if (!values.watch) {
+    return;
+  }
+
+  // Keep following the chain until interrupted; syncs never overlap
+  let stopped = false;
+  process.on("SIGINT", () => {
+    stopped = true;
+  });
+  while (!stopped) {
+    await new Promise((resolve) => setTimeout(resolve, Number(values.interval)));
+    await report().catch((error) => console.error("Sync failed:", error.message));
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  createIndexer
+};
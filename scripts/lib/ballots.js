@@ -0,0 +1,135 @@
+// EIP-712 helpers for the signed ballots accepted by ProposalVoting.voteBySig
+
+const fs = require("fs");
+const { parseSupport } = require("./proposals");
+
+const BALLOT_TYPES = {
+  Ballot: [
+    { name: "proposalId", type: "uint256" },
+    { name: "support", type: "uint8" },
+    { name: "voter", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" }
+  ]
+};
+
+/**
+ * Reads the signing domain straight from the contract (ERC-5267), so the
+ * name, version and chain id always match what voteBySig verifies against.
+ */
+async function getBallotDomain(contract) {
+  const { name, version, chainId, verifyingContract } = await contract.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * Signs a ballot with an ethers v6 signer.
+ *
+ * The nonce defaults to the voter's current on-chain nonce and the expiry to
+ * one day after the latest block. Returns a JSON-friendly ballot ready for the relayer.
+ */
+async function signBallot(signer, contract, { proposalId, support, nonce, expiry }) {
+  const voter = await signer.getAddress();
+  if (expiry === undefined) {
+    // Use chain time rather than the local clock, which drifts on simulated networks
+    const latest = await signer.provider.getBlock("latest");
+    expiry = latest.timestamp + 24 * 60 * 60;
+  }
+
+  const ballot = {
+    proposalId: BigInt(proposalId),
+    support: parseSupport(support),
+    voter,
+    nonce: nonce === undefined ? await contract.nonces(voter) : BigInt(nonce),
+    expiry: BigInt(expiry)
+  };
+
+  const signature = await signer.signTypedData(await getBallotDomain(contract), BALLOT_TYPES, ballot);
+
+  return {
+    proposalId: ballot.proposalId.toString(),
+    support: ballot.support,
+    voter: ballot.voter,
+    nonce: ballot.nonce.toString(),
+    expiry: ballot.expiry.toString(),
+    signature
+  };
+}
+
+/**
+ * Picks the nonce for a voter's next ballot when earlier ones are still waiting to be relayed.
+ *
+ * voteBySig only accepts the voter's current nonce, so the next ballot has to come after both
+ * the on-chain nonce and every unrelayed ballot of the same voter in `pending`.
+ */
+async function nextBallotNonce(contract, voter, pending = []) {
+  let nonce = await contract.nonces(voter);
+  for (const ballot of pending) {
+    if (ballot.voter.toLowerCase() === voter.toLowerCase() && BigInt(ballot.nonce) >= nonce) {
+      nonce = BigInt(ballot.nonce) + 1n;
+    }
+  }
+  return nonce;
+}
+
+/**
+ * Checks that a ballot has every field voteBySig needs and normalizes it.
+ */
+function normalizeBallot(ballot) {
+  const required = ["proposalId", "support", "voter", "nonce", "expiry", "signature"];
+  for (const field of required) {
+    if (ballot[field] === undefined || ballot[field] === null) {
+      throw new Error(`Ballot is missing "${field}"`);
+    }
+  }
+
+  return {
+    proposalId: BigInt(ballot.proposalId),
+    support: parseSupport(ballot.support),
+    voter: ballot.voter,
+    nonce: BigInt(ballot.nonce),
+    expiry: BigInt(ballot.expiry),
+    signature: ballot.signature
+  };
+}
+
+/**
+ * Reads ballots from a JSON file holding either an array or `{ "ballots": [...] }`.
+ */
+function loadBallotsFromFile(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const ballots = Array.isArray(parsed) ? parsed : parsed.ballots;
+
+  if (!Array.isArray(ballots)) {
+    throw new Error(`${filePath} must contain an array of ballots`);
+  }
+  return ballots;
+}
+
+/**
+ * Writes ballots to a JSON file, keeping the `{ "ballots": [...] }` form (and any other
+ * fields) when the file already uses it, and a bare array otherwise.
+ */
+function saveBallotsToFile(filePath, ballots) {
+  const existing = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : [];
+  const contents = Array.isArray(existing) ? ballots : { ...existing, ballots };
+  fs.writeFileSync(filePath, JSON.stringify(contents, null, 2) + "\n");
+}
+
+/**
+ * Positional arguments for contract.voteBySig.
+ */
+function ballotArgs(ballot) {
+  return [ballot.proposalId, ballot.support, ballot.voter, ballot.nonce, ballot.expiry, ballot.signature];
+}
+
+module.exports = {
+  BALLOT_TYPES,
+  getBallotDomain,
+  signBallot,
+  nextBallotNonce,
+  normalizeBallot,
+  ballotArgs,
+  loadBallotsFromFile,
+  saveBallotsToFile
+};
@@ -0,0 +1,180 @@
+// Deployment manifests: one deployments/<network>.json per network, written when deploying
+// (scripts/deploy.js or `gov:deploy`) and read by the other scripts and tasks so they can
+// find the contract by network name.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+// Networks whose state disappears with the process; nothing is worth recording for them
+const EPHEMERAL_NETWORKS = ["hardhat"];
+
+// Local chains only need a single confirmation
+const LOCAL_CHAIN_IDS = [31337n, 1337n];
+
+function manifestPath(network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+function hasDeployment(network, { dir = DEPLOYMENTS_DIR } = {}) {
+  return fs.existsSync(manifestPath(network, dir));
+}
+
+/**
+ * Throws when the network already has a manifest and force is not set.
+ */
+function assertCanDeploy(network, { dir = DEPLOYMENTS_DIR, force = false } = {}) {
+  if (hasDeployment(network, { dir }) && !force) {
+    const file = manifestPath(network, dir);
+    throw new Error(`A deployment already exists for network "${network}" (${file}); redeploy with --force to replace it`);
+  }
+}
+
+/**
+ * Reads the manifest for a network, failing with a hint when there is none.
+ */
+function loadDeployment(network, { dir = DEPLOYMENTS_DIR } = {}) {
+  const file = manifestPath(network, dir);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment found for network "${network}" (expected ${file}); run scripts/deploy.js or pass --contract`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Writes the manifest for a network. An existing manifest is only replaced with force,
+ * so a redeploy never silently orphans the contract other tools are pointed at.
+ */
+function saveDeployment(network, manifest, { dir = DEPLOYMENTS_DIR, force = false } = {}) {
+  assertCanDeploy(network, { dir, force });
+
+  const file = manifestPath(network, dir);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Resolves the ProposalVoting address to use: the explicit address when given,
+ * otherwise the one recorded for the current network.
+ *
+ * A manifest from another chain, or one whose contract is gone (e.g. a restarted
+ * local node), is rejected rather than silently used.
+ */
+async function resolveContractAddress(hre, address, { dir = DEPLOYMENTS_DIR } = {}) {
+  if (address) {
+    return address;
+  }
+
+  const deployment = loadDeployment(hre.network.name, { dir });
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (deployment.chainId !== undefined && BigInt(deployment.chainId) !== chainId) {
+    throw new Error(`Deployment for "${hre.network.name}" was made on chain ${deployment.chainId}, but the network is chain ${chainId}`);
+  }
+  if ((await hre.ethers.provider.getCode(deployment.address)) === "0x") {
+    throw new Error(`No contract at ${deployment.address} on "${hre.network.name}"; the deployment manifest is stale`);
+  }
+  return deployment.address;
+}
+
+/**
+ * Attaches to ProposalVoting at the explicit address or the current network's deployment.
+ */
+async function getDeployedContract(hre, { address, signer, dir } = {}) {
+  const resolved = await resolveContractAddress(hre, address, { dir });
+  return hre.ethers.getContractAt("ProposalVoting", resolved, signer);
+}
+
+/**
+ * Deploys ProposalVoting with its MultipleChoiceVoting module and ProposalVotingLens, and
+ * writes the manifest.
+ *
+ * Waits for 5 confirmations on public networks and 1 on local ones, and refuses to
+ * run at all when the network already has a manifest, unless force is set.
+ * No manifest is saved for the in-process hardhat network unless save is set.
+ * The contracts deployed next to ProposalVoting are recorded under `modules`, including the
+ * ProposalBonds module that ProposalVoting's constructor creates.
+ * Returns the manifest (with the contract instance attached as `contract`).
+ */
+async function deploy(hre, { force = false, save, confirmations, dir, log = () => {} } = {}) {
+  const network = hre.network.name;
+  save = save ?? !EPHEMERAL_NETWORKS.includes(network);
+  if (save) {
+    // Checked up front so a refused redeploy costs no gas
+    assertCanDeploy(network, { dir, force });
+  }
+
+  const [deployer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const required = confirmations ?? (LOCAL_CHAIN_IDS.includes(chainId) ? 1 : 5);
+
+  const constructorArgs = [];
+  const ProposalVoting = await hre.ethers.getContractFactory("ProposalVoting", deployer);
+  const proposalVoting = await ProposalVoting.deploy(...constructorArgs);
+  const deploymentTx = proposalVoting.deploymentTransaction();
+  log(`Deployment transaction: ${deploymentTx.hash}`);
+
+  log(`Waiting for ${required} confirmation(s)...`);
+  const receipt = await deploymentTx.wait(required);
+
+  const moduleArgs = [await proposalVoting.getAddress()];
+  const modules = {
+    // Created by ProposalVoting's constructor, in the same transaction
+    ProposalBonds: {
+      address: await proposalVoting.proposalBonds(),
+      transactionHash: deploymentTx.hash,
+      blockNumber: receipt.blockNumber,
+      constructorArgs: moduleArgs,
+      abi: JSON.parse((await hre.ethers.getContractFactory("ProposalBonds")).interface.formatJson())
+    }
+  };
+  for (const name of ["MultipleChoiceVoting", "ProposalVotingLens"]) {
+    const factory = await hre.ethers.getContractFactory(name, deployer);
+    const deployed = await factory.deploy(...moduleArgs);
+    const moduleTx = deployed.deploymentTransaction();
+    log(`${name} deployment transaction: ${moduleTx.hash}`);
+    const moduleReceipt = await moduleTx.wait(required);
+
+    modules[name] = {
+      address: await deployed.getAddress(),
+      transactionHash: moduleTx.hash,
+      blockNumber: moduleReceipt.blockNumber,
+      constructorArgs: moduleArgs,
+      abi: JSON.parse(factory.interface.formatJson())
+    };
+  }
+
+  const manifest = {
+    contractName: "ProposalVoting",
+    network,
+    chainId: Number(chainId),
+    address: await proposalVoting.getAddress(),
+    deployer: deployer.address,
+    transactionHash: deploymentTx.hash,
+    blockNumber: receipt.blockNumber,
+    constructorArgs,
+    deployedAt: new Date().toISOString(),
+    abi: JSON.parse(ProposalVoting.interface.formatJson()),
+    modules
+  };
+
+  if (save) {
+    manifest.file = saveDeployment(network, manifest, { dir, force });
+  }
+
+  Object.defineProperty(manifest, "contract", { value: proposalVoting, enumerable: false });
+  return manifest;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  manifestPath,
+  hasDeployment,
+  assertCanDeploy,
+  loadDeployment,
+  saveDeployment,
+  resolveContractAddress,
+  getDeployedContract,
+  deploy
+};
@@ -0,0 +1,29 @@
+// Revert decoding shared by the relayer and the scenario runner
+
+/**
+ * Extracts a readable revert reason from an ethers error.
+ *
+ * Plain JSON-RPC providers decode the revert for us; Hardhat's providers only
+ * hand back the raw revert data (directly or as `data.data`), which is decoded
+ * with the contract ABI.
+ */
+function describeError(error, contractInterface) {
+  if (error.reason) {
+    return error.reason;
+  }
+
+  let revert = error.revert;
+  const data = typeof error.data === "string" ? error.data : error.data && error.data.data;
+  if (!revert && contractInterface && typeof data === "string") {
+    revert = contractInterface.parseError(data);
+  }
+  if (revert) {
+    return revert.name === "Error" ? revert.args[0] : revert.name;
+  }
+
+  return error.shortMessage || error.message;
+}
+
+module.exports = {
+  describeError
+};
@@ -0,0 +1,38 @@
+// Small JSON-over-HTTP helpers shared by the relayer and API servers
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Writes a JSON response. BigInts are written as decimal strings, since JSON has no
+ * integer type wide enough for token amounts.
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body || "null"));
+      } catch {
+        reject(new Error("Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+module.exports = {
+  sendJson,
+  readJsonBody
+};
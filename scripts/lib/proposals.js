@@ -0,0 +1,130 @@
+// Shared names and formatting for ProposalVoting proposals, used by the scripts and Hardhat tasks
+
+const { Contract } = require("ethers");
+
+// Mirrors the contract's ProposalStatus enum (the stored status)
+const STATUS_NAMES = ["Active", "Passed", "Failed", "Executed", "Queued", "Expired", "DefeatedQuorum", "Canceled"];
+
+// Mirrors the contract's ProposalState enum (the lifecycle computed by state())
+const STATE_NAMES = ["Pending", "Active", "Canceled", "Defeated", "Succeeded", "Queued", "Expired", "Executed"];
+
+// Mirrors the contract's VoteType enum
+const VOTE_TYPE_NAMES = ["Against", "For", "Abstain"];
+
+// Mirrors the contract's VotingMode enum
+const VOTING_MODE_NAMES = ["Linear", "Quadratic"];
+
+// The ProposalBonds views the scripts read; ProposalVoting deploys the module and exposes its address
+const PROPOSAL_BONDS_ABI = [
+  "function proposalBond() view returns (uint256)",
+  "function maxActiveProposals() view returns (uint256)",
+  "function proposalCooldown() view returns (uint256)",
+  "function escrowedBond(uint256 proposalId) view returns (uint256)"
+];
+
+/**
+ * Accepts a VoteType number or one of "against" / "for" / "abstain" (any case).
+ */
+function parseSupport(support) {
+  if (typeof support === "string") {
+    const index = VOTE_TYPE_NAMES.findIndex((name) => name.toLowerCase() === support.toLowerCase());
+    if (index !== -1) {
+      return index;
+    }
+  }
+
+  const value = Number(support);
+  if (!Number.isInteger(value) || VOTE_TYPE_NAMES[value] === undefined) {
+    throw new Error(`Invalid support value: ${support}`);
+  }
+  return value;
+}
+
+/**
+ * Looks up a status or state by name (any case), returning its enum index.
+ */
+function parseStatusName(names, name) {
+  const index = names.findIndex((candidate) => candidate.toLowerCase() === String(name).toLowerCase());
+  if (index === -1) {
+    throw new Error(`Unknown status "${name}", expected one of: ${names.join(", ")}`);
+  }
+  return index;
+}
+
+/**
+ * Converts a getProposal() result into a plain object. Token amounts are
+ * returned as decimal strings (wei) so the result survives JSON.stringify.
+ */
+function serializeProposal(proposal, state) {
+  const serialized = {
+    id: Number(proposal.id),
+    description: proposal.description,
+    proposer: proposal.proposer,
+    status: STATUS_NAMES[Number(proposal.status)],
+    yesVotes: proposal.yesVotes.toString(),
+    noVotes: proposal.noVotes.toString(),
+    abstainVotes: proposal.abstainVotes.toString(),
+    createdAt: Number(proposal.createdAt),
+    snapshotBlock: Number(proposal.snapshotBlock),
+    deadline: Number(proposal.deadline),
+    eta: Number(proposal.eta),
+    executed: proposal.executed,
+    params: {
+      votingThreshold: Number(proposal.params.votingThreshold),
+      quorumBasisPoints: Number(proposal.params.quorumBasisPoints),
+      timelockDelay: Number(proposal.params.timelockDelay),
+      voteLockWindow: Number(proposal.params.voteLockWindow)
+    },
+    votingMode: VOTING_MODE_NAMES[Number(proposal.votingMode)],
+    votedTokens: proposal.votedTokens.toString()
+  };
+
+  if (state !== undefined) {
+    serialized.state = STATE_NAMES[Number(state)];
+  }
+  return serialized;
+}
+
+/**
+ * Attaches to the ProposalBonds module of a ProposalVoting contract, using the same runner.
+ */
+async function getProposalBonds(contract) {
+  return new Contract(await contract.proposalBonds(), PROPOSAL_BONDS_ABI, contract.runner);
+}
+
+/**
+ * Reads a proposal with its lifecycle state, quorum progress, bond still held in escrow and
+ * off-chain content hash (null for plain proposals), serialized as above.
+ * Pass `{ blockTag }` as overrides to read it as of an earlier block.
+ */
+async function loadProposal(contract, id, overrides = {}) {
+  const bonds = await getProposalBonds(contract);
+  const [proposal, state, counts, contentHash, escrowedBond] = await Promise.all([
+    contract.getProposal(id, overrides),
+    contract.state(id, overrides),
+    contract.getVoteCounts(id, overrides),
+    contract.proposalContentHash(id, overrides),
+    bonds.escrowedBond(id, overrides)
+  ]);
+
+  return {
+    ...serializeProposal(proposal, state),
+    contentHash: BigInt(contentHash) === 0n ? null : contentHash,
+    quorumVotes: counts.quorumVotes.toString(),
+    quorumReached: counts.quorumReached,
+    escrowedBond: escrowedBond.toString()
+  };
+}
+
+module.exports = {
+  STATUS_NAMES,
+  STATE_NAMES,
+  VOTE_TYPE_NAMES,
+  VOTING_MODE_NAMES,
+  PROPOSAL_BONDS_ABI,
+  parseSupport,
+  parseStatusName,
+  serializeProposal,
+  getProposalBonds,
+  loadProposal
+};
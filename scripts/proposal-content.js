@@ -0,0 +1,177 @@
+// Proposals with off-chain bodies: hashes a Markdown document, submits it as a title plus
+// content hash, and later checks a document against the hash stored on-chain.
+//
+// Usage:
+//   node scripts/proposal-content.js hash proposal.md [--algorithm sha256]
+//   HARDHAT_NETWORK=localhost node scripts/proposal-content.js submit proposal.md [--title "..."] [--period 259200] [--algorithm keccak256]
+//   HARDHAT_NETWORK=localhost node scripts/proposal-content.js verify proposal.md --proposal 3
+//
+// keccak256 (the default) hashes the raw file bytes. sha256 produces the digest of the file's
+// IPFS CIDv1 when it is added as a single raw block (`ipfs add --cid-version 1 --raw-leaves`,
+// files up to 256 KiB), and the matching CID is printed alongside.
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { getDeployedContract } = require("./lib/deployments");
+
+const ALGORITHMS = ["keccak256", "sha256"];
+
+// Multicodec prefix of a CIDv1 with the raw codec (0x55) and a 32-byte sha2-256 multihash (0x12, 0x20)
+const RAW_CID_PREFIX = Uint8Array.from([0x01, 0x55, 0x12, 0x20]);
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+/**
+ * Hashes a document's bytes with keccak256 or sha256, returning a 0x-prefixed bytes32.
+ */
+function hashDocument(content, algorithm = "keccak256") {
+  const bytes = typeof content === "string" ? ethers.toUtf8Bytes(content) : content;
+  switch (algorithm) {
+    case "keccak256":
+      return ethers.keccak256(bytes);
+    case "sha256":
+      return ethers.sha256(bytes);
+    default:
+      throw new Error(`Unknown hash algorithm "${algorithm}", expected one of: ${ALGORITHMS.join(", ")}`);
+  }
+}
+
+/**
+ * Encodes a sha256 digest as the base32 CIDv1 ("bafkrei...") of a raw IPFS block.
+ */
+function digestToCid(digest) {
+  const bytes = new Uint8Array([...RAW_CID_PREFIX, ...ethers.getBytes(digest)]);
+
+  let bits = 0;
+  let value = 0;
+  let encoded = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      encoded += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    encoded += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return `b${encoded}`;
+}
+
+/**
+ * Uses the first Markdown heading as the title, falling back to the first non-empty line.
+ */
+function extractTitle(markdown) {
+  const lines = markdown.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  const heading = lines.find((line) => line.startsWith("#"));
+  return (heading ? heading.replace(/^#+\s*/, "") : lines[0] || "").trim();
+}
+
+/**
+ * Submits a document as a content-hash proposal and returns the new proposal ID.
+ */
+async function submitDocument(contract, content, { title, votingPeriod, algorithm = "keccak256", targets = [], values = [], calldatas = [] }) {
+  const proposalTitle = title || extractTitle(typeof content === "string" ? content : ethers.toUtf8String(content));
+  if (!proposalTitle) {
+    throw new Error("The document has no heading to use as a title; pass one explicitly");
+  }
+
+  const contentHash = hashDocument(content, algorithm);
+  const tx = await contract.createProposalWithContent(proposalTitle, contentHash, votingPeriod, targets, values, calldatas);
+  const receipt = await tx.wait();
+  const event = receipt.logs
+    .map((log) => contract.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "ProposalCreated");
+
+  return { proposalId: Number(event.args.proposalId), title: proposalTitle, contentHash, algorithm, txHash: tx.hash };
+}
+
+/**
+ * Checks a document against a proposal's stored content hash under every supported algorithm.
+ * `algorithm` is the one that matched, or undefined when none did.
+ */
+async function verifyDocument(contract, proposalId, content) {
+  const expected = await contract.proposalContentHash(proposalId);
+  if (expected === ethers.ZeroHash) {
+    throw new Error(`Proposal ${proposalId} has no off-chain content hash`);
+  }
+
+  const algorithm = ALGORITHMS.find((candidate) => hashDocument(content, candidate) === expected);
+  return { valid: algorithm !== undefined, algorithm, expected };
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      contract: { type: "string" },
+      title: { type: "string" },
+      period: { type: "string", default: String(3 * 24 * 60 * 60) },
+      algorithm: { type: "string", default: "keccak256" },
+      proposal: { type: "string" }
+    }
+  });
+
+  const [command, file] = positionals;
+  if (!["hash", "submit", "verify"].includes(command) || !file) {
+    throw new Error("Usage: proposal-content.js (hash | submit | verify) <file> [--title] [--period] [--algorithm keccak256|sha256] [--proposal <id>]");
+  }
+  const content = fs.readFileSync(file);
+
+  if (command === "hash") {
+    const hash = hashDocument(content, values.algorithm);
+    console.log(`${values.algorithm}: ${hash}`);
+    if (values.algorithm === "sha256") {
+      console.log(`IPFS CID:  ${digestToCid(hash)}`);
+    }
+    return;
+  }
+
+  const hre = require("hardhat");
+  const [signer] = await hre.ethers.getSigners();
+  const contract = await getDeployedContract(hre, { address: values.contract, signer });
+
+  if (command === "submit") {
+    const result = await submitDocument(contract, content, {
+      title: values.title,
+      votingPeriod: Number(values.period),
+      algorithm: values.algorithm
+    });
+    console.log(`✅ Created proposal #${result.proposalId}: ${result.title}`);
+    console.log(`  Content hash (${result.algorithm}): ${result.contentHash}`);
+    if (result.algorithm === "sha256") {
+      console.log(`  IPFS CID: ${digestToCid(result.contentHash)}`);
+    }
+    console.log(`  Tx: ${result.txHash}`);
+    return;
+  }
+
+  if (!values.proposal) {
+    throw new Error("verify needs --proposal <id>");
+  }
+  const { valid, algorithm, expected } = await verifyDocument(contract, values.proposal, content);
+  if (!valid) {
+    console.log(`❌ ${file} does not match proposal #${values.proposal} (expected ${expected})`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`✅ ${file} matches proposal #${values.proposal} (${algorithm})`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit())
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  hashDocument,
+  digestToCid,
+  extractTitle,
+  submitDocument,
+  verifyDocument
+};
@@ -0,0 +1,260 @@
+// Gasless voting relayer: collects EIP-712 signed ballots and submits them through voteBySig.
+//
+// Usage (against a running `npx hardhat node`):
+//   HARDHAT_NETWORK=localhost node scripts/relayer.js --contract <address> --file ballots.json
+//   HARDHAT_NETWORK=localhost node scripts/relayer.js --serve --port 8787
+//
+// Without --contract the relayer uses the network's deployments/<network>.json manifest.
+//
+// In server mode, POST a ballot (or an array of ballots) to /ballots. Queued ballots are
+// submitted once a full batch is collected, every --flush-interval ms, or on POST /flush.
+// Ballots whose transaction could not be sent stay queued for the next flush.
+
+const http = require("http");
+const { parseArgs } = require("util");
+const { normalizeBallot, ballotArgs, loadBallotsFromFile } = require("./lib/ballots");
+const { getDeployedContract } = require("./lib/deployments");
+const { describeError } = require("./lib/errors");
+const { sendJson, readJsonBody } = require("./lib/http");
+
+const DEFAULT_BATCH_SIZE = 20;
+
+/**
+ * Submits ballots through voteBySig, batchSize transactions at a time.
+ *
+ * Every ballot is simulated first so that expired, badly signed or duplicate
+ * ballots are reported as rejected instead of costing the relayer gas.
+ * The transactions of a batch are sent back to back and then awaited together, except that
+ * voteBySig only accepts a voter's next nonce: each voter's ballots are sent in nonce order,
+ * and one is only simulated once the voter's previous transaction is mined.
+ * Ballots that passed simulation but whose transaction could not be sent, e.g. because
+ * the node was unreachable, are returned in `unsent` so they can be retried, together with
+ * the voter's later ballots.
+ */
+async function submitBallots(contract, ballots, { batchSize = DEFAULT_BATCH_SIZE, log = () => {} } = {}) {
+  const submitted = [];
+  const rejected = [];
+  const unsent = [];
+  const seen = new Set();
+
+  const valid = [];
+  for (const raw of ballots) {
+    let ballot;
+    try {
+      ballot = normalizeBallot(raw);
+    } catch (error) {
+      rejected.push({ ballot: raw, reason: error.message });
+      continue;
+    }
+
+    const key = `${ballot.voter.toLowerCase()}:${ballot.nonce}`;
+    if (seen.has(key)) {
+      rejected.push({ ballot: raw, reason: "Duplicate ballot nonce" });
+      continue;
+    }
+    seen.add(key);
+    valid.push({ raw, ballot });
+  }
+  // Stable, so ballots of different voters keep their relative order
+  valid.sort((a, b) => (a.ballot.nonce < b.ballot.nonce ? -1 : a.ballot.nonce > b.ballot.nonce ? 1 : 0));
+
+  // Waits for a sent ballot's transaction once, however many times it is awaited
+  const settle = (entry) => {
+    entry.settled ??= entry.tx.wait().then(
+      () => submitted.push({ voter: entry.ballot.voter, proposalId: entry.ballot.proposalId.toString(), txHash: entry.tx.hash }),
+      (error) => rejected.push({ ballot: entry.raw, reason: describeError(error, contract.interface) })
+    );
+    return entry.settled;
+  };
+  // Voters with a ballot that couldn't be sent; their later nonces can't be used yet
+  const held = new Set();
+
+  for (let start = 0; start < valid.length; start += batchSize) {
+    const batch = valid.slice(start, start + batchSize);
+    const pending = [];
+    const lastSent = new Map();
+
+    for (const { raw, ballot } of batch) {
+      const voter = ballot.voter.toLowerCase();
+      if (held.has(voter)) {
+        unsent.push({ ballot: raw, reason: "Waiting for an earlier ballot from the same voter" });
+        continue;
+      }
+      if (lastSent.has(voter)) {
+        await settle(lastSent.get(voter));
+      }
+
+      try {
+        await contract.voteBySig.staticCall(...ballotArgs(ballot));
+      } catch (error) {
+        rejected.push({ ballot: raw, reason: describeError(error, contract.interface) });
+        continue;
+      }
+
+      try {
+        const tx = await contract.voteBySig(...ballotArgs(ballot));
+        const entry = { raw, ballot, tx };
+        pending.push(entry);
+        lastSent.set(voter, entry);
+      } catch (error) {
+        held.add(voter);
+        unsent.push({ ballot: raw, reason: describeError(error, contract.interface) });
+      }
+    }
+
+    for (const entry of pending) {
+      await settle(entry);
+    }
+
+    log(`Batch ${start / batchSize + 1}: ${pending.length} submitted, ${batch.length - pending.length} rejected or unsent`);
+  }
+
+  return { submitted, rejected, unsent };
+}
+
+/**
+ * Creates an HTTP server that queues ballots and relays them in batches.
+ *
+ *   POST /ballots  one ballot or an array of ballots  -> 202 { queued, pending }
+ *   POST /flush    submit everything queued now        -> 200 { submitted, rejected, unsent }
+ *   GET  /ballots  list queued ballots                 -> 200 { pending: [...] }
+ *
+ * The caller is responsible for server.listen() and server.close().
+ */
+function createBallotServer(contract, { batchSize = DEFAULT_BATCH_SIZE, flushInterval = 0, log = () => {} } = {}) {
+  let queue = [];
+  // Flushes are chained so two batches never race for the relayer's nonce
+  let flushing = Promise.resolve();
+
+  const flush = () => {
+    flushing = flushing.catch(() => {}).then(async () => {
+      const ballots = queue;
+      queue = [];
+      if (ballots.length === 0) {
+        return { submitted: [], rejected: [], unsent: [] };
+      }
+
+      let result;
+      try {
+        result = await submitBallots(contract, ballots, { batchSize, log });
+      } catch (error) {
+        // Put the whole flush back rather than lose it; ballots already relayed will be rejected next time
+        queue.unshift(...ballots);
+        throw error;
+      }
+      queue.unshift(...result.unsent.map((entry) => entry.ballot));
+      log(`Relayed ${result.submitted.length} ballot(s), rejected ${result.rejected.length}, requeued ${result.unsent.length}`);
+      return result;
+    });
+    return flushing;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (req.method === "POST" && req.url === "/ballots") {
+        const body = await readJsonBody(req);
+        const ballots = Array.isArray(body) ? body : [body];
+        // Validate the shape up front so clients get immediate feedback
+        ballots.forEach(normalizeBallot);
+        queue.push(...ballots);
+
+        sendJson(res, 202, { queued: ballots.length, pending: queue.length });
+
+        if (queue.length >= batchSize) {
+          flush().catch((error) => log(`Flush failed: ${describeError(error)}`));
+        }
+        return;
+      }
+
+      if (req.method === "POST" && req.url === "/flush") {
+        sendJson(res, 200, await flush());
+        return;
+      }
+
+      if (req.method === "GET" && req.url === "/ballots") {
+        sendJson(res, 200, { pending: queue });
+        return;
+      }
+
+      sendJson(res, 404, { error: "Not found" });
+    } catch (error) {
+      sendJson(res, 400, { error: describeError(error) });
+    }
+  });
+
+  if (flushInterval > 0) {
+    const timer = setInterval(() => {
+      flush().catch((error) => log(`Flush failed: ${describeError(error)}`));
+    }, flushInterval);
+    server.on("close", () => clearInterval(timer));
+  }
+
+  server.flush = flush;
+  return server;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      contract: { type: "string" },
+      file: { type: "string" },
+      serve: { type: "boolean", default: false },
+      port: { type: "string", default: "8787" },
+      "batch-size": { type: "string", default: String(DEFAULT_BATCH_SIZE) },
+      "flush-interval": { type: "string", default: "10000" }
+    }
+  });
+
+  if (!values.file && !values.serve) {
+    throw new Error("Usage: relayer.js [--contract <address>] (--file <ballots.json> | --serve [--port 8787])");
+  }
+
+  const hre = require("hardhat");
+  const [relayer] = await hre.ethers.getSigners();
+  const contract = await getDeployedContract(hre, { address: values.contract, signer: relayer });
+  const batchSize = Number(values["batch-size"]);
+
+  console.log("📡 Relayer account:", relayer.address);
+  console.log("Network:", hre.network.name);
+  console.log("Contract:", await contract.getAddress());
+
+  if (values.file) {
+    const ballots = loadBallotsFromFile(values.file);
+    console.log(`🗳️  Relaying ${ballots.length} ballot(s) from ${values.file}...`);
+
+    const { submitted, rejected, unsent } = await submitBallots(contract, ballots, { batchSize, log: console.log });
+    submitted.forEach((s) => console.log(`✅ ${s.voter} on proposal ${s.proposalId}: ${s.txHash}`));
+    rejected.forEach((r) => console.log(`❌ ${r.ballot.voter || "unknown voter"}: ${r.reason}`));
+    unsent.forEach((u) => console.log(`⏳ ${u.ballot.voter} not sent, run again to retry: ${u.reason}`));
+    return;
+  }
+
+  const server = createBallotServer(contract, {
+    batchSize,
+    flushInterval: Number(values["flush-interval"]),
+    log: console.log
+  });
+  server.listen(Number(values.port), () => {
+    console.log(`🚀 Accepting ballots on http://127.0.0.1:${values.port}/ballots`);
+  });
+
+  // Keep running until interrupted
+  await new Promise((resolve) => process.on("SIGINT", resolve));
+  await server.flush();
+  server.close();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadBallotsFromFile,
+  submitBallots,
+  createBallotServer
+};
@@ -0,0 +1,266 @@
+// Proposal result reports for meeting minutes, in CSV, JSON or Markdown.
+//
+// Usage:
+//   HARDHAT_NETWORK=localhost node scripts/report.js --proposal 3 --format md
+//   HARDHAT_NETWORK=sepolia node scripts/report.js --from-block 5000000 --to-block 5100000 --format csv --out q3.csv
+//
+// Tallies, thresholds and quorum come from the contract's views, all read at the same block;
+// the per-voter breakdown is rebuilt from VoteCast and VoteChanged events. Amounts are in GOV.
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { loadProposal } = require("./lib/proposals");
+const { getDeployedContract, hasDeployment, loadDeployment } = require("./lib/deployments");
+const { createIndexer } = require("./indexer");
+
+const FORMATS = ["json", "csv", "md"];
+
+/**
+ * Formats numerator / denominator as a percentage with two decimals, e.g. "66.67".
+ */
+function formatPercent(numerator, denominator) {
+  if (denominator === 0n) {
+    return "0.00";
+  }
+  const hundredths = (numerator * 10000n) / denominator;
+  return `${hundredths / 100n}.${(hundredths % 100n).toString().padStart(2, "0")}`;
+}
+
+function formatBasisPoints(bps) {
+  return formatPercent(BigInt(bps), 10000n);
+}
+
+/**
+ * Builds the report for the given proposals, or for every proposal created between
+ * fromBlock and toBlock (inclusive).
+ *
+ * Everything is read as of the latest block when the report starts, which is recorded
+ * in `computedAt` so the numbers can be reproduced later.
+ */
+async function buildReport(contract, { proposalIds, fromBlock, toBlock, startBlock = 0 } = {}) {
+  const provider = contract.runner.provider;
+  const block = await provider.getBlock("latest");
+  const overrides = { blockTag: block.number };
+
+  // Votes always follow their proposal's creation, so a range report can skip earlier blocks
+  const indexer = await createIndexer(contract, { startBlock: Math.max(startBlock, fromBlock ?? 0) });
+  await indexer.sync();
+
+  let ids = proposalIds;
+  if (!ids) {
+    const first = fromBlock ?? startBlock;
+    const last = toBlock ?? block.number;
+    ids = indexer.getProposals()
+      .filter((p) => p.createdBlock >= first && p.createdBlock <= last)
+      .map((p) => p.id);
+  }
+
+  const count = Number(await contract.proposalCount(overrides));
+  const proposals = [];
+  for (const rawId of ids) {
+    const id = Number(rawId);
+    if (!Number.isInteger(id) || id < 1 || id > count) {
+      throw new Error(`Proposal ${rawId} does not exist`);
+    }
+
+    const proposal = await loadProposal(contract, id, overrides);
+    const eligibleSupply = await contract.getPastTotalSupply(proposal.snapshotBlock, overrides);
+    const yes = BigInt(proposal.yesVotes);
+    const no = BigInt(proposal.noVotes);
+    const abstain = BigInt(proposal.abstainVotes);
+    const total = yes + no + abstain;
+    const yesPercent = formatPercent(yes, yes + no);
+
+    // The indexer may have seen blocks mined after the report started
+    const votes = indexer.getVotesByProposal(id).filter((vote) => vote.blockNumber <= block.number);
+
+    proposals.push({
+      id: proposal.id,
+      description: proposal.description,
+      proposer: proposal.proposer,
+      state: proposal.state,
+      deadline: new Date(proposal.deadline * 1000).toISOString(),
+      snapshotBlock: proposal.snapshotBlock,
+      tally: {
+        for: ethers.formatEther(yes),
+        against: ethers.formatEther(no),
+        abstain: ethers.formatEther(abstain),
+        total: ethers.formatEther(total)
+      },
+      yesPercent,
+      votingThresholdPercent: formatBasisPoints(proposal.params.votingThreshold),
+      thresholdReached: yes + no > 0n && (yes * 10000n) / (yes + no) >= BigInt(proposal.params.votingThreshold),
+      quorum: ethers.formatEther(proposal.quorumVotes),
+      quorumReached: proposal.quorumReached,
+      eligibleSupply: ethers.formatEther(eligibleSupply),
+      // Tokens rather than weight, which on quadratic proposals is the square root of the tokens
+      turnoutPercent: formatPercent(BigInt(proposal.votedTokens), eligibleSupply),
+      voters: votes.map((vote) => ({
+        voter: vote.voter,
+        support: vote.support,
+        weight: ethers.formatEther(vote.weight),
+        reason: vote.reason,
+        blockNumber: vote.blockNumber,
+        transactionHash: vote.transactionHash
+      }))
+    });
+  }
+
+  return {
+    contract: await contract.getAddress(),
+    computedAt: {
+      blockNumber: block.number,
+      timestamp: new Date(block.timestamp * 1000).toISOString()
+    },
+    proposals
+  };
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return values.map(csvField).join(",");
+}
+
+/**
+ * Two CSV tables separated by a blank line: one summary row per proposal, then one row per vote.
+ */
+function renderCsv(report) {
+  const lines = [
+    csvRow([
+      "proposalId", "description", "state", "forGov", "againstGov", "abstainGov", "totalGov",
+      "yesPercent", "votingThresholdPercent", "thresholdReached", "quorumGov", "quorumReached",
+      "turnoutPercent", "computedAtBlock", "computedAt"
+    ])
+  ];
+  for (const p of report.proposals) {
+    lines.push(csvRow([
+      p.id, p.description, p.state, p.tally.for, p.tally.against, p.tally.abstain, p.tally.total,
+      p.yesPercent, p.votingThresholdPercent, p.thresholdReached, p.quorum, p.quorumReached,
+      p.turnoutPercent, report.computedAt.blockNumber, report.computedAt.timestamp
+    ]));
+  }
+
+  lines.push("");
+  lines.push(csvRow(["proposalId", "voter", "support", "weightGov", "reason", "blockNumber", "transactionHash"]));
+  for (const p of report.proposals) {
+    for (const v of p.voters) {
+      lines.push(csvRow([p.id, v.voter, v.support, v.weight, v.reason, v.blockNumber, v.transactionHash]));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+function mdCell(value) {
+  return String(value).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+function renderMarkdown(report) {
+  const lines = [
+    "# Proposal Results",
+    "",
+    `Contract \`${report.contract}\`, computed at block ${report.computedAt.blockNumber} (${report.computedAt.timestamp}).`
+  ];
+
+  if (report.proposals.length === 0) {
+    lines.push("", "No proposals matched.");
+  }
+
+  for (const p of report.proposals) {
+    lines.push(
+      "",
+      `## Proposal #${p.id}: ${mdCell(p.description)}`,
+      "",
+      `- State: ${p.state}`,
+      `- Proposer: \`${p.proposer}\``,
+      `- Voting deadline: ${p.deadline}`,
+      "",
+      "| For | Against | Abstain | Total |",
+      "| ---: | ---: | ---: | ---: |",
+      `| ${p.tally.for} GOV | ${p.tally.against} GOV | ${p.tally.abstain} GOV | ${p.tally.total} GOV |`,
+      "",
+      `- Yes: ${p.yesPercent}% of For + Against (threshold ${p.votingThresholdPercent}%, ${p.thresholdReached ? "reached" : "not reached"})`,
+      `- Quorum: ${p.quorum} GOV (${p.quorumReached ? "reached" : "not reached"})`,
+      `- Turnout: ${p.turnoutPercent}% of ${p.eligibleSupply} GOV at snapshot block ${p.snapshotBlock}`,
+      ""
+    );
+
+    if (p.voters.length === 0) {
+      lines.push("No votes were cast.");
+      continue;
+    }
+    lines.push("| Voter | Vote | Weight | Reason |", "| --- | --- | ---: | --- |");
+    for (const v of p.voters) {
+      lines.push(`| \`${v.voter}\` | ${v.support} | ${v.weight} GOV | ${mdCell(v.reason)} |`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+function renderReport(report, format) {
+  switch (format) {
+    case "json":
+      return JSON.stringify(report, null, 2) + "\n";
+    case "csv":
+      return renderCsv(report);
+    case "md":
+      return renderMarkdown(report);
+    default:
+      throw new Error(`Unknown format "${format}", expected one of: ${FORMATS.join(", ")}`);
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      contract: { type: "string" },
+      proposal: { type: "string", multiple: true },
+      "from-block": { type: "string" },
+      "to-block": { type: "string" },
+      format: { type: "string", default: "md" },
+      out: { type: "string" }
+    }
+  });
+
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}", expected one of: ${FORMATS.join(", ")}`);
+  }
+
+  const hre = require("hardhat");
+  const contract = await getDeployedContract(hre, { address: values.contract });
+  const startBlock = !values.contract && hasDeployment(hre.network.name) ? loadDeployment(hre.network.name).blockNumber : 0;
+
+  const report = await buildReport(contract, {
+    proposalIds: values.proposal,
+    fromBlock: values["from-block"] === undefined ? undefined : Number(values["from-block"]),
+    toBlock: values["to-block"] === undefined ? undefined : Number(values["to-block"]),
+    startBlock
+  });
+  const output = renderReport(report, values.format);
+
+  if (!values.out) {
+    process.stdout.write(output);
+    return;
+  }
+  fs.writeFileSync(values.out, output);
+  console.log(`✅ Report for ${report.proposals.length} proposal(s) written to ${values.out}`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  buildReport,
+  renderReport
+};
@@ -0,0 +1,497 @@
+// Scripted governance simulations: runs a JSON or YAML scenario of accounts, token distributions,
+// proposals, votes, time jumps and expected outcomes against a fresh deployment on a Hardhat
+// network, and prints a timeline with a pass/fail line per expectation.
+//
+// Usage:
+//   node scripts/scenario.js scenarios/contentious-upgrade.yaml
+//   node scripts/scenario.js scenarios/*.yaml scenarios/*.json --json
+//   HARDHAT_NETWORK=localhost node scripts/scenario.js scenarios/quorum-change.json
+//
+// A scenario looks like this (JSON files use the same structure):
+//
+//   name: Contentious upgrade
+//   accounts:              # named signers after the deployer, with the GOV minted to each
+//     alice: 1000
+//     bob: 600
+//   steps:
+//     - propose: { name: upgrade, by: alice, description: Upgrade to v2, period: 1h }
+//     - vote: { proposal: upgrade, by: bob, support: against, reason: Too risky }
+//     - wait: 1h           # evm_increaseTime, in seconds or with an s/m/h/d suffix
+//     - queue: upgrade
+//     - expect: { proposal: upgrade, state: Queued, for: 1000, against: 600 }
+//
+// propose also takes a mode (linear or quadratic) and a lockWindow, the final part of the voting
+// period during which votes can't be changed. The other steps are delegate { by, to },
+// transfer { by, to, amount }, execute, cancel, and call { by, method, args } for any other
+// contract function, e.g. a parameter setter (account names in args are replaced by their
+// addresses). An action with `reverts: <reason>` is expected to fail with that revert reason.
+// "deployer" is the first signer and holds every role and the initial 10000 GOV. Amounts are in GOV.
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+const { STATE_NAMES, STATUS_NAMES, VOTE_TYPE_NAMES, VOTING_MODE_NAMES, parseSupport, loadProposal } = require("./lib/proposals");
+const { deploy } = require("./lib/deployments");
+const { describeError } = require("./lib/errors");
+
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+// Networks whose clock the runner can move with evm_increaseTime
+const SIMULATION_NETWORKS = ["hardhat", "localhost"];
+
+const ACTION_TYPES = ["propose", "vote", "delegate", "transfer", "wait", "queue", "execute", "cancel", "call"];
+
+// Steps that only name a proposal can be written as `queue: upgrade`
+const PROPOSAL_STEPS = ["queue", "execute", "cancel"];
+
+const PROPOSAL_EXPECTATIONS = ["state", "status", "for", "against", "abstain", "quorumReached"];
+const ACCOUNT_EXPECTATIONS = ["balance", "votingPower"];
+
+/**
+ * Parses a duration given in seconds, or as a whole number with an s, m, h or d suffix.
+ */
+function parseDuration(value) {
+  if (Number.isInteger(value) && value >= 0) {
+    return value;
+  }
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${value}", expected seconds or a number with an s/m/h/d suffix`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || "s"];
+}
+
+/**
+ * Formats seconds as e.g. "1d 2h 0m 5s", leaving out leading zero units.
+ */
+function formatDuration(seconds) {
+  const parts = [];
+  let remaining = seconds;
+  for (const [unit, size] of Object.entries(DURATION_UNITS).reverse()) {
+    const count = Math.floor(remaining / size);
+    remaining -= count * size;
+    if (count > 0 || parts.length > 0 || unit === "s") {
+      parts.push(`${count}${unit}`);
+    }
+  }
+  return parts.join(" ");
+}
+
+function parseGov(amount) {
+  return ethers.parseEther(String(amount));
+}
+
+function formatGov(amount) {
+  return `${ethers.formatEther(amount)} GOV`;
+}
+
+/**
+ * Checks a parsed scenario and normalizes its steps to `{ type, args, reverts }`.
+ * Throws with the step number on the first malformed step.
+ */
+function validateScenario(scenario, fallbackName = "Scenario") {
+  if (!scenario || typeof scenario !== "object" || !Array.isArray(scenario.steps)) {
+    throw new Error(`${fallbackName} must be an object with a steps array`);
+  }
+
+  const accounts = scenario.accounts || {};
+  if (typeof accounts !== "object" || Array.isArray(accounts)) {
+    throw new Error("accounts must map account names to the GOV they receive");
+  }
+  if ("deployer" in accounts) {
+    throw new Error('"deployer" is reserved for the first signer');
+  }
+
+  const steps = scenario.steps.map((step, index) => {
+    const where = `Step ${index + 1}`;
+    if (!step || typeof step !== "object") {
+      throw new Error(`${where} must be an object`);
+    }
+
+    const { reverts, ...rest } = step;
+    const types = Object.keys(rest);
+    if (types.length !== 1 || ![...ACTION_TYPES, "expect"].includes(types[0])) {
+      throw new Error(`${where} must have exactly one of: ${[...ACTION_TYPES, "expect"].join(", ")}`);
+    }
+
+    const [type] = types;
+    let args = rest[type];
+    if (PROPOSAL_STEPS.includes(type) && typeof args !== "object") {
+      args = { proposal: args };
+    }
+    if (type === "wait") {
+      try {
+        args = { seconds: parseDuration(args) };
+      } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+      }
+    }
+    if (!args || typeof args !== "object") {
+      throw new Error(`${where} (${type}) needs its arguments as an object`);
+    }
+
+    if (type === "expect") {
+      if (reverts !== undefined) {
+        throw new Error(`${where}: reverts only applies to actions`);
+      }
+      const allowed = ["proposal", "account", ...PROPOSAL_EXPECTATIONS, ...ACCOUNT_EXPECTATIONS];
+      const unknown = Object.keys(args).filter((key) => !allowed.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`${where}: unknown expectation(s) ${unknown.join(", ")}`);
+      }
+    }
+
+    return { type, args, reverts };
+  });
+
+  return { name: scenario.name || fallbackName, accounts, steps };
+}
+
+/**
+ * Reads a scenario from a .json, .yaml or .yml file.
+ */
+function loadScenario(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const scenario = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+  return validateScenario(scenario, path.basename(file));
+}
+
+function findEvent(contract, receipt, name) {
+  for (const log of receipt.logs) {
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === name) {
+      return parsed;
+    }
+  }
+  return undefined;
+}
+
+function signerFor(ctx, name = "deployer") {
+  const signer = ctx.accounts[name];
+  if (!signer) {
+    throw new Error(`Unknown account "${name}"`);
+  }
+  return signer;
+}
+
+function addressFor(ctx, nameOrAddress) {
+  return ethers.isAddress(nameOrAddress) ? nameOrAddress : signerFor(ctx, nameOrAddress).address;
+}
+
+/**
+ * Resolves a proposal by the name given when it was proposed, or by its ID.
+ */
+function proposalIdFor(ctx, ref) {
+  if (ref in ctx.proposals) {
+    return ctx.proposals[ref];
+  }
+  const id = Number(ref);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new Error(`Unknown proposal "${ref}"`);
+  }
+  return id;
+}
+
+function proposalLabel(ctx, id) {
+  const name = Object.keys(ctx.proposals).find((key) => ctx.proposals[key] === id);
+  return name ? `#${id} (${name})` : `#${id}`;
+}
+
+// Each action sends its transaction(s) and returns the timeline description
+const ACTIONS = {
+  async propose(ctx, { name, by = "deployer", description = name, period = 3600, mode = "linear", lockWindow = 0 }) {
+    if (!description) {
+      throw new Error("propose needs a description or a name");
+    }
+    const votingMode = VOTING_MODE_NAMES.findIndex((candidate) => candidate.toLowerCase() === String(mode).toLowerCase());
+    if (votingMode === -1) {
+      throw new Error(`Unknown voting mode "${mode}", expected one of: ${VOTING_MODE_NAMES.join(", ")}`);
+    }
+
+    const contract = ctx.contract.connect(signerFor(ctx, by));
+    const tx = await contract["createProposal(string,uint256,address[],uint256[],bytes[],uint8,uint256)"](
+      description, parseDuration(period), [], [], [], votingMode, parseDuration(lockWindow)
+    );
+    const event = findEvent(contract, await tx.wait(), "ProposalCreated");
+    const id = Number(event.args.proposalId);
+    if (name) {
+      ctx.proposals[name] = id;
+    }
+    return `${by} proposed ${proposalLabel(ctx, id)}: ${description}`;
+  },
+
+  async vote(ctx, { proposal, by, support, tokens, reason = "" }) {
+    const id = proposalIdFor(ctx, proposal);
+    const contract = ctx.contract.connect(signerFor(ctx, by));
+    const supportIndex = parseSupport(support);
+    const tx = tokens === undefined
+      ? await contract.voteWithReason(id, supportIndex, reason)
+      : await contract.voteWithTokens(id, supportIndex, parseGov(tokens), reason);
+    const receipt = await tx.wait();
+
+    const changed = findEvent(contract, receipt, "VoteChanged");
+    if (changed) {
+      return `${by} changed their vote on ${proposalLabel(ctx, id)} to ${VOTE_TYPE_NAMES[supportIndex]}`;
+    }
+    const cast = findEvent(contract, receipt, "VoteCast");
+    return `${by} voted ${VOTE_TYPE_NAMES[supportIndex]} on ${proposalLabel(ctx, id)} with ${formatGov(cast.args.weight)}`;
+  },
+
+  async delegate(ctx, { by, to }) {
+    await (await ctx.contract.connect(signerFor(ctx, by)).delegate(addressFor(ctx, to))).wait();
+    return `${by} delegated to ${to}`;
+  },
+
+  async transfer(ctx, { by = "deployer", to, amount }) {
+    await (await ctx.contract.connect(signerFor(ctx, by)).transfer(addressFor(ctx, to), parseGov(amount))).wait();
+    return `${by} sent ${formatGov(parseGov(amount))} to ${to}`;
+  },
+
+  async wait(ctx, { seconds }) {
+    await ctx.provider.send("evm_increaseTime", [seconds]);
+    await ctx.provider.send("evm_mine", []);
+    return `${formatDuration(seconds)} passed`;
+  },
+
+  async queue(ctx, { proposal, by = "deployer" }) {
+    const id = proposalIdFor(ctx, proposal);
+    await (await ctx.contract.connect(signerFor(ctx, by)).queueProposal(id)).wait();
+    return `${by} queued ${proposalLabel(ctx, id)}`;
+  },
+
+  async execute(ctx, { proposal, by = "deployer" }) {
+    const id = proposalIdFor(ctx, proposal);
+    await (await ctx.contract.connect(signerFor(ctx, by)).executeProposal(id)).wait();
+    const { status } = await ctx.contract.getProposal(id);
+    return `${by} executed ${proposalLabel(ctx, id)}, now ${STATUS_NAMES[Number(status)]}`;
+  },
+
+  async cancel(ctx, { proposal, by = "deployer" }) {
+    const id = proposalIdFor(ctx, proposal);
+    await (await ctx.contract.connect(signerFor(ctx, by)).cancelProposal(id)).wait();
+    return `${by} canceled ${proposalLabel(ctx, id)}`;
+  },
+
+  async call(ctx, { by = "deployer", method, args = [] }) {
+    const contract = ctx.contract.connect(signerFor(ctx, by));
+    if (!method || !contract.interface.getFunction(method)) {
+      throw new Error(`Unknown contract function "${method}"`);
+    }
+    const resolved = args.map((arg) => (typeof arg === "string" && arg in ctx.accounts ? ctx.accounts[arg].address : arg));
+    await (await contract[method](...resolved)).wait();
+    return `${by} called ${method}(${args.join(", ")})`;
+  }
+};
+
+function check(label, expected, actual) {
+  return { label, expected: String(expected), actual: String(actual), passed: String(expected) === String(actual) };
+}
+
+/**
+ * Compares the expected proposal and/or account values against the chain.
+ */
+async function checkExpectations(ctx, args) {
+  const results = [];
+
+  if (args.proposal !== undefined) {
+    const id = proposalIdFor(ctx, args.proposal);
+    const proposal = await loadProposal(ctx.contract, id);
+    const label = proposalLabel(ctx, id);
+    const tallies = { for: proposal.yesVotes, against: proposal.noVotes, abstain: proposal.abstainVotes };
+
+    for (const key of PROPOSAL_EXPECTATIONS.filter((name) => args[name] !== undefined)) {
+      if (key === "state" || key === "status") {
+        const names = key === "state" ? STATE_NAMES : STATUS_NAMES;
+        const expected = names.find((name) => name.toLowerCase() === String(args[key]).toLowerCase()) || args[key];
+        results.push(check(`${label} ${key}`, expected, proposal[key]));
+      } else if (key === "quorumReached") {
+        results.push(check(`${label} quorum reached`, args[key], proposal.quorumReached));
+      } else {
+        results.push(check(`${label} ${key} votes`, formatGov(parseGov(args[key])), formatGov(tallies[key])));
+      }
+    }
+  }
+
+  if (args.account !== undefined) {
+    const address = addressFor(ctx, args.account);
+    if (args.balance !== undefined) {
+      const balance = await ctx.contract.balanceOf(address);
+      results.push(check(`${args.account} balance`, formatGov(parseGov(args.balance)), formatGov(balance)));
+    }
+    if (args.votingPower !== undefined) {
+      const power = await ctx.contract["getVotingPower(address)"](address);
+      results.push(check(`${args.account} voting power`, formatGov(parseGov(args.votingPower)), formatGov(power)));
+    }
+  }
+
+  if (results.length === 0) {
+    throw new Error("expect needs a proposal or account and at least one value to check");
+  }
+  return results;
+}
+
+/**
+ * Deploys a fresh ProposalVoting, hands out the scenario's tokens and runs its steps in order.
+ *
+ * Failed expectations are recorded and the run continues; an action that reverts unexpectedly
+ * (or succeeds when `reverts` was given) ends the run, and the remaining steps are marked skipped.
+ * Returns `{ name, passed, contract, steps }`, where each step has the chain time it finished at
+ * as an offset from the start of the run.
+ */
+async function runScenario(hre, scenario) {
+  if (!SIMULATION_NETWORKS.includes(hre.network.name)) {
+    throw new Error(`Scenarios move the chain's clock, so they only run on: ${SIMULATION_NETWORKS.join(", ")}`);
+  }
+
+  const signers = await hre.ethers.getSigners();
+  const names = Object.keys(scenario.accounts);
+  if (names.length >= signers.length) {
+    throw new Error(`The scenario names ${names.length} accounts, but the network only has ${signers.length - 1} besides the deployer`);
+  }
+
+  const { contract } = await deploy(hre, { save: false });
+  const ctx = { contract, provider: hre.ethers.provider, accounts: { deployer: signers[0] }, proposals: {} };
+  for (const [index, name] of names.entries()) {
+    ctx.accounts[name] = signers[index + 1];
+    if (scenario.accounts[name]) {
+      await (await contract.mint(signers[index + 1].address, parseGov(scenario.accounts[name]))).wait();
+    }
+  }
+
+  const startedAt = (await ctx.provider.getBlock("latest")).timestamp;
+  const steps = [];
+  let aborted = false;
+
+  for (const [index, step] of scenario.steps.entries()) {
+    const result = { step: index + 1, type: step.type, passed: true, expectations: [] };
+    steps.push(result);
+    if (aborted) {
+      Object.assign(result, { skipped: true, passed: false, description: `${step.type} skipped` });
+      continue;
+    }
+
+    try {
+      if (step.type === "expect") {
+        result.description = "expect";
+        result.expectations = await checkExpectations(ctx, step.args);
+        result.passed = result.expectations.every((expectation) => expectation.passed);
+      } else if (step.reverts === undefined) {
+        result.description = await ACTIONS[step.type](ctx, step.args);
+      } else {
+        let reason;
+        try {
+          await ACTIONS[step.type](ctx, step.args);
+        } catch (error) {
+          reason = describeError(error, contract.interface);
+        }
+        result.description = `${step.type} reverts`;
+        result.expectations = [check(`${step.type} reverts with`, step.reverts, reason === undefined ? "no revert" : reason)];
+        result.passed = result.expectations[0].passed;
+        aborted = reason === undefined;
+      }
+    } catch (error) {
+      Object.assign(result, { passed: false, description: `${step.type} failed`, error: describeError(error, contract.interface) });
+      aborted = true;
+    }
+
+    result.offset = (await ctx.provider.getBlock("latest")).timestamp - startedAt;
+  }
+
+  return { name: scenario.name, passed: steps.every((step) => step.passed), contract: await contract.getAddress(), steps };
+}
+
+/**
+ * Renders a run as a timeline: one line per step with its time offset, then one line per expectation.
+ */
+function renderTimeline(result) {
+  const lines = [`🎬 ${result.name}`];
+  const width = Math.max(0, ...result.steps.map((step) => (step.skipped ? 0 : `T+${formatDuration(step.offset)}`.length)));
+
+  for (const step of result.steps) {
+    const time = (step.skipped ? "" : `T+${formatDuration(step.offset)}`).padEnd(width);
+    if (step.skipped) {
+      lines.push(`  ${time}  ⏭️  ${step.description}`);
+      continue;
+    }
+    if (step.error) {
+      lines.push(`  ${time}  ❌ ${step.description}: ${step.error}`);
+      continue;
+    }
+    if (step.expectations.length === 0) {
+      lines.push(`  ${time}  ${step.type === "wait" ? "⏩" : "▶️ "} ${step.description}`);
+      continue;
+    }
+    for (const [i, expectation] of step.expectations.entries()) {
+      const outcome = expectation.passed
+        ? `✅ ${expectation.label}: ${expectation.expected}`
+        : `❌ ${expectation.label}: expected ${expectation.expected}, got ${expectation.actual}`;
+      lines.push(`  ${i === 0 ? time : " ".repeat(width)}  ${outcome}`);
+    }
+  }
+
+  const expectations = result.steps.flatMap((step) => step.expectations);
+  const failed = expectations.filter((expectation) => !expectation.passed).length;
+  const skipped = result.steps.filter((step) => step.skipped).length;
+  let summary = result.passed
+    ? `✅ ${expectations.length}/${expectations.length} expectations passed`
+    : `❌ ${failed} of ${expectations.length} expectations failed`;
+  if (result.steps.some((step) => step.error)) {
+    summary = `❌ Stopped at a failed step (${failed} of ${expectations.length} expectations failed)`;
+  }
+  if (skipped > 0) {
+    summary += `, ${skipped} step(s) skipped`;
+  }
+  lines.push(summary);
+  return lines;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      json: { type: "boolean", default: false }
+    }
+  });
+
+  if (positionals.length === 0) {
+    throw new Error("Usage: scenario.js <scenario.yaml|scenario.json>... [--json]");
+  }
+  const scenarios = positionals.map(loadScenario);
+
+  const hre = require("hardhat");
+  const results = [];
+  for (const scenario of scenarios) {
+    const result = await runScenario(hre, scenario);
+    results.push(result);
+    if (!values.json) {
+      console.log(renderTimeline(result).join("\n") + "\n");
+    }
+  }
+
+  if (values.json) {
+    console.log(JSON.stringify(results, null, 2));
+  }
+  if (results.some((result) => !result.passed)) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit())
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseDuration,
+  formatDuration,
+  validateScenario,
+  loadScenario,
+  runScenario,
+  renderTimeline
+};
@@ -0,0 +1,68 @@
+// Signs a ballot for ProposalVoting.voteBySig with one of the configured accounts.
+//
+// Usage:
+//   HARDHAT_NETWORK=localhost node scripts/sign-ballot.js --contract <address> --proposal 1 --support for --account 1 [--out ballots.json]
+//
+// --contract defaults to the network's deployments/<network>.json manifest.
+// Without --out the signed ballot is printed as JSON; with --out it is appended to that file,
+// an array or `{ "ballots": [...] }` like the relayer reads, which can then be passed to
+// `scripts/relayer.js --file`.
+//
+// The nonce defaults to the voter's on-chain nonce, or with --out to the one after the voter's
+// last ballot already in the file, so several ballots can be queued before relaying. --nonce
+// sets it explicitly.
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { signBallot, nextBallotNonce, loadBallotsFromFile, saveBallotsToFile } = require("./lib/ballots");
+const { getDeployedContract } = require("./lib/deployments");
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      contract: { type: "string" },
+      proposal: { type: "string" },
+      support: { type: "string" },
+      account: { type: "string", default: "0" },
+      expiry: { type: "string" },
+      nonce: { type: "string" },
+      out: { type: "string" }
+    }
+  });
+
+  if (!values.proposal || !values.support) {
+    throw new Error("Usage: sign-ballot.js [--contract <address>] --proposal <id> --support <for|against|abstain> [--account <index>] [--nonce <n>] [--out <file>]");
+  }
+
+  const hre = require("hardhat");
+  const signers = await hre.ethers.getSigners();
+  const signer = signers[Number(values.account)];
+  if (!signer) {
+    throw new Error(`No account at index ${values.account}`);
+  }
+
+  const contract = await getDeployedContract(hre, { address: values.contract });
+  const ballots = values.out && fs.existsSync(values.out) ? loadBallotsFromFile(values.out) : [];
+  const ballot = await signBallot(signer, contract, {
+    proposalId: values.proposal,
+    support: values.support,
+    nonce: values.nonce ?? await nextBallotNonce(contract, signer.address, ballots),
+    expiry: values.expiry
+  });
+
+  if (!values.out) {
+    console.log(JSON.stringify(ballot, null, 2));
+    return;
+  }
+
+  ballots.push(ballot);
+  saveBallotsToFile(values.out, ballots);
+  console.log(`✅ Ballot from ${ballot.voter} appended to ${values.out}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,345 @@
+// Deadline watcher: follows ProposalCreated, VoteCast and ProposalExecuted and notifies voters
+// about new proposals, "N hours left" reminders and proposals whose deadline passed without
+// them being executed. Notifications are POSTed as JSON to each --webhook, or printed to
+// stdout when there is none.
+//
+// Usage:
+//   node scripts/watcher.js --rpc http://127.0.0.1:8545 --network localhost
+//   node scripts/watcher.js --rpc $SEPOLIA_RPC_URL --contract <address> --from-block 5000000 \
+//     --webhook https://hooks.example.com/governance --remind 24 --remind 1 --state watcher.json
+//
+// Everything already sent is recorded in the --state file, per webhook, so a restarted watcher
+// neither repeats notifications nor drops ones a webhook failed to accept. Reminders and
+// deadlines use the chain's latest block time.
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { STATE_NAMES } = require("./lib/proposals");
+const { loadDeployment } = require("./lib/deployments");
+
+const STATE_VERSION = 1;
+const DEFAULT_BATCH_SIZE = 2000;
+const DEFAULT_REMINDER_HOURS = [24, 1];
+const DEFAULT_WEBHOOK_TIMEOUT = 10000;
+
+const WATCHED_EVENTS = ["ProposalCreated", "VoteCast", "ProposalExecuted"];
+
+// Target recorded for notifications printed instead of POSTed
+const STDOUT_TARGET = "stdout";
+
+const ARTIFACT_PATH = path.join(__dirname, "..", "artifacts", "contracts", "ProposalVoting.sol", "ProposalVoting.json");
+
+function readState(file) {
+  if (!file || !fs.existsSync(file)) {
+    return undefined;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeState(file, state) {
+  if (!file) {
+    return;
+  }
+  // Write then rename, so a crash mid-write never loses the record of what was sent
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+function formatDeadline(deadline) {
+  return new Date(deadline * 1000).toISOString();
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * POSTs a notification as JSON, failing on network errors, timeouts and non-2xx responses.
+ */
+async function postWebhook(url, notification, timeout = DEFAULT_WEBHOOK_TIMEOUT) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(notification),
+    signal: AbortSignal.timeout(timeout)
+  });
+  if (!res.ok) {
+    throw new Error(`${url} responded with ${res.status}`);
+  }
+}
+
+/**
+ * Creates a deadline watcher for a ProposalVoting contract.
+ *
+ * poll() reads new events up to the chain head, then sends whatever is due:
+ * - `proposal-created` for each new proposal whose voting is still open
+ * - `deadline-reminder` once the time left drops below each of reminderHours; a watcher that
+ *   starts late sends only the closest reminder
+ * - `deadline-passed` once for each proposal past its deadline without a ProposalExecuted
+ *   event (finalizing a failed proposal counts as executing it); canceled proposals are skipped
+ *
+ * Proposals created before startBlock are ignored, along with their votes and execution.
+ * A notification is recorded per target once delivered, and saved to `file` (when given).
+ * Failed deliveries are retried on the next poll.
+ */
+async function createWatcher(contract, {
+  file,
+  startBlock = 0,
+  webhooks = [],
+  reminderHours = DEFAULT_REMINDER_HOURS,
+  batchSize = DEFAULT_BATCH_SIZE,
+  webhookTimeout = DEFAULT_WEBHOOK_TIMEOUT,
+  write = console.log,
+  log = () => {}
+} = {}) {
+  const provider = contract.runner.provider;
+  const address = await contract.getAddress();
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const targets = webhooks.length > 0 ? webhooks : [STDOUT_TARGET];
+  const thresholds = [...new Set(reminderHours.map(Number))].sort((a, b) => a - b);
+  const topics = [WATCHED_EVENTS.map((name) => contract.interface.getEvent(name).topicHash)];
+
+  let state = readState(file);
+  if (state) {
+    if (state.version !== STATE_VERSION) {
+      throw new Error(`${file} was written by an incompatible watcher version (${state.version})`);
+    }
+    if (state.contract.toLowerCase() !== address.toLowerCase() || state.chainId !== chainId) {
+      throw new Error(`${file} watches ${state.contract} on chain ${state.chainId}, not ${address} on chain ${chainId}`);
+    }
+  } else {
+    state = { version: STATE_VERSION, contract: address, chainId, lastBlock: startBlock - 1, proposals: {}, sent: {} };
+  }
+
+  const apply = (parsed) => {
+    const id = Number(parsed.args.proposalId);
+    // Proposals created before the start block are unknown and not watched
+    if (parsed.name !== "ProposalCreated" && !state.proposals[id]) {
+      return;
+    }
+    switch (parsed.name) {
+      case "ProposalCreated":
+        state.proposals[id] = {
+          id,
+          description: parsed.args.description,
+          proposer: parsed.args.proposer,
+          deadline: Number(parsed.args.deadline),
+          voterCount: 0,
+          executed: false,
+          canceled: false
+        };
+        break;
+      case "VoteCast":
+        state.proposals[id].voterCount++;
+        break;
+      case "ProposalExecuted":
+        state.proposals[id].executed = true;
+        break;
+    }
+  };
+
+  const deliver = async (notification) => {
+    const delivered = state.sent[notification.key] || [];
+    let failed = 0;
+
+    for (const target of targets.filter((candidate) => !delivered.includes(candidate))) {
+      try {
+        if (target === STDOUT_TARGET) {
+          write(`🔔 ${notification.message}`);
+        } else {
+          await postWebhook(target, notification, webhookTimeout);
+        }
+        state.sent[notification.key] = [...(state.sent[notification.key] || []), target];
+        writeState(file, state);
+      } catch (error) {
+        failed++;
+        log(`Failed to deliver ${notification.key} to ${target}: ${error.message}`);
+      }
+    }
+    return failed;
+  };
+
+  /**
+   * Builds the notifications due at the given chain time that have not reached every target.
+   */
+  const collectDue = async (now) => {
+    const due = [];
+    const pending = (key) => !targets.every((target) => (state.sent[key] || []).includes(target));
+
+    for (const proposal of Object.values(state.proposals)) {
+      if (proposal.executed || proposal.canceled) {
+        continue;
+      }
+
+      const candidates = [];
+      const base = (type, key = `${type}:${proposal.id}`) => ({
+        key,
+        type,
+        contract: address,
+        proposalId: proposal.id,
+        description: proposal.description,
+        proposer: proposal.proposer,
+        deadline: proposal.deadline,
+        voterCount: proposal.voterCount
+      });
+
+      if (now <= proposal.deadline) {
+        candidates.push({
+          ...base("proposal-created"),
+          message: `New proposal #${proposal.id}: "${proposal.description}", voting ends ${formatDeadline(proposal.deadline)}`
+        });
+
+        // Only the closest threshold is sent; the ones it supersedes are recorded with it
+        const reached = thresholds.filter((hours) => proposal.deadline - now <= hours * 3600);
+        if (reached.length > 0) {
+          const hoursLeft = Math.ceil((proposal.deadline - now) / 3600);
+          candidates.push({
+            ...base("deadline-reminder", `deadline-reminder:${proposal.id}:${reached[0]}h`),
+            hoursLeft,
+            message: `${plural(hoursLeft, "hour")} left to vote on proposal #${proposal.id}: "${proposal.description}" ` +
+              `(${plural(proposal.voterCount, "voter")} so far)`,
+            supersedes: reached.slice(1).map((hours) => `deadline-reminder:${proposal.id}:${hours}h`)
+          });
+        }
+      } else {
+        candidates.push(base("deadline-passed"));
+      }
+
+      const unsent = candidates.filter((notification) => pending(notification.key));
+      if (unsent.length === 0) {
+        continue;
+      }
+
+      // Cancellation isn't watched, so it is checked only when there is something to send
+      const stateName = STATE_NAMES[Number(await contract.state(proposal.id))];
+      if (stateName === "Canceled") {
+        proposal.canceled = true;
+        continue;
+      }
+      for (const notification of unsent) {
+        if (notification.type === "deadline-passed") {
+          Object.assign(notification, {
+            state: stateName,
+            message: `Proposal #${proposal.id} "${proposal.description}" reached its deadline on ` +
+              `${formatDeadline(proposal.deadline)} but was never executed (${stateName})`
+          });
+        }
+        due.push(notification);
+      }
+    }
+    return due;
+  };
+
+  /**
+   * Catches up with the chain and sends every due notification.
+   * Returns the notifications sent to at least one target, and the number of failed deliveries.
+   */
+  const poll = async () => {
+    const head = await provider.getBlockNumber();
+    for (let from = state.lastBlock + 1; from <= head; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, head);
+      const logs = await provider.getLogs({ address, topics, fromBlock: from, toBlock: to });
+      for (const entry of logs) {
+        apply(contract.interface.parseLog(entry));
+      }
+      state.lastBlock = to;
+      writeState(file, state);
+    }
+
+    const { timestamp } = await provider.getBlock(head);
+    const sent = [];
+    let failed = 0;
+    for (const notification of await collectDue(timestamp)) {
+      const { supersedes = [], ...payload } = notification;
+      const failures = await deliver(payload);
+      failed += failures;
+      if (failures < targets.length) {
+        sent.push(payload);
+      }
+      for (const key of supersedes) {
+        state.sent[key] = state.sent[payload.key];
+      }
+    }
+    writeState(file, state);
+
+    return { sent, failed };
+  };
+
+  return {
+    poll,
+
+    get lastBlock() {
+      return state.lastBlock;
+    }
+  };
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      rpc: { type: "string", default: process.env.RPC_URL || "http://127.0.0.1:8545" },
+      contract: { type: "string" },
+      network: { type: "string", default: "localhost" },
+      webhook: { type: "string", multiple: true, default: [] },
+      remind: { type: "string", multiple: true },
+      state: { type: "string", default: "watcher.json" },
+      "from-block": { type: "string" },
+      interval: { type: "string", default: "15000" }
+    }
+  });
+
+  // Without --contract, the address, ABI and start block come from the network's manifest
+  const deployment = values.contract ? undefined : loadDeployment(values.network);
+  const address = values.contract || deployment.address;
+  const abi = deployment ? deployment.abi : JSON.parse(fs.readFileSync(ARTIFACT_PATH, "utf8")).abi;
+
+  const reminderHours = (values.remind || DEFAULT_REMINDER_HOURS).map(Number);
+  if (reminderHours.some((hours) => !(hours > 0))) {
+    throw new Error("--remind takes a positive number of hours");
+  }
+
+  let startBlock = deployment ? deployment.blockNumber : 0;
+  if (values["from-block"] !== undefined) {
+    startBlock = Number(values["from-block"]);
+  }
+
+  const provider = new ethers.JsonRpcProvider(values.rpc);
+  const contract = new ethers.Contract(address, abi, provider);
+  const watcher = await createWatcher(contract, {
+    file: values.state,
+    startBlock,
+    webhooks: values.webhook,
+    reminderHours,
+    log: console.log
+  });
+
+  const destination = values.webhook.length > 0 ? plural(values.webhook.length, "webhook") : "stdout";
+  console.log(`👀 Watching ${address} from ${values.rpc}, notifying ${destination}`);
+
+  // Keep polling until interrupted; polls never overlap
+  let stopped = false;
+  process.on("SIGINT", () => {
+    stopped = true;
+  });
+  while (!stopped) {
+    await watcher.poll().catch((error) => console.error("Poll failed:", error.message));
+    await new Promise((resolve) => setTimeout(resolve, Number(values.interval)));
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  WATCHED_EVENTS,
+  createWatcher
+};
@@ -0,0 +1,294 @@
+// Hardhat tasks for day-to-day governance against an existing ProposalVoting deployment.
+//
+//   npx hardhat gov:status --id 1 --network sepolia
+//   npx hardhat gov:vote --contract <address> --id 1 --support for --reason "LGTM" --signer 2
+//
+// Without --contract, tasks use the network's deployments/<network>.json manifest.
+// Every task prints a human-readable summary, or JSON with --json.
+
+const { task, types } = require("hardhat/config");
+const {
+  STATUS_NAMES,
+  STATE_NAMES,
+  VOTE_TYPE_NAMES,
+  VOTING_MODE_NAMES,
+  parseSupport,
+  parseStatusName,
+  loadProposal
+} = require("../scripts/lib/proposals");
+const { deploy, getDeployedContract } = require("../scripts/lib/deployments");
+
+/**
+ * Attaches to the deployment (the given address, or the network's manifest)
+ * with the signer at the given account index.
+ */
+async function connect(hre, address, signerIndex = 0) {
+  const signers = await hre.ethers.getSigners();
+  const signer = signers[signerIndex];
+  if (!signer) {
+    throw new Error(`No account at index ${signerIndex} on network "${hre.network.name}"`);
+  }
+  return getDeployedContract(hre, { address, signer });
+}
+
+/**
+ * Prints either the JSON result or the human-readable lines, and returns the result.
+ */
+function report(json, result, lines) {
+  console.log(json ? JSON.stringify(result, null, 2) : lines.join("\n"));
+  return result;
+}
+
+const CONTRACT_PARAM_DESCRIPTION = "ProposalVoting address (defaults to the network's deployment manifest)";
+
+function findEvent(contract, receipt, name) {
+  for (const log of receipt.logs) {
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === name) {
+      return parsed;
+    }
+  }
+  return undefined;
+}
+
+function formatGov(hre, amount) {
+  return `${hre.ethers.formatEther(amount)} GOV`;
+}
+
+function formatTime(seconds) {
+  return seconds === 0 ? "-" : new Date(seconds * 1000).toISOString();
+}
+
+function describeProposal(hre, p) {
+  const lines = [
+    `Proposal #${p.id}: ${p.description}`,
+    `  State:     ${p.state} (stored status: ${p.status})`,
+    `  Proposer:  ${p.proposer}`,
+    `  Deadline:  ${formatTime(p.deadline)}`,
+    `  ETA:       ${formatTime(p.eta)}`,
+    `  For:       ${formatGov(hre, p.yesVotes)}`,
+    `  Against:   ${formatGov(hre, p.noVotes)}`,
+    `  Abstain:   ${formatGov(hre, p.abstainVotes)}`,
+    `  Quorum:    ${formatGov(hre, p.quorumVotes)} (${p.quorumReached ? "reached" : "not reached"})`
+  ];
+  if (p.votingMode === "Quadratic") {
+    lines.push(`  Mode:      quadratic (${formatGov(hre, p.votedTokens)} voted)`);
+  }
+  if (p.params.voteLockWindow > 0) {
+    lines.push(`  Locked:    votes can't change in the last ${p.params.voteLockWindow}s`);
+  }
+  if (p.escrowedBond !== "0") {
+    lines.push(`  Bond:      ${formatGov(hre, p.escrowedBond)} in escrow`);
+  }
+  if (p.contentHash) {
+    lines.splice(1, 0, `  Content:   ${p.contentHash} (verify with scripts/proposal-content.js)`);
+  }
+  return lines;
+}
+
+task("gov:propose", "Creates a text proposal")
+  .addOptionalParam("contract", CONTRACT_PARAM_DESCRIPTION)
+  .addParam("description", "Proposal description")
+  .addOptionalParam("period", "Voting period in seconds", 3 * 24 * 60 * 60, types.int)
+  .addOptionalParam("signer", "Index of the account to send from", 0, types.int)
+  .addFlag("quadratic", "Weigh votes by the square root of the voter's tokens")
+  .addOptionalParam("lockWindow", "Final part of the voting period, in seconds, during which votes can't be changed", 0, types.int)
+  .addFlag("json", "Print JSON instead of text")
+  .setAction(async (args, hre) => {
+    const contract = await connect(hre, args.contract, args.signer);
+    const tx = args.quadratic || args.lockWindow > 0
+      ? await contract["createProposal(string,uint256,address[],uint256[],bytes[],uint8,uint256)"](
+        args.description, args.period, [], [], [], VOTING_MODE_NAMES.indexOf(args.quadratic ? "Quadratic" : "Linear"), args.lockWindow
+      )
+      : await contract.createProposal(args.description, args.period);
+    const receipt = await tx.wait();
+    const event = findEvent(contract, receipt, "ProposalCreated");
+
+    const result = {
+      proposalId: Number(event.args.proposalId),
+      proposer: event.args.proposer,
+      deadline: Number(event.args.deadline),
+      txHash: tx.hash
+    };
+    return report(args.json, result, [
+      `✅ Created proposal #${result.proposalId}`,
+      `  Deadline: ${formatTime(result.deadline)}`,
+      `  Tx:       ${result.txHash}`
+    ]);
+  });
+
+task("gov:vote", "Votes on a proposal, or changes an earlier vote")
+  .addOptionalParam("contract", CONTRACT_PARAM_DESCRIPTION)
+  .addParam("id", "Proposal ID", undefined, types.int)
+  .addParam("support", "for, against or abstain")
+  .addOptionalParam("reason", "Reason recorded in the VoteCast or VoteChanged event", "")
+  .addOptionalParam("tokens", "Vote with only this much of your voting power, in GOV")
+  .addOptionalParam("signer", "Index of the account to send from", 0, types.int)
+  .addFlag("json", "Print JSON instead of text")
+  .setAction(async (args, hre) => {
+    const contract = await connect(hre, args.contract, args.signer);
+    const support = parseSupport(args.support);
+    const tx = args.tokens === undefined
+      ? await contract.voteWithReason(args.id, support, args.reason)
+      : await contract.voteWithTokens(args.id, support, hre.ethers.parseEther(args.tokens), args.reason);
+    const receipt = await tx.wait();
+    // Voting again on the same proposal changes the earlier vote
+    const changed = findEvent(contract, receipt, "VoteChanged");
+    const event = changed || findEvent(contract, receipt, "VoteCast");
+
+    const result = {
+      proposalId: args.id,
+      voter: event.args.voter,
+      support: VOTE_TYPE_NAMES[Number(changed ? event.args.newSupport : event.args.support)],
+      weight: event.args.weight.toString(),
+      reason: event.args.reason,
+      changed: Boolean(changed),
+      txHash: tx.hash
+    };
+    return report(args.json, result, [
+      `✅ ${result.voter} ${changed ? "changed their vote to" : "voted"} ${result.support} on proposal #${result.proposalId} with ${formatGov(hre, result.weight)}`,
+      `  Tx: ${result.txHash}`
+    ]);
+  });
+
+task("gov:execute", "Moves a finished proposal forward: queues it if it succeeded, executes it once queued, or finalizes a defeat")
+  .addOptionalParam("contract", CONTRACT_PARAM_DESCRIPTION)
+  .addParam("id", "Proposal ID", undefined, types.int)
+  .addOptionalParam("signer", "Index of the account to send from", 0, types.int)
+  .addFlag("json", "Print JSON instead of text")
+  .setAction(async (args, hre) => {
+    const contract = await connect(hre, args.contract, args.signer);
+    const state = STATE_NAMES[Number(await contract.state(args.id))];
+    const proposal = await contract.getProposal(args.id);
+    const status = STATUS_NAMES[Number(proposal.status)];
+
+    let tx;
+    let action;
+    if (state === "Succeeded") {
+      tx = await contract.queueProposal(args.id);
+      action = "queued";
+    } else if (state === "Queued") {
+      const latest = await hre.ethers.provider.getBlock("latest");
+      if (BigInt(latest.timestamp) < proposal.eta) {
+        throw new Error(`Proposal #${args.id} is timelocked until ${formatTime(Number(proposal.eta))}`);
+      }
+      tx = await contract.executeProposal(args.id);
+      action = "executed";
+    } else if ((state === "Defeated" && status === "Active") || (state === "Expired" && status === "Queued")) {
+      // Records the outcome on-chain so the stored status stops reading Active / Queued
+      tx = await contract.executeProposal(args.id);
+      action = "finalized";
+    } else {
+      throw new Error(`Proposal #${args.id} is ${state}; nothing to execute`);
+    }
+    await tx.wait();
+
+    const updated = await loadProposal(contract, args.id);
+    const result = { proposalId: args.id, action, state: updated.state, eta: updated.eta, txHash: tx.hash };
+    const lines = [`✅ Proposal #${args.id} ${action}, now ${updated.state}`];
+    if (action === "queued") {
+      lines.push(`  Executable after: ${formatTime(updated.eta)}`);
+    }
+    lines.push(`  Tx: ${tx.hash}`);
+    return report(args.json, result, lines);
+  });
+
+task("gov:status", "Shows a proposal's state, tallies and quorum")
+  .addOptionalParam("contract", CONTRACT_PARAM_DESCRIPTION)
+  .addParam("id", "Proposal ID", undefined, types.int)
+  .addFlag("json", "Print JSON instead of text")
+  .setAction(async (args, hre) => {
+    const contract = await connect(hre, args.contract);
+    const proposal = await loadProposal(contract, args.id);
+    return report(args.json, proposal, describeProposal(hre, proposal));
+  });
+
+task("gov:list", "Lists proposals, optionally filtered by lifecycle state")
+  .addOptionalParam("contract", CONTRACT_PARAM_DESCRIPTION)
+  .addOptionalParam("state", `One of: ${STATE_NAMES.join(", ")}`)
+  .addFlag("json", "Print JSON instead of text")
+  .setAction(async (args, hre) => {
+    const contract = await connect(hre, args.contract);
+    const wanted = args.state === undefined ? undefined : STATE_NAMES[parseStatusName(STATE_NAMES, args.state)];
+    const count = Number(await contract.proposalCount());
+
+    const proposals = [];
+    for (let id = 1; id <= count; id++) {
+      const proposal = await loadProposal(contract, id);
+      if (wanted === undefined || proposal.state === wanted) {
+        proposals.push(proposal);
+      }
+    }
+
+    const lines = proposals.length === 0
+      ? ["No proposals found"]
+      : proposals.map((p) => `#${p.id}  ${p.state.padEnd(9)}  ${p.description}`);
+    return report(args.json, proposals, lines);
+  });
+
+task("gov:balance", "Shows an account's GOV balance, voting power and delegate")
+  .addOptionalParam("contract", CONTRACT_PARAM_DESCRIPTION)
+  .addParam("account", "Address to inspect")
+  .addFlag("json", "Print JSON instead of text")
+  .setAction(async (args, hre) => {
+    const contract = await connect(hre, args.contract);
+    const [balance, votingPower, delegate] = await Promise.all([
+      contract.balanceOf(args.account),
+      contract["getVotingPower(address)"](args.account),
+      contract.delegates(args.account)
+    ]);
+
+    const result = {
+      account: args.account,
+      balance: balance.toString(),
+      votingPower: votingPower.toString(),
+      delegate
+    };
+    return report(args.json, result, [
+      `Account:      ${result.account}`,
+      `Balance:      ${formatGov(hre, result.balance)}`,
+      `Voting power: ${formatGov(hre, result.votingPower)}`,
+      `Delegate:     ${result.delegate}`
+    ]);
+  });
+
+task("gov:mint", "Mints GOV to an address (minter only)")
+  .addOptionalParam("contract", CONTRACT_PARAM_DESCRIPTION)
+  .addParam("to", "Recipient address")
+  .addParam("amount", "Amount in GOV, e.g. 250 or 0.5")
+  .addOptionalParam("signer", "Index of the account to send from", 0, types.int)
+  .addFlag("json", "Print JSON instead of text")
+  .setAction(async (args, hre) => {
+    const contract = await connect(hre, args.contract, args.signer);
+    const amount = hre.ethers.parseEther(args.amount);
+    const tx = await contract.mint(args.to, amount);
+    await tx.wait();
+
+    const result = { to: args.to, amount: amount.toString(), txHash: tx.hash };
+    return report(args.json, result, [
+      `✅ Minted ${formatGov(hre, amount)} to ${args.to}`,
+      `  Tx: ${tx.hash}`
+    ]);
+  });
+
+task("gov:deploy", "Deploys ProposalVoting and writes deployments/<network>.json")
+  .addFlag("force", "Replace an existing deployment manifest")
+  .addOptionalParam("confirmations", "Confirmations to wait for (default: 1 locally, 5 elsewhere)", undefined, types.int)
+  .addFlag("json", "Print JSON instead of text")
+  .setAction(async (args, hre) => {
+    const manifest = await deploy(hre, { force: args.force, confirmations: args.confirmations });
+
+    const result = {
+      network: manifest.network,
+      address: manifest.address,
+      transactionHash: manifest.transactionHash,
+      blockNumber: manifest.blockNumber,
+      file: manifest.file
+    };
+    return report(args.json, result, [
+      `✅ Deployed ProposalVoting to ${result.network} at ${result.address}`,
+      `  Block:    ${result.blockNumber}`,
+      `  Tx:       ${result.transactionHash}`,
+      `  Manifest: ${result.file || "not written (in-process network)"}`
+    ]);
+  });
@@ -0,0 +1,332 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("MultipleChoiceVoting", function () {
+  let proposalVoting;
+  let multipleChoice;
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+
+  const tokens = (amount) => ethers.parseEther(amount.toString());
+  const votingPeriod = 3600;
+  const vendors = ["Vendor A", "Vendor B", "Vendor C"];
+
+  // Mirrors ProposalVoting's ProposalState enum
+  const ProposalState = { Active: 1, Canceled: 2, Defeated: 3, Succeeded: 4 };
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+
+    const ProposalVoting = await ethers.getContractFactory("ProposalVoting");
+    proposalVoting = await ProposalVoting.deploy();
+    const MultipleChoiceVoting = await ethers.getContractFactory("MultipleChoiceVoting");
+    multipleChoice = await MultipleChoiceVoting.deploy(await proposalVoting.getAddress());
+
+    // Owner keeps 10000 GOV; 1000 + 600 + 400 more are handed out, so quorum (4%) is 480 GOV
+    await proposalVoting.mint(addr1.address, tokens(1000));
+    await proposalVoting.mint(addr2.address, tokens(600));
+    await proposalVoting.mint(addr3.address, tokens(400));
+  });
+
+  describe("Creating proposals", function () {
+    it("Should store the options and emit them in ProposalCreated", async function () {
+      const tx = await multipleChoice.connect(addr1).createProposal("Pick a vendor", vendors, votingPeriod);
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + votingPeriod;
+
+      await expect(tx)
+        .to.emit(multipleChoice, "ProposalCreated")
+        .withArgs(1, addr1.address, "Pick a vendor", vendors, deadline);
+
+      const proposal = await multipleChoice.getProposal(1);
+      expect(proposal.options).to.deep.equal(vendors);
+      expect(proposal.tallies).to.deep.equal([0n, 0n, 0n]);
+      expect(proposal.winningThreshold).to.equal(5000);
+      expect(proposal.quorumBasisPoints).to.equal(400);
+      expect(await multipleChoice.state(1)).to.equal(ProposalState.Active);
+    });
+
+    it("Should accept between 2 and 10 non-empty options", async function () {
+      const labels = (n) => Array.from({ length: n }, (_, i) => `Tier ${i + 1}`);
+
+      await multipleChoice.connect(addr1).createProposal("Two", labels(2), votingPeriod);
+      await multipleChoice.connect(addr1).createProposal("Ten", labels(10), votingPeriod);
+      await expect(
+        multipleChoice.connect(addr1).createProposal("One", labels(1), votingPeriod)
+      ).to.be.revertedWith("Invalid number of options");
+      await expect(
+        multipleChoice.connect(addr1).createProposal("Eleven", labels(11), votingPeriod)
+      ).to.be.revertedWith("Invalid number of options");
+      await expect(
+        multipleChoice.connect(addr1).createProposal("Blank", ["Yes", ""], votingPeriod)
+      ).to.be.revertedWith("Option label cannot be empty");
+    });
+
+    it("Should apply ProposalVoting's proposal threshold and voting period bounds", async function () {
+      const [, , , , poor] = await ethers.getSigners();
+      await expect(
+        multipleChoice.connect(poor).createProposal("Poor", vendors, votingPeriod)
+      ).to.be.revertedWith("Insufficient tokens to create proposal");
+      await expect(
+        multipleChoice.connect(addr1).createProposal("Short", vendors, 59)
+      ).to.be.revertedWith("Voting period below minimum");
+      await expect(
+        multipleChoice.connect(addr1).createProposal("", vendors, votingPeriod)
+      ).to.be.revertedWith("Description cannot be empty");
+    });
+  });
+
+  describe("Voting", function () {
+    beforeEach(async function () {
+      await multipleChoice.connect(addr1).createProposal("Pick a vendor", vendors, votingPeriod);
+    });
+
+    it("Should add each voter's snapshot voting power to their option", async function () {
+      await expect(multipleChoice.connect(addr1).voteWithReason(1, 2, "Cheapest"))
+        .to.emit(multipleChoice, "VoteCast")
+        .withArgs(1, addr1.address, 2, tokens(1000), "Cheapest");
+      await multipleChoice.connect(addr2).vote(1, 0);
+
+      // Tokens moved after the snapshot carry no weight
+      await proposalVoting.connect(addr3).transfer(addr2.address, tokens(400));
+      await multipleChoice.connect(addr3).vote(1, 0);
+
+      const [labels, tallies] = await multipleChoice.getOptionTallies(1);
+      expect(labels).to.deep.equal(vendors);
+      expect(tallies).to.deep.equal([tokens(1000), 0n, tokens(1000)]);
+      expect(await multipleChoice.optionChoice(1, addr1.address)).to.equal(2);
+      expect(await multipleChoice.voteWeight(1, addr3.address)).to.equal(tokens(400));
+      expect((await multipleChoice.getProposal(1)).totalVotes).to.equal(tokens(2000));
+    });
+
+    it("Should allow one vote per voter on a valid option", async function () {
+      await multipleChoice.connect(addr1).vote(1, 0);
+      await expect(multipleChoice.connect(addr1).vote(1, 1)).to.be.revertedWith("Already voted on this proposal");
+      await expect(multipleChoice.connect(addr2).vote(1, 3)).to.be.revertedWith("Invalid option");
+
+      const [, , , , poor] = await ethers.getSigners();
+      await expect(multipleChoice.connect(poor).vote(1, 0)).to.be.revertedWith("Must have tokens to vote");
+      await expect(multipleChoice.vote(2, 0)).to.be.revertedWith("Proposal does not exist");
+    });
+
+    it("Should reject votes after the deadline or on canceled proposals", async function () {
+      await multipleChoice.connect(addr1).createProposal("Canceled", vendors, votingPeriod);
+      await expect(multipleChoice.connect(addr2).cancelProposal(2)).to.be.revertedWith("Only proposer or guardian can cancel");
+      await expect(multipleChoice.cancelProposal(2))
+        .to.emit(multipleChoice, "ProposalCanceled")
+        .withArgs(2, owner.address);
+      await expect(multipleChoice.connect(addr2).vote(2, 0)).to.be.revertedWith("Proposal is not active");
+      expect(await multipleChoice.state(2)).to.equal(ProposalState.Canceled);
+
+      await time.increase(votingPeriod + 1);
+      await expect(multipleChoice.connect(addr2).vote(1, 0)).to.be.revertedWith("Voting period has ended");
+      await expect(multipleChoice.connect(addr1).cancelProposal(1)).to.be.revertedWith("Proposal cannot be canceled");
+    });
+  });
+
+  describe("Emergency pause", function () {
+    it("Should stop proposals and votes while ProposalVoting is paused, but not cancellation", async function () {
+      await multipleChoice.connect(addr1).createProposal("Pick a vendor", vendors, votingPeriod);
+      await multipleChoice.connect(addr1).createProposal("Pick a color", ["Red", "Blue"], votingPeriod);
+      await proposalVoting.pause();
+
+      await expect(
+        multipleChoice.connect(addr1).createProposal("During", vendors, votingPeriod)
+      ).to.be.revertedWith("Governance is paused");
+      await expect(multipleChoice.connect(addr2).vote(1, 0)).to.be.revertedWith("Governance is paused");
+      await expect(multipleChoice.connect(addr2).voteWithReason(1, 0, "Cheapest")).to.be.revertedWith("Governance is paused");
+      await multipleChoice.connect(addr1).cancelProposal(2);
+
+      await proposalVoting.unpause();
+      await multipleChoice.connect(addr2).vote(1, 0);
+    });
+  });
+
+  describe("Bonds & limits", function () {
+    let moduleAddress;
+    let proposalBonds;
+
+    beforeEach(async function () {
+      moduleAddress = await multipleChoice.getAddress();
+      proposalBonds = await ethers.getContractAt("ProposalBonds", await proposalVoting.proposalBonds());
+      await proposalBonds.setProposalBond(tokens(100));
+    });
+
+    it("Should escrow the ProposalBonds bond and return it once a successful proposal is finalized", async function () {
+      expect(await multipleChoice.bonds()).to.equal(await proposalBonds.getAddress());
+      await expect(multipleChoice.connect(addr1).createProposal("Pick a vendor", vendors, votingPeriod))
+        .to.be.revertedWithCustomError(proposalVoting, "ERC20InsufficientAllowance");
+
+      await proposalVoting.connect(addr1).approve(moduleAddress, tokens(100));
+      await expect(multipleChoice.connect(addr1).createProposal("Pick a vendor", vendors, votingPeriod))
+        .to.emit(multipleChoice, "BondEscrowed")
+        .withArgs(1, addr1.address, tokens(100));
+      expect(await proposalVoting.balanceOf(moduleAddress)).to.equal(tokens(100));
+      expect(await multipleChoice.escrowedBond(1)).to.equal(tokens(100));
+
+      await multipleChoice.connect(addr1).vote(1, 0);
+      await expect(multipleChoice.finalizeProposal(1)).to.be.revertedWith("Voting period has not ended");
+      await time.increase(votingPeriod + 1);
+
+      await expect(multipleChoice.finalizeProposal(1))
+        .to.emit(multipleChoice, "ProposalFinalized")
+        .withArgs(1, true)
+        .and.to.emit(multipleChoice, "BondReleased")
+        .withArgs(1, addr1.address, tokens(100), false);
+      expect(await proposalVoting.balanceOf(addr1.address)).to.equal(tokens(1000));
+      expect((await multipleChoice.getProposal(1)).finalized).to.equal(true);
+      await expect(multipleChoice.finalizeProposal(1)).to.be.revertedWith("Proposal already settled");
+    });
+
+    it("Should slash the bond on defeat, a guardian veto or a withdrawal after votes, and return it on an early withdrawal", async function () {
+      const treasury = await proposalBonds.treasury();
+      await proposalVoting.connect(addr1).approve(moduleAddress, tokens(400));
+      await multipleChoice.connect(addr1).createProposal("Withdrawn", vendors, votingPeriod);
+      await multipleChoice.connect(addr1).createProposal("Vetoed", vendors, votingPeriod);
+      await multipleChoice.connect(addr1).createProposal("Nobody votes", vendors, votingPeriod);
+      await multipleChoice.connect(addr1).createProposal("Withdrawn once losing", vendors, votingPeriod);
+
+      await expect(multipleChoice.connect(addr1).cancelProposal(1))
+        .to.emit(multipleChoice, "BondReleased")
+        .withArgs(1, addr1.address, tokens(100), false);
+      await expect(multipleChoice.cancelProposal(2))
+        .to.emit(multipleChoice, "BondReleased")
+        .withArgs(2, treasury, tokens(100), true);
+      await expect(multipleChoice.finalizeProposal(2)).to.be.revertedWith("Proposal already settled");
+
+      await multipleChoice.connect(addr2).vote(4, 1);
+      await expect(multipleChoice.connect(addr1).cancelProposal(4))
+        .to.emit(multipleChoice, "BondReleased")
+        .withArgs(4, treasury, tokens(100), true);
+
+      await time.increase(votingPeriod + 1);
+      await expect(multipleChoice.finalizeProposal(3))
+        .to.emit(multipleChoice, "BondReleased")
+        .withArgs(3, treasury, tokens(100), true);
+      expect(await proposalVoting.balanceOf(addr1.address)).to.equal(tokens(700));
+      expect(await proposalVoting.balanceOf(moduleAddress)).to.equal(0);
+    });
+
+    it("Should apply the ProposalBonds cap and cooldown to this module's own proposals", async function () {
+      await proposalBonds.setProposalBond(0);
+      await proposalBonds.setProposalLimits(1, 0);
+
+      await multipleChoice.connect(addr1).createProposal("First", vendors, votingPeriod);
+      expect(await multipleChoice.activeProposalCount(addr1.address)).to.equal(1);
+      await expect(
+        multipleChoice.connect(addr1).createProposal("Second", vendors, votingPeriod)
+      ).to.be.revertedWith("Too many active proposals");
+
+      // Binary proposals are counted separately
+      await proposalVoting.connect(addr1).createProposal("Binary", votingPeriod);
+
+      // Ended proposals still count until someone finalizes them
+      await time.increase(votingPeriod + 1);
+      await expect(
+        multipleChoice.connect(addr1).createProposal("Second", vendors, votingPeriod)
+      ).to.be.revertedWith("Too many active proposals");
+      await multipleChoice.finalizeProposal(1);
+      await multipleChoice.connect(addr1).createProposal("Second", vendors, votingPeriod);
+
+      await proposalBonds.setProposalLimits(0, 3600);
+      const availableAt = (await multipleChoice.lastProposalAt(addr1.address)) + 3600n;
+      expect(await multipleChoice.nextProposalTime(addr1.address)).to.equal(availableAt);
+      await expect(
+        multipleChoice.connect(addr1).createProposal("Third", vendors, votingPeriod)
+      ).to.be.revertedWith("Proposal cooldown active");
+
+      await time.increaseTo(availableAt);
+      await multipleChoice.connect(addr1).createProposal("Third", vendors, votingPeriod);
+    });
+  });
+
+  describe("Results", function () {
+    let addr4;
+
+    beforeEach(async function () {
+      [, , , , addr4] = await ethers.getSigners();
+      await proposalVoting.mint(addr4.address, tokens(200));
+      await multipleChoice.connect(addr1).createProposal("Pick a vendor", vendors, votingPeriod);
+    });
+
+    it("Should succeed when the leading option holds the winning share and quorum is met", async function () {
+      await multipleChoice.connect(addr1).vote(1, 1);
+      await multipleChoice.connect(addr2).vote(1, 0);
+      await time.increase(votingPeriod + 1);
+
+      // 1000 of 1600 GOV = 62.5%
+      expect(await multipleChoice.getWinningOption(1)).to.deep.equal([true, 1n, false]);
+      expect(await multipleChoice.state(1)).to.equal(ProposalState.Succeeded);
+    });
+
+    it("Should be defeated when the leader falls short of the winning share", async function () {
+      await multipleChoice.connect(addr1).vote(1, 0);
+      await multipleChoice.connect(addr2).vote(1, 1);
+      await multipleChoice.connect(addr3).vote(1, 2);
+      await multipleChoice.connect(addr4).vote(1, 1);
+      await time.increase(votingPeriod + 1);
+
+      // 1000 of 2200 GOV is about 45%
+      expect(await multipleChoice.getWinningOption(1)).to.deep.equal([false, 0n, false]);
+      expect(await multipleChoice.state(1)).to.equal(ProposalState.Defeated);
+    });
+
+    it("Should treat a tie for the lead as no winner, even at the winning share", async function () {
+      await multipleChoice.connect(addr2).vote(1, 2);
+      await multipleChoice.connect(addr3).vote(1, 1);
+      await multipleChoice.connect(addr4).vote(1, 1);
+      await time.increase(votingPeriod + 1);
+
+      // 600 GOV each, i.e. 50% each; the lowest tied index is reported
+      expect(await multipleChoice.getWinningOption(1)).to.deep.equal([false, 1n, true]);
+      expect(await multipleChoice.state(1)).to.equal(ProposalState.Defeated);
+    });
+
+    it("Should be defeated below quorum even with a clear winner", async function () {
+      await multipleChoice.connect(addr1).createProposal("No votes", vendors, votingPeriod);
+      await multipleChoice.connect(addr3).vote(1, 1);
+      await time.increase(votingPeriod + 1);
+
+      // 400 GOV is under the 488 GOV quorum (4% of 12200)
+      expect(await multipleChoice.quorum(1)).to.equal(tokens(488));
+      expect(await multipleChoice.getWinningOption(1)).to.deep.equal([true, 1n, false]);
+      expect(await multipleChoice.state(1)).to.equal(ProposalState.Defeated);
+
+      expect(await multipleChoice.getWinningOption(2)).to.deep.equal([false, 0n, false]);
+      expect(await multipleChoice.state(2)).to.equal(ProposalState.Defeated);
+    });
+  });
+
+  describe("Winning threshold", function () {
+    it("Should only be changed by an executed ProposalVoting proposal", async function () {
+      await expect(multipleChoice.setWinningThreshold(4000)).to.be.revertedWith("Only governance can call");
+
+      const target = await multipleChoice.getAddress();
+      const calldata = multipleChoice.interface.encodeFunctionData("setWinningThreshold", [4000]);
+      await proposalVoting
+        .connect(addr1)
+        ["createProposal(string,uint256,address[],uint256[],bytes[])"]("Lower the bar", votingPeriod, [target], [0], [calldata]);
+      await proposalVoting.connect(addr1).vote(1, true);
+      await time.increase(votingPeriod + 1);
+      await proposalVoting.queueProposal(1);
+      await time.increase((await proposalVoting.getProposal(1)).params.timelockDelay);
+
+      await expect(proposalVoting.executeProposal(1))
+        .to.emit(multipleChoice, "WinningThresholdUpdated")
+        .withArgs(5000, 4000);
+
+      // Only proposals created afterwards use the new share
+      await multipleChoice.connect(addr1).createProposal("Three way", vendors, votingPeriod);
+      await multipleChoice.connect(addr1).vote(1, 0);
+      await multipleChoice.connect(addr2).vote(1, 1);
+      await multipleChoice.connect(addr3).vote(1, 2);
+      await time.increase(votingPeriod + 1);
+
+      // 1000 of 2000 GOV = 50% clears the 40% bar
+      expect((await multipleChoice.getProposal(1)).winningThreshold).to.equal(4000);
+      expect(await multipleChoice.state(1)).to.equal(ProposalState.Succeeded);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ProposalBonds", function () {
+  let proposalVoting;
+  let proposalBonds;
+  let contractAddress;
+  let bondsAddress;
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+
+  const tokens = (amount) => ethers.parseEther(amount.toString());
+  const votingPeriod = 3600;
+
+  // Mirrors ProposalVoting's Role enum
+  const Role = { Minter: 0, Guardian: 1, ParameterAdmin: 2 };
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+
+    const ProposalVoting = await ethers.getContractFactory("ProposalVoting");
+    proposalVoting = await ProposalVoting.deploy();
+    proposalBonds = await ethers.getContractAt("ProposalBonds", await proposalVoting.proposalBonds());
+    contractAddress = await proposalVoting.getAddress();
+    bondsAddress = await proposalBonds.getAddress();
+
+    // Total supply is 10500 GOV, so quorum (4%) is 420 GOV
+    await proposalVoting.mint(addr1.address, tokens(500));
+    await proposalBonds.setProposalBond(tokens(100));
+  });
+
+  it("Should be deployed by ProposalVoting and only take hook calls from it", async function () {
+    expect(await proposalBonds.governance()).to.equal(contractAddress);
+
+    await expect(proposalBonds.onProposalCreated(1, owner.address)).to.be.revertedWith("Only governance can call");
+    await expect(proposalBonds.onProposalClosed(1)).to.be.revertedWith("Only governance can call");
+    await expect(proposalBonds.onProposalSettled(1, true)).to.be.revertedWith("Only governance can call");
+  });
+
+  it("Should escrow the bond on creation and return it after execution", async function () {
+    await expect(proposalVoting.connect(addr1).createProposal("Bonded", votingPeriod))
+      .to.emit(proposalBonds, "BondEscrowed")
+      .withArgs(1, addr1.address, tokens(100));
+    expect(await proposalVoting.balanceOf(addr1.address)).to.equal(tokens(400));
+    expect(await proposalVoting.balanceOf(bondsAddress)).to.equal(tokens(100));
+    expect(await proposalBonds.escrowedBond(1)).to.equal(tokens(100));
+
+    // The snapshot predates the escrow, so the full 500 GOV still vote
+    await proposalVoting.connect(addr1).vote(1, true);
+    expect((await proposalVoting.getProposal(1)).yesVotes).to.equal(tokens(500));
+    await time.increase(votingPeriod + 1);
+    await proposalVoting.queueProposal(1);
+    await time.increase(await proposalVoting.timelockDelay());
+
+    await expect(proposalVoting.executeProposal(1))
+      .to.emit(proposalBonds, "BondReleased")
+      .withArgs(1, addr1.address, tokens(100), false);
+    expect(await proposalVoting.balanceOf(addr1.address)).to.equal(tokens(500));
+    expect(await proposalBonds.escrowedBond(1)).to.equal(0);
+  });
+
+  it("Should slash the bond to the treasury when a proposal misses quorum or fails", async function () {
+    expect(await proposalBonds.treasury()).to.equal(contractAddress);
+    await expect(proposalBonds.setTreasury(addr3.address)).to.be.revertedWith("Only governance can call");
+
+    await proposalVoting.connect(addr1).createProposal("Nobody votes", votingPeriod);
+    await proposalVoting.connect(addr1).createProposal("Voted down", votingPeriod);
+    await proposalVoting.vote(2, false);
+    await time.increase(votingPeriod + 1);
+
+    await expect(proposalVoting.executeProposal(1))
+      .to.emit(proposalBonds, "BondReleased")
+      .withArgs(1, contractAddress, tokens(100), true);
+    await expect(proposalVoting.executeProposal(2))
+      .to.emit(proposalBonds, "BondReleased")
+      .withArgs(2, contractAddress, tokens(100), true);
+    expect(await proposalVoting.balanceOf(addr1.address)).to.equal(tokens(300));
+    expect(await proposalVoting.balanceOf(contractAddress)).to.equal(tokens(200));
+    expect(await proposalVoting.balanceOf(bondsAddress)).to.equal(0);
+  });
+
+  it("Should let an executed proposal move the treasury", async function () {
+    const calldata = proposalBonds.interface.encodeFunctionData("setTreasury", [addr3.address]);
+    await proposalVoting["createProposal(string,uint256,address[],uint256[],bytes[])"](
+      "Move the treasury", votingPeriod, [bondsAddress], [0], [calldata]
+    );
+    await proposalVoting.vote(1, true);
+    await time.increase(votingPeriod + 1);
+    await proposalVoting.queueProposal(1);
+    await time.increase(await proposalVoting.timelockDelay());
+
+    await expect(proposalVoting.executeProposal(1))
+      .to.emit(proposalBonds, "TreasuryUpdated")
+      .withArgs(contractAddress, addr3.address);
+    expect(await proposalBonds.treasury()).to.equal(addr3.address);
+  });
+
+  it("Should return the bond when the proposer withdraws before any vote, and only bond proposals created after a change", async function () {
+    await proposalVoting.connect(addr1).createProposal("Withdrawn", votingPeriod);
+    await expect(proposalVoting.connect(addr1).cancelProposal(1))
+      .to.emit(proposalBonds, "BondReleased")
+      .withArgs(1, addr1.address, tokens(100), false);
+    expect(await proposalVoting.balanceOf(addr1.address)).to.equal(tokens(500));
+
+    await expect(proposalBonds.setProposalBond(tokens(600)))
+      .to.emit(proposalBonds, "ProposalBondUpdated")
+      .withArgs(tokens(100), tokens(600));
+    await expect(proposalVoting.connect(addr1).createProposal("Too poor", votingPeriod))
+      .to.be.revertedWithCustomError(proposalVoting, "ERC20InsufficientBalance")
+      .withArgs(addr1.address, tokens(500), tokens(600));
+
+    await proposalBonds.setProposalBond(0);
+    await expect(proposalVoting.connect(addr1).createProposal("Free", votingPeriod)).not.to.emit(proposalBonds, "BondEscrowed");
+    expect(await proposalBonds.escrowedBond(2)).to.equal(0);
+  });
+
+  it("Should slash the bond when the proposer withdraws a proposal that already has votes", async function () {
+    await proposalVoting.connect(addr1).createProposal("Heading for defeat", votingPeriod);
+    await proposalVoting.vote(1, false);
+
+    await expect(proposalVoting.connect(addr1).cancelProposal(1))
+      .to.emit(proposalBonds, "BondReleased")
+      .withArgs(1, contractAddress, tokens(100), true);
+    expect(await proposalVoting.balanceOf(addr1.address)).to.equal(tokens(400));
+    expect(await proposalVoting.balanceOf(contractAddress)).to.equal(tokens(100));
+  });
+
+  it("Should slash the bond when the guardian vetoes a proposal", async function () {
+    await proposalVoting.connect(addr1).createProposal("Vetoed while voting", votingPeriod);
+    await proposalVoting.connect(addr1).createProposal("Vetoed once queued", votingPeriod);
+    await expect(proposalVoting.cancelProposal(1))
+      .to.emit(proposalBonds, "BondReleased")
+      .withArgs(1, contractAddress, tokens(100), true);
+
+    await proposalVoting.vote(2, true);
+    await time.increase(votingPeriod + 1);
+    await proposalVoting.queueProposal(2);
+    await expect(proposalVoting.cancelProposal(2))
+      .to.emit(proposalBonds, "BondReleased")
+      .withArgs(2, contractAddress, tokens(100), true);
+    expect(await proposalVoting.balanceOf(addr1.address)).to.equal(tokens(300));
+    expect(await proposalVoting.balanceOf(bondsAddress)).to.equal(0);
+  });
+
+  it("Should not let an executed proposal release or re-record another proposal's bond", async function () {
+    // Still Active when the proposals below execute
+    await proposalVoting.connect(addr1).createProposal("Bonded", 3 * 24 * 3600);
+
+    const release = proposalBonds.interface.encodeFunctionData("onProposalSettled", [1, false]);
+    const rerecord = proposalBonds.interface.encodeFunctionData("onProposalCreated", [1, addr3.address]);
+    await proposalVoting["createProposal(string,uint256,address[],uint256[],bytes[])"](
+      "Release the bond", votingPeriod, [bondsAddress], [0], [release]
+    );
+    await proposalVoting["createProposal(string,uint256,address[],uint256[],bytes[])"](
+      "Re-record the bond", votingPeriod, [bondsAddress], [0], [rerecord]
+    );
+    for (const id of [2, 3]) {
+      await proposalVoting.vote(id, true);
+    }
+    await time.increase(votingPeriod + 1);
+    await proposalVoting.queueProposal(2);
+    await proposalVoting.queueProposal(3);
+    await time.increase(await proposalVoting.timelockDelay());
+
+    await expect(proposalVoting.executeProposal(2)).to.be.revertedWith("Proposal is still active");
+    await expect(proposalVoting.executeProposal(3)).to.be.revertedWith("Proposal already recorded");
+    expect(await proposalBonds.escrowedBond(1)).to.equal(tokens(100));
+    expect(await proposalVoting.balanceOf(bondsAddress)).to.equal(tokens(300));
+  });
+
+  it("Should cap each proposer's Active proposals until they are queued, finalized or canceled", async function () {
+    await proposalBonds.setProposalBond(0);
+    await expect(proposalBonds.setProposalLimits(2, 0))
+      .to.emit(proposalBonds, "ProposalLimitsUpdated")
+      .withArgs(0, 0, 2, 0);
+
+    await proposalVoting.connect(addr1).createProposal("First", votingPeriod);
+    await proposalVoting.connect(addr1).createProposal("Second", votingPeriod);
+    expect(await proposalBonds.activeProposalCount(addr1.address)).to.equal(2);
+    await expect(proposalVoting.connect(addr1).createProposal("Third", votingPeriod))
+      .to.be.revertedWith("Too many active proposals");
+
+    // The cap is per proposer
+    await proposalVoting.createProposal("Owner's", votingPeriod);
+
+    await proposalVoting.connect(addr1).cancelProposal(2);
+    await proposalVoting.connect(addr1).createProposal("Third", votingPeriod);
+
+    // Ended but unfinalized proposals still count, until someone queues or finalizes them
+    await proposalVoting.connect(addr1).vote(1, true);
+    await time.increase(votingPeriod + 1);
+    await expect(proposalVoting.connect(addr1).createProposal("Fourth", votingPeriod))
+      .to.be.revertedWith("Too many active proposals");
+    await proposalVoting.queueProposal(1);
+    await proposalVoting.executeProposal(4);
+    expect(await proposalBonds.activeProposalCount(addr1.address)).to.equal(0);
+    await proposalVoting.connect(addr1).createProposal("Fourth", votingPeriod);
+  });
+
+  it("Should make each proposer wait out the cooldown between proposals", async function () {
+    await proposalBonds.setProposalLimits(0, 3600);
+    expect(await proposalBonds.nextProposalTime(addr1.address)).to.equal(0);
+
+    await proposalVoting.connect(addr1).createProposal("First", votingPeriod);
+    const availableAt = (await proposalBonds.lastProposalAt(addr1.address)) + 3600n;
+    expect(await proposalBonds.nextProposalTime(addr1.address)).to.equal(availableAt);
+
+    await expect(proposalVoting.connect(addr1).createProposal("Second", votingPeriod))
+      .to.be.revertedWith("Proposal cooldown active");
+    await proposalVoting.createProposal("Owner's", votingPeriod);
+
+    await time.increaseTo(availableAt);
+    await proposalVoting.connect(addr1).createProposal("Second", votingPeriod);
+  });
+
+  it("Should only let the parameter admin or governance change bonds and limits", async function () {
+    await expect(proposalBonds.connect(addr1).setProposalBond(0)).to.be.revertedWith("Caller does not have the required role");
+    await expect(proposalBonds.connect(addr1).setProposalLimits(1, 60)).to.be.revertedWith("Caller does not have the required role");
+
+    await proposalVoting.transferRole(Role.ParameterAdmin, addr2.address);
+    await proposalBonds.connect(addr2).setProposalLimits(1, 60);
+    expect(await proposalBonds.maxActiveProposals()).to.equal(1);
+    expect(await proposalBonds.proposalCooldown()).to.equal(60);
+    await expect(proposalBonds.setProposalBond(0)).to.be.revertedWith("Caller does not have the required role");
+  });
+});
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signBallot } = require("../scripts/lib/ballots");
 
 describe("ProposalVoting with OpenZeppelin", function () {
   let proposalVoting;
@@ -12,6 +13,24 @@ describe("ProposalVoting with OpenZeppelin", function () {
   // Helper function to convert to token units (18 decimals)
   const tokens = (amount) => ethers.parseEther(amount.toString());
 
+  // Mirrors the contract's VoteType enum
+  const VoteType = { Against: 0, For: 1, Abstain: 2 };
+
+  // Mirrors the contract's Role enum
+  const Role = { Minter: 0, Guardian: 1, ParameterAdmin: 2 };
+
+  // Mirrors the contract's ProposalState enum
+  const ProposalState = {
+    Pending: 0,
+    Active: 1,
+    Canceled: 2,
+    Defeated: 3,
+    Succeeded: 4,
+    Queued: 5,
+    Expired: 6,
+    Executed: 7
+  };
+
   beforeEach(async function () {
     [owner, addr1, addr2, addr3] = await ethers.getSigners();
 
@@ -21,8 +40,10 @@ describe("ProposalVoting with OpenZeppelin", function () {
   });
 
   describe("Deployment & ERC20 Standard", function () {
-    it("Should set the right owner", async function () {
-      expect(await proposalVoting.owner()).to.equal(owner.address);
+    it("Should give the deployer every role", async function () {
+      expect(await proposalVoting.minter()).to.equal(owner.address);
+      expect(await proposalVoting.guardian()).to.equal(owner.address);
+      expect(await proposalVoting.parameterAdmin()).to.equal(owner.address);
     });
 
     it("Should have correct token name and symbol (ERC20)", async function () {
@@ -39,9 +60,11 @@ describe("ProposalVoting with OpenZeppelin", function () {
       expect(await proposalVoting.totalSupply()).to.equal(tokens(10000));
     });
 
-    it("Should set correct constants", async function () {
-      expect(await proposalVoting.MIN_TOKENS_TO_PROPOSE()).to.equal(tokens(100));
-      expect(await proposalVoting.VOTING_THRESHOLD()).to.equal(5000);
+    it("Should set correct constants and default parameters", async function () {
+      expect(await proposalVoting.minTokensToPropose()).to.equal(tokens(100));
+      expect(await proposalVoting.votingThreshold()).to.equal(5000);
+      expect(await proposalVoting.minVotingPeriod()).to.equal(60);
+      expect(await proposalVoting.maxVotingPeriod()).to.equal(30 * 24 * 60 * 60);
       expect(await proposalVoting.BASIS_POINTS()).to.equal(10000);
     });
   });
@@ -54,10 +77,10 @@ describe("ProposalVoting with OpenZeppelin", function () {
         expect(await proposalVoting.totalSupply()).to.equal(tokens(10500));
       });
 
-      it("Should reject minting by non-owner (OpenZeppelin Ownable)", async function () {
+      it("Should reject minting by anyone but the minter", async function () {
         await expect(
           proposalVoting.connect(addr1).mint(addr2.address, tokens(500))
-        ).to.be.revertedWithCustomError(proposalVoting, "OwnableUnauthorizedAccount");
+        ).to.be.revertedWith("Caller does not have the required role");
       });
     });
 
@@ -171,14 +194,14 @@ describe("ProposalVoting with OpenZeppelin", function () {
     it("Should reject voting period less than 60 seconds", async function () {
       await expect(
         proposalVoting.connect(addr1).createProposal("Test", 30)
-      ).to.be.revertedWith("Voting period must be at least 60 seconds");
+      ).to.be.revertedWith("Voting period below minimum");
     });
 
     it("Should reject voting period exceeding 30 days", async function () {
       const moreThan30Days = 31 * 24 * 60 * 60;
       await expect(
         proposalVoting.connect(addr1).createProposal("Test", moreThan30Days)
-      ).to.be.revertedWith("Voting period cannot exceed 30 days");
+      ).to.be.revertedWith("Voting period above maximum");
     });
   });
 
@@ -232,15 +255,22 @@ describe("ProposalVoting with OpenZeppelin", function () {
     it("Should emit VoteCast event", async function () {
       await expect(proposalVoting.connect(addr1).vote(proposalId, true))
         .to.emit(proposalVoting, "VoteCast")
-        .withArgs(proposalId, addr1.address, true, tokens(500));
+        .withArgs(proposalId, addr1.address, VoteType.For, tokens(500), "");
     });
 
-    it("Should prevent double voting", async function () {
+    it("Should count a second vote as a change, not a double vote", async function () {
       await proposalVoting.connect(addr1).vote(proposalId, true);
       
-      await expect(
-        proposalVoting.connect(addr1).vote(proposalId, false)
-      ).to.be.revertedWith("Already voted on this proposal");
+      await expect(proposalVoting.connect(addr1).vote(proposalId, false))
+        .to.emit(proposalVoting, "VoteChanged")
+        .withArgs(proposalId, addr1.address, VoteType.For, VoteType.Against, tokens(500), "")
+        .and.to.not.emit(proposalVoting, "VoteCast");
+
+      const proposal = await proposalVoting.getProposal(proposalId);
+      expect(proposal.yesVotes).to.equal(0);
+      expect(proposal.noVotes).to.equal(tokens(500));
+      expect(proposal.votedTokens).to.equal(tokens(500));
+      expect(await proposalVoting.getVoterCount(proposalId)).to.equal(1);
     });
 
     it("Should prevent voting without tokens", async function () {
@@ -274,6 +304,188 @@ describe("ProposalVoting with OpenZeppelin", function () {
     });
   });
 
+  describe("Voting Power Snapshots", function () {
+    let proposalId;
+    const votingPeriod = 3600;
+
+    beforeEach(async function () {
+      await proposalVoting.mint(addr1.address, tokens(500));
+      await proposalVoting.mint(addr2.address, tokens(300));
+
+      await proposalVoting.connect(addr1).createProposal("Snapshot Proposal", votingPeriod);
+      proposalId = 1;
+    });
+
+    it("Should record the snapshot block on creation", async function () {
+      const blockNumber = await ethers.provider.getBlockNumber();
+      const proposal = await proposalVoting.getProposal(proposalId);
+      expect(proposal.snapshotBlock).to.equal(blockNumber - 1);
+    });
+
+    it("Should weight votes by balance at the snapshot, not the live balance", async function () {
+      await proposalVoting.connect(addr2).transfer(addr1.address, tokens(300));
+      await proposalVoting.connect(addr1).vote(proposalId, true);
+
+      const proposal = await proposalVoting.getProposal(proposalId);
+      expect(proposal.yesVotes).to.equal(tokens(500));
+    });
+
+    it("Should not let tokens be reused after transferring them to another wallet", async function () {
+      await proposalVoting.connect(addr1).vote(proposalId, true);
+      await proposalVoting.connect(addr1).transfer(addr3.address, tokens(500));
+
+      await expect(
+        proposalVoting.connect(addr3).vote(proposalId, true)
+      ).to.be.revertedWith("Must have tokens to vote");
+
+      const [yesVotes, noVotes] = await proposalVoting.getVoteCounts(proposalId);
+      expect(yesVotes).to.equal(tokens(500));
+      expect(noVotes).to.equal(0);
+    });
+
+    it("Should keep the sender's snapshot weight after transferring away", async function () {
+      await proposalVoting.connect(addr2).transfer(addr3.address, tokens(300));
+      await proposalVoting.connect(addr2).vote(proposalId, false);
+
+      const proposal = await proposalVoting.getProposal(proposalId);
+      expect(proposal.noVotes).to.equal(tokens(300));
+    });
+
+    it("Should ignore tokens minted after the proposal was created", async function () {
+      await proposalVoting.mint(addr3.address, tokens(1000));
+
+      await expect(
+        proposalVoting.connect(addr3).vote(proposalId, true)
+      ).to.be.revertedWith("Must have tokens to vote");
+    });
+
+    it("Should return historical voting power", async function () {
+      const before = await ethers.provider.getBlockNumber();
+      await proposalVoting.connect(addr1).transfer(addr2.address, tokens(200));
+      const after = await ethers.provider.getBlockNumber();
+      await time.advanceBlock();
+
+      expect(await proposalVoting["getVotingPower(address,uint256)"](addr1.address, before)).to.equal(tokens(500));
+      expect(await proposalVoting["getVotingPower(address,uint256)"](addr1.address, after)).to.equal(tokens(300));
+      expect(await proposalVoting["getVotingPower(address,uint256)"](addr2.address, after)).to.equal(tokens(500));
+      expect(await proposalVoting["getVotingPower(address)"](addr1.address)).to.equal(tokens(300));
+    });
+
+    it("Should reject historical lookups for unmined blocks", async function () {
+      const current = await ethers.provider.getBlockNumber();
+      await expect(
+        proposalVoting["getVotingPower(address,uint256)"](addr1.address, current + 1)
+      ).to.be.revertedWith("Block not yet mined");
+    });
+  });
+
+  describe("Vote Delegation", function () {
+    const votingPeriod = 3600;
+
+    beforeEach(async function () {
+      await proposalVoting.mint(addr1.address, tokens(500));
+      await proposalVoting.mint(addr2.address, tokens(300));
+    });
+
+    it("Should treat holders as self-delegated by default", async function () {
+      expect(await proposalVoting.delegates(addr1.address)).to.equal(addr1.address);
+      expect(await proposalVoting["getVotingPower(address)"](addr1.address)).to.equal(tokens(500));
+    });
+
+    it("Should move voting power to the delegatee without moving tokens", async function () {
+      await proposalVoting.connect(addr2).delegate(addr1.address);
+
+      expect(await proposalVoting.delegates(addr2.address)).to.equal(addr1.address);
+      expect(await proposalVoting.balanceOf(addr2.address)).to.equal(tokens(300));
+      expect(await proposalVoting["getVotingPower(address)"](addr1.address)).to.equal(tokens(800));
+      expect(await proposalVoting["getVotingPower(address)"](addr2.address)).to.equal(0);
+    });
+
+    it("Should emit DelegateChanged and DelegateVotesChanged events", async function () {
+      await expect(proposalVoting.connect(addr2).delegate(addr1.address))
+        .to.emit(proposalVoting, "DelegateChanged")
+        .withArgs(addr2.address, addr2.address, addr1.address)
+        .and.to.emit(proposalVoting, "DelegateVotesChanged")
+        .withArgs(addr1.address, tokens(500), tokens(800));
+    });
+
+    it("Should reset to self-delegation when delegating to the zero address", async function () {
+      await proposalVoting.connect(addr2).delegate(addr1.address);
+      await proposalVoting.connect(addr2).delegate(ethers.ZeroAddress);
+
+      expect(await proposalVoting.delegates(addr2.address)).to.equal(addr2.address);
+      expect(await proposalVoting["getVotingPower(address)"](addr2.address)).to.equal(tokens(300));
+      expect(await proposalVoting["getVotingPower(address)"](addr1.address)).to.equal(tokens(500));
+    });
+
+    it("Should follow transfers to the delegatee's voting power", async function () {
+      await proposalVoting.connect(addr2).delegate(addr1.address);
+      await proposalVoting.connect(addr2).transfer(addr3.address, tokens(100));
+
+      expect(await proposalVoting["getVotingPower(address)"](addr1.address)).to.equal(tokens(700));
+      expect(await proposalVoting["getVotingPower(address)"](addr3.address)).to.equal(tokens(100));
+    });
+
+    it("Should delegate with an EIP-712 signature", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "GovernanceToken",
+        version: "1",
+        chainId,
+        verifyingContract: await proposalVoting.getAddress()
+      };
+      const types = {
+        Delegation: [
+          { name: "delegatee", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "expiry", type: "uint256" }
+        ]
+      };
+      const nonce = await proposalVoting.nonces(addr2.address);
+      const expiry = (await time.latest()) + 3600;
+      const signature = await addr2.signTypedData(domain, types, { delegatee: addr1.address, nonce, expiry });
+      const { v, r, s } = ethers.Signature.from(signature);
+
+      // Anyone can relay the signed delegation
+      await expect(proposalVoting.connect(addr3).delegateBySig(addr1.address, nonce, expiry, v, r, s))
+        .to.emit(proposalVoting, "DelegateChanged")
+        .withArgs(addr2.address, addr2.address, addr1.address);
+
+      expect(await proposalVoting["getVotingPower(address)"](addr1.address)).to.equal(tokens(800));
+      expect(await proposalVoting.nonces(addr2.address)).to.equal(nonce + 1n);
+
+      await expect(
+        proposalVoting.connect(addr3).delegateBySig(addr1.address, nonce, expiry, v, r, s)
+      ).to.be.revertedWithCustomError(proposalVoting, "InvalidAccountNonce");
+    });
+
+    it("Should count delegated votes when voting", async function () {
+      await proposalVoting.connect(addr2).delegate(addr1.address);
+      await proposalVoting.connect(addr1).createProposal("Delegated Proposal", votingPeriod);
+
+      await expect(proposalVoting.connect(addr1).vote(1, true))
+        .to.emit(proposalVoting, "VoteCast")
+        .withArgs(1, addr1.address, VoteType.For, tokens(800), "");
+
+      await expect(
+        proposalVoting.connect(addr2).vote(1, false)
+      ).to.be.revertedWith("Must have tokens to vote");
+    });
+
+    it("Should check minTokensToPropose against delegated power", async function () {
+      await proposalVoting.connect(addr1).delegate(addr2.address);
+
+      await expect(
+        proposalVoting.connect(addr1).createProposal("No power left", votingPeriod)
+      ).to.be.revertedWith("Insufficient tokens to create proposal");
+
+      await proposalVoting.mint(addr3.address, tokens(60));
+      await proposalVoting.connect(addr2).delegate(addr3.address);
+      await proposalVoting.connect(addr3).createProposal("Backed by delegates", votingPeriod);
+      expect(await proposalVoting.proposalCount()).to.equal(1);
+    });
+  });
+
   describe("Proposal Execution", function () {
     let proposalId;
     const votingPeriod = 3600;
@@ -286,11 +498,17 @@ describe("ProposalVoting with OpenZeppelin", function () {
       proposalId = 1;
     });
 
+    const queueAndWait = async (id) => {
+      await proposalVoting.queueProposal(id);
+      await time.increase(await proposalVoting.timelockDelay());
+    };
+
     it("Should execute proposal that passes threshold", async function () {
       await proposalVoting.connect(addr1).vote(proposalId, true);
       await proposalVoting.connect(addr2).vote(proposalId, false);
 
       await time.increase(votingPeriod + 1);
+      await queueAndWait(proposalId);
 
       await proposalVoting.executeProposal(proposalId);
 
@@ -315,6 +533,7 @@ describe("ProposalVoting with OpenZeppelin", function () {
     it("Should emit ProposalExecuted event", async function () {
       await proposalVoting.connect(addr1).vote(proposalId, true);
       await time.increase(votingPeriod + 1);
+      await queueAndWait(proposalId);
 
       await expect(proposalVoting.executeProposal(proposalId))
         .to.emit(proposalVoting, "ProposalExecuted")
@@ -332,6 +551,7 @@ describe("ProposalVoting with OpenZeppelin", function () {
     it("Should prevent double execution", async function () {
       await proposalVoting.connect(addr1).vote(proposalId, true);
       await time.increase(votingPeriod + 1);
+      await queueAndWait(proposalId);
 
       await proposalVoting.executeProposal(proposalId);
 
@@ -341,37 +561,1129 @@ describe("ProposalVoting with OpenZeppelin", function () {
     });
 
     it("Should handle 50% threshold as pass", async function () {
+      // Tokens minted after creation carry no weight, so use a proposal snapshotted after the mint
       await proposalVoting.mint(addr3.address, tokens(1000));
+      await proposalVoting.connect(addr1).createProposal("Threshold Proposal", votingPeriod);
+      const thresholdProposalId = 2;
+
+      await proposalVoting.connect(addr1).vote(thresholdProposalId, true);
+      await proposalVoting.connect(addr2).vote(thresholdProposalId, true);
+      await proposalVoting.connect(addr3).vote(thresholdProposalId, false);
+
+      await time.increase(votingPeriod + 1);
+      await proposalVoting.queueProposal(thresholdProposalId);
+
+      const proposal = await proposalVoting.getProposal(thresholdProposalId);
+      expect(proposal.status).to.equal(4);
+    });
+  });
+
+  describe("Timelock Queue", function () {
+    let proposalId;
+    let delay;
+    const votingPeriod = 3600;
+
+    beforeEach(async function () {
+      await proposalVoting.mint(addr1.address, tokens(600));
+      await proposalVoting.mint(addr2.address, tokens(400));
+
+      await proposalVoting.connect(addr1).createProposal("Timelocked Proposal", votingPeriod);
+      proposalId = 1;
+      delay = await proposalVoting.timelockDelay();
+    });
+
+    it("Should default to a one day delay and a 14 day grace period", async function () {
+      expect(delay).to.equal(24 * 60 * 60);
+      expect(await proposalVoting.GRACE_PERIOD()).to.equal(14 * 24 * 60 * 60);
+    });
+
+    it("Should queue a passed proposal and record its ETA", async function () {
       await proposalVoting.connect(addr1).vote(proposalId, true);
+      await time.increase(votingPeriod + 1);
+
+      const tx = await proposalVoting.queueProposal(proposalId);
+      const queuedAt = (await ethers.provider.getBlock(tx.blockNumber)).timestamp;
+      const eta = BigInt(queuedAt) + delay;
+
+      await expect(tx).to.emit(proposalVoting, "ProposalQueued").withArgs(proposalId, eta);
+
+      const proposal = await proposalVoting.getProposal(proposalId);
+      expect(proposal.status).to.equal(4);
+      expect(proposal.eta).to.equal(eta);
+      expect(proposal.executed).to.equal(false);
+    });
+
+    it("Should reject queueing before the deadline", async function () {
+      await proposalVoting.connect(addr1).vote(proposalId, true);
+
+      await expect(
+        proposalVoting.queueProposal(proposalId)
+      ).to.be.revertedWith("Voting period has not ended");
+    });
+
+    it("Should reject queueing a proposal that did not pass", async function () {
       await proposalVoting.connect(addr2).vote(proposalId, true);
-      await proposalVoting.connect(addr3).vote(proposalId, false);
+      await proposalVoting.connect(addr1).vote(proposalId, false);
+      await time.increase(votingPeriod + 1);
 
+      await expect(
+        proposalVoting.queueProposal(proposalId)
+      ).to.be.revertedWith("Proposal did not pass");
+    });
+
+    it("Should reject queueing twice", async function () {
+      await proposalVoting.connect(addr1).vote(proposalId, true);
       await time.increase(votingPeriod + 1);
-      await proposalVoting.executeProposal(proposalId);
+      await proposalVoting.queueProposal(proposalId);
 
-      const proposal = await proposalVoting.getProposal(proposalId);
-      expect(proposal.status).to.equal(3);
+      await expect(
+        proposalVoting.queueProposal(proposalId)
+      ).to.be.revertedWith("Proposal is not active");
+    });
+
+    it("Should require a passed proposal to be queued before execution", async function () {
+      await proposalVoting.connect(addr1).vote(proposalId, true);
+      await time.increase(votingPeriod + 1);
+
+      await expect(
+        proposalVoting.executeProposal(proposalId)
+      ).to.be.revertedWith("Proposal must be queued before execution");
+    });
+
+    it("Should reject execution before the timelock delay has passed", async function () {
+      await proposalVoting.connect(addr1).vote(proposalId, true);
+      await time.increase(votingPeriod + 1);
+      await proposalVoting.queueProposal(proposalId);
+
+      await expect(
+        proposalVoting.executeProposal(proposalId)
+      ).to.be.revertedWith("Timelock delay has not passed");
+    });
+
+    it("Should expire a queued proposal once the grace period runs out", async function () {
+      const calldata = proposalVoting.interface.encodeFunctionData("mint", [addr3.address, tokens(50)]);
+      await proposalVoting
+        .connect(addr1)
+        ["createProposal(string,uint256,address[],uint256[],bytes[])"]("Late mint", votingPeriod, [await proposalVoting.getAddress()], [0], [calldata]);
+
+      await proposalVoting.connect(addr1).vote(2, true);
+      await time.increase(votingPeriod + 1);
+      await proposalVoting.queueProposal(2);
+      await time.increase(delay + (await proposalVoting.GRACE_PERIOD()) + 1n);
+
+      await expect(proposalVoting.executeProposal(2))
+        .to.emit(proposalVoting, "ProposalExpired")
+        .withArgs(2)
+        .and.to.not.emit(proposalVoting, "ProposalExecuted");
+
+      const proposal = await proposalVoting.getProposal(2);
+      expect(proposal.status).to.equal(5);
+      expect(proposal.executed).to.equal(false);
+      expect(await proposalVoting.balanceOf(addr3.address)).to.equal(0);
+
+      await expect(
+        proposalVoting.executeProposal(2)
+      ).to.be.revertedWith("Proposal is not queued");
+    });
+
+    it("Should let the owner update the timelock delay", async function () {
+      await expect(proposalVoting.setTimelockDelay(2 * 24 * 60 * 60))
+        .to.emit(proposalVoting, "TimelockDelayUpdated")
+        .withArgs(delay, 2 * 24 * 60 * 60);
+      expect(await proposalVoting.timelockDelay()).to.equal(2 * 24 * 60 * 60);
+    });
+
+    it("Should reject timelock delay updates from anyone but the parameter admin", async function () {
+      await expect(
+        proposalVoting.connect(addr1).setTimelockDelay(0)
+      ).to.be.revertedWith("Caller does not have the required role");
+    });
+
+    it("Should reject a timelock delay above the maximum", async function () {
+      await expect(
+        proposalVoting.setTimelockDelay(31 * 24 * 60 * 60)
+      ).to.be.revertedWith("Timelock delay too long");
     });
   });
 
-  describe("View Functions", function () {
-    it("Should return correct voting power", async function () {
-      await proposalVoting.mint(addr1.address, tokens(750));
-      expect(await proposalVoting.getVotingPower(addr1.address)).to.equal(tokens(750));
+  describe("Quorum", function () {
+    const votingPeriod = 3600;
+
+    beforeEach(async function () {
+      // Total supply: 10,000 (owner) + 600 + 1 = 10,601 GOV
+      await proposalVoting.mint(addr1.address, tokens(600));
+      await proposalVoting.mint(addr3.address, tokens(1));
+      await proposalVoting.connect(addr1).createProposal("Quorum Proposal", votingPeriod);
     });
 
-    it("Should return correct vote counts", async function () {
-      await proposalVoting.mint(addr1.address, tokens(500));
-      await proposalVoting.mint(addr2.address, tokens(300));
-      
-      await proposalVoting.connect(addr1).createProposal("Test", 3600);
+    it("Should default to 4% of total supply", async function () {
+      expect(await proposalVoting.quorumBasisPoints()).to.equal(400);
+      expect(await proposalVoting.quorum(1)).to.equal((tokens(10601) * 400n) / 10000n);
+    });
+
+    it("Should use total supply at the proposal snapshot", async function () {
+      const before = await proposalVoting.quorum(1);
+      await proposalVoting.mint(addr2.address, tokens(100000));
+
+      expect(await proposalVoting.quorum(1)).to.equal(before);
+    });
+
+    it("Should defeat a lone 1-token yes vote for missing quorum", async function () {
+      await proposalVoting.connect(addr3).vote(1, true);
+      await time.increase(votingPeriod + 1);
+
+      await expect(
+        proposalVoting.queueProposal(1)
+      ).to.be.revertedWith("Quorum not reached");
+
+      await expect(proposalVoting.executeProposal(1))
+        .to.emit(proposalVoting, "ProposalExecuted")
+        .withArgs(1, false);
+
+      const proposal = await proposalVoting.getProposal(1);
+      expect(proposal.executed).to.equal(true);
+      expect(proposal.status).to.equal(6);
+    });
+
+    it("Should defeat a proposal with no votes for missing quorum", async function () {
+      await time.increase(votingPeriod + 1);
+      await proposalVoting.executeProposal(1);
+
+      expect((await proposalVoting.getProposal(1)).status).to.equal(6);
+    });
+
+    it("Should report quorum progress in getVoteCounts", async function () {
+      let [, , totalVotes, quorumVotes, quorumReached] = await proposalVoting.getVoteCounts(1);
+      expect(totalVotes).to.equal(0);
+      expect(quorumVotes).to.equal(await proposalVoting.quorum(1));
+      expect(quorumReached).to.equal(false);
+
+      await proposalVoting.connect(addr1).vote(1, false);
+      [, , totalVotes, , quorumReached] = await proposalVoting.getVoteCounts(1);
+      expect(totalVotes).to.equal(tokens(600));
+      expect(quorumReached).to.equal(true);
+    });
+
+    it("Should apply the threshold only once quorum is reached", async function () {
+      await proposalVoting.connect(addr1).vote(1, false);
+      await proposalVoting.connect(addr3).vote(1, true);
+      await time.increase(votingPeriod + 1);
+
+      await expect(
+        proposalVoting.queueProposal(1)
+      ).to.be.revertedWith("Proposal did not pass");
+
+      await proposalVoting.executeProposal(1);
+      expect((await proposalVoting.getProposal(1)).status).to.equal(2);
+    });
+
+    it("Should let the owner update the quorum for new proposals", async function () {
+      await expect(proposalVoting.setQuorumBasisPoints(1000))
+        .to.emit(proposalVoting, "QuorumUpdated")
+        .withArgs(400, 1000);
+
+      expect(await proposalVoting.quorum(1)).to.equal((tokens(10601) * 400n) / 10000n);
+
+      await proposalVoting.connect(addr1).createProposal("After quorum change", votingPeriod);
+      expect(await proposalVoting.quorum(2)).to.equal((tokens(10601) * 1000n) / 10000n);
+    });
+
+    it("Should reject invalid quorum updates", async function () {
+      await expect(
+        proposalVoting.connect(addr1).setQuorumBasisPoints(1000)
+      ).to.be.revertedWith("Caller does not have the required role");
+
+      await expect(
+        proposalVoting.setQuorumBasisPoints(10001)
+      ).to.be.revertedWith("Quorum cannot exceed 100%");
+    });
+  });
+
+  describe("Abstain & Vote Reasons", function () {
+    const votingPeriod = 3600;
+
+    beforeEach(async function () {
+      // Total supply: 10,000 (owner) + 600 + 400 + 300 = 11,300 GOV, so quorum is 452 GOV
+      await proposalVoting.mint(addr1.address, tokens(600));
+      await proposalVoting.mint(addr2.address, tokens(400));
+      await proposalVoting.mint(addr3.address, tokens(300));
+      await proposalVoting.connect(addr1).createProposal("Abstain Proposal", votingPeriod);
+    });
+
+    it("Should emit the reason with VoteCast", async function () {
+      await expect(proposalVoting.connect(addr2).voteWithReason(1, VoteType.Against, "Too expensive"))
+        .to.emit(proposalVoting, "VoteCast")
+        .withArgs(1, addr2.address, VoteType.Against, tokens(400), "Too expensive");
+    });
+
+    it("Should track abstain weight separately", async function () {
+      await proposalVoting.connect(addr1).voteWithReason(1, VoteType.For, "");
+      await proposalVoting.connect(addr2).voteWithReason(1, VoteType.Abstain, "Conflict of interest");
+
+      const proposal = await proposalVoting.getProposal(1);
+      expect(proposal.yesVotes).to.equal(tokens(600));
+      expect(proposal.noVotes).to.equal(0);
+      expect(proposal.abstainVotes).to.equal(tokens(400));
+
+      const [yesVotes, noVotes, totalVotes, , , abstainVotes] = await proposalVoting.getVoteCounts(1);
+      expect(yesVotes).to.equal(tokens(600));
+      expect(noVotes).to.equal(0);
+      expect(totalVotes).to.equal(tokens(1000));
+      expect(abstainVotes).to.equal(tokens(400));
+    });
+
+    it("Should record the vote choice", async function () {
       await proposalVoting.connect(addr1).vote(1, true);
       await proposalVoting.connect(addr2).vote(1, false);
+      await proposalVoting.connect(addr3).voteWithReason(1, VoteType.Abstain, "");
 
-      const [yesVotes, noVotes, totalVotes] = await proposalVoting.getVoteCounts(1);
-      expect(yesVotes).to.equal(tokens(500));
-      expect(noVotes).to.equal(tokens(300));
-      expect(totalVotes).to.equal(tokens(800));
+      expect(await proposalVoting.voteChoice(1, addr1.address)).to.equal(VoteType.For);
+      expect(await proposalVoting.voteChoice(1, addr2.address)).to.equal(VoteType.Against);
+      expect(await proposalVoting.voteChoice(1, addr3.address)).to.equal(VoteType.Abstain);
+    });
+
+    it("Should count abstentions towards quorum", async function () {
+      // 300 GOV of yes votes alone is below the 452 GOV quorum
+      await proposalVoting.connect(addr3).vote(1, true);
+      let [, , , , quorumReached] = await proposalVoting.getVoteCounts(1);
+      expect(quorumReached).to.equal(false);
+
+      await proposalVoting.connect(addr2).voteWithReason(1, VoteType.Abstain, "");
+      [, , , , quorumReached] = await proposalVoting.getVoteCounts(1);
+      expect(quorumReached).to.equal(true);
+
+      await time.increase(votingPeriod + 1);
+      await proposalVoting.queueProposal(1);
+      expect((await proposalVoting.getProposal(1)).status).to.equal(4);
+    });
+
+    it("Should ignore abstentions in the threshold", async function () {
+      // 300 yes vs 400 no fails even though 600 more abstained
+      await proposalVoting.connect(addr3).vote(1, true);
+      await proposalVoting.connect(addr2).vote(1, false);
+      await proposalVoting.connect(addr1).voteWithReason(1, VoteType.Abstain, "");
+
+      await time.increase(votingPeriod + 1);
+      await expect(
+        proposalVoting.queueProposal(1)
+      ).to.be.revertedWith("Proposal did not pass");
+    });
+
+    it("Should fail a proposal that only received abstentions", async function () {
+      await proposalVoting.connect(addr1).voteWithReason(1, VoteType.Abstain, "");
+      await time.increase(votingPeriod + 1);
+
+      await proposalVoting.executeProposal(1);
+      expect((await proposalVoting.getProposal(1)).status).to.equal(2);
+    });
+
+    it("Should let a voter change to abstain with a reason", async function () {
+      await proposalVoting.connect(addr1).vote(1, true);
+
+      await expect(proposalVoting.connect(addr1).voteWithReason(1, VoteType.Abstain, "Changed my mind"))
+        .to.emit(proposalVoting, "VoteChanged")
+        .withArgs(1, addr1.address, VoteType.For, VoteType.Abstain, tokens(600), "Changed my mind");
+      expect((await proposalVoting.getProposal(1)).abstainVotes).to.equal(tokens(600));
+      expect(await proposalVoting.voteChoice(1, addr1.address)).to.equal(VoteType.Abstain);
+    });
+  });
+
+  describe("Signed Ballots (voteBySig)", function () {
+    const votingPeriod = 3600;
+
+    const relay = (ballot, relayer = addr3) =>
+      proposalVoting
+        .connect(relayer)
+        .voteBySig(ballot.proposalId, ballot.support, ballot.voter, ballot.nonce, ballot.expiry, ballot.signature);
+
+    beforeEach(async function () {
+      await proposalVoting.mint(addr1.address, tokens(600));
+      await proposalVoting.mint(addr2.address, tokens(400));
+      await proposalVoting.connect(addr1).createProposal("Gasless Proposal", votingPeriod);
+    });
+
+    it("Should count a relayed ballot for the signer", async function () {
+      const ballot = await signBallot(addr2, proposalVoting, { proposalId: 1, support: "against" });
+
+      await expect(relay(ballot))
+        .to.emit(proposalVoting, "VoteCast")
+        .withArgs(1, addr2.address, VoteType.Against, tokens(400), "");
+
+      expect(await proposalVoting.hasVotedOnProposal(1, addr2.address)).to.equal(true);
+      expect(await proposalVoting.hasVotedOnProposal(1, addr3.address)).to.equal(false);
+      expect((await proposalVoting.getProposal(1)).noVotes).to.equal(tokens(400));
+    });
+
+    it("Should consume the voter's nonce and reject replays", async function () {
+      const ballot = await signBallot(addr2, proposalVoting, { proposalId: 1, support: "for" });
+      await relay(ballot);
+
+      expect(await proposalVoting.nonces(addr2.address)).to.equal(1);
+      await expect(relay(ballot)).to.be.revertedWithCustomError(proposalVoting, "InvalidAccountNonce");
+    });
+
+    it("Should reject a ballot signed with a stale nonce", async function () {
+      const ballot = await signBallot(addr2, proposalVoting, { proposalId: 1, support: "for", nonce: 5 });
+
+      await expect(relay(ballot)).to.be.revertedWithCustomError(proposalVoting, "InvalidAccountNonce");
+    });
+
+    it("Should reject an expired ballot", async function () {
+      const expiry = (await time.latest()) + 60;
+      const ballot = await signBallot(addr2, proposalVoting, { proposalId: 1, support: "for", expiry });
+      await time.increase(120);
+
+      await expect(relay(ballot)).to.be.revertedWith("Signature expired");
+    });
+
+    it("Should reject a ballot whose contents were altered", async function () {
+      const ballot = await signBallot(addr2, proposalVoting, { proposalId: 1, support: "against" });
+
+      await expect(relay({ ...ballot, support: VoteType.For })).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject a ballot signed by someone other than the voter", async function () {
+      const ballot = await signBallot(addr3, proposalVoting, { proposalId: 1, support: "for" });
+
+      await expect(relay({ ...ballot, voter: addr2.address })).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should treat a signed ballot after a direct vote as a change of vote", async function () {
+      const ballot = await signBallot(addr2, proposalVoting, { proposalId: 1, support: "for" });
+      await proposalVoting.connect(addr2).vote(1, false);
+
+      await expect(relay(ballot)).to.emit(proposalVoting, "VoteChanged");
+      const proposal = await proposalVoting.getProposal(1);
+      expect(proposal.noVotes).to.equal(0);
+      expect(proposal.yesVotes).to.equal(await proposalVoting.voteWeight(1, addr2.address));
+    });
+  });
+
+  describe("Cancellation & Guardian", function () {
+    const votingPeriod = 3600;
+
+    beforeEach(async function () {
+      await proposalVoting.mint(addr1.address, tokens(600));
+      await proposalVoting.mint(addr2.address, tokens(400));
+      await proposalVoting.connect(addr1).createProposal("Cancelable Proposal", votingPeriod);
+    });
+
+    const passAndQueue = async (id) => {
+      await proposalVoting.connect(addr1).vote(id, true);
+      await time.increase(votingPeriod + 1);
+      await proposalVoting.queueProposal(id);
+    };
+
+    it("Should make the deployer the initial guardian", async function () {
+      expect(await proposalVoting.guardian()).to.equal(owner.address);
+    });
+
+    it("Should let the proposer cancel while voting is open", async function () {
+      await expect(proposalVoting.connect(addr1).cancelProposal(1))
+        .to.emit(proposalVoting, "ProposalCanceled")
+        .withArgs(1, addr1.address);
+
+      expect((await proposalVoting.getProposal(1)).status).to.equal(7);
+      expect(await proposalVoting.isVotingActive(1)).to.equal(false);
+      await expect(
+        proposalVoting.connect(addr2).vote(1, true)
+      ).to.be.revertedWith("Proposal is not active");
+    });
+
+    it("Should not let the proposer cancel after the deadline", async function () {
+      await time.increase(votingPeriod + 1);
+
+      await expect(
+        proposalVoting.connect(addr1).cancelProposal(1)
+      ).to.be.revertedWith("Proposer can only cancel during voting");
+    });
+
+    it("Should not let other accounts cancel", async function () {
+      await expect(
+        proposalVoting.connect(addr2).cancelProposal(1)
+      ).to.be.revertedWith("Only proposer or guardian can cancel");
+    });
+
+    it("Should let the guardian veto a queued proposal", async function () {
+      await passAndQueue(1);
+
+      await expect(proposalVoting.cancelProposal(1))
+        .to.emit(proposalVoting, "ProposalCanceled")
+        .withArgs(1, owner.address);
+
+      await time.increase(await proposalVoting.timelockDelay());
+      await expect(
+        proposalVoting.executeProposal(1)
+      ).to.be.revertedWith("Proposal is not queued");
+    });
+
+    it("Should let an executed proposal veto like the guardian", async function () {
+      await passAndQueue(1);
+
+      const contractAddress = await proposalVoting.getAddress();
+      const calldata = proposalVoting.interface.encodeFunctionData("cancelProposal", [1]);
+      await proposalVoting.connect(addr1)["createProposal(string,uint256,address[],uint256[],bytes[])"](
+        "Veto #1", votingPeriod, [contractAddress], [0], [calldata]
+      );
+      await passAndQueue(2);
+      await time.increase(await proposalVoting.timelockDelay());
+
+      await expect(proposalVoting.executeProposal(2))
+        .to.emit(proposalVoting, "ProposalCanceled")
+        .withArgs(1, contractAddress);
+      expect((await proposalVoting.getProposal(1)).status).to.equal(7);
+    });
+
+    it("Should not cancel an executed or finalized proposal", async function () {
+      await passAndQueue(1);
+      await time.increase(await proposalVoting.timelockDelay());
+      await proposalVoting.executeProposal(1);
+
+      await expect(
+        proposalVoting.cancelProposal(1)
+      ).to.be.revertedWith("Proposal cannot be canceled");
+    });
+
+    it("Should not cancel twice", async function () {
+      await proposalVoting.connect(addr1).cancelProposal(1);
+
+      await expect(
+        proposalVoting.cancelProposal(1)
+      ).to.be.revertedWith("Proposal cannot be canceled");
+    });
+
+    it("Should let the guardian hand the role to someone else", async function () {
+      await expect(proposalVoting.transferRole(Role.Guardian, addr3.address))
+        .to.emit(proposalVoting, "RoleTransferred")
+        .withArgs(Role.Guardian, owner.address, addr3.address);
+
+      await time.increase(votingPeriod + 1);
+      await proposalVoting.connect(addr3).cancelProposal(1);
+      await expect(
+        proposalVoting.connect(addr2).transferRole(Role.Guardian, addr2.address)
+      ).to.be.revertedWith("Caller does not have the required role");
+    });
+  });
+
+  describe("Lifecycle State", function () {
+    const votingPeriod = 3600;
+
+    beforeEach(async function () {
+      await proposalVoting.mint(addr1.address, tokens(600));
+      await proposalVoting.mint(addr2.address, tokens(400));
+      await proposalVoting.connect(addr1).createProposal("Stateful Proposal", votingPeriod);
+    });
+
+    it("Should be Active while voting is open", async function () {
+      expect(await proposalVoting.state(1)).to.equal(ProposalState.Active);
+    });
+
+    it("Should be Succeeded after the deadline when passing, before anyone queues it", async function () {
+      await proposalVoting.connect(addr1).vote(1, true);
+      await time.increase(votingPeriod + 1);
+
+      expect(await proposalVoting.state(1)).to.equal(ProposalState.Succeeded);
+      expect((await proposalVoting.getProposal(1)).status).to.equal(0);
+    });
+
+    it("Should be Defeated after the deadline when failing the threshold or quorum", async function () {
+      await proposalVoting.connect(addr1).vote(1, false);
+      await time.increase(votingPeriod + 1);
+      expect(await proposalVoting.state(1)).to.equal(ProposalState.Defeated);
+
+      await proposalVoting.connect(addr1).createProposal("No votes", votingPeriod);
+      await time.increase(votingPeriod + 1);
+      expect(await proposalVoting.state(2)).to.equal(ProposalState.Defeated);
+
+      await proposalVoting.executeProposal(2);
+      expect(await proposalVoting.state(2)).to.equal(ProposalState.Defeated);
+    });
+
+    it("Should move through Queued, Expired and Executed", async function () {
+      await proposalVoting.connect(addr1).vote(1, true);
+      await proposalVoting.connect(addr1).createProposal("Second", votingPeriod);
+      await proposalVoting.connect(addr1).vote(2, true);
+      await time.increase(votingPeriod + 1);
+
+      await proposalVoting.queueProposal(1);
+      await proposalVoting.queueProposal(2);
+      expect(await proposalVoting.state(1)).to.equal(ProposalState.Queued);
+
+      await time.increase(await proposalVoting.timelockDelay());
+      await proposalVoting.executeProposal(1);
+      expect(await proposalVoting.state(1)).to.equal(ProposalState.Executed);
+
+      await time.increase((await proposalVoting.GRACE_PERIOD()) + 1n);
+      expect(await proposalVoting.state(2)).to.equal(ProposalState.Expired);
+      expect((await proposalVoting.getProposal(2)).status).to.equal(4);
+    });
+
+    it("Should be Canceled after cancellation", async function () {
+      await proposalVoting.connect(addr1).cancelProposal(1);
+      expect(await proposalVoting.state(1)).to.equal(ProposalState.Canceled);
+    });
+
+    it("Should revert for unknown proposals", async function () {
+      await expect(proposalVoting.state(99)).to.be.revertedWith("Proposal does not exist");
+    });
+  });
+
+  describe("Governance Parameters", function () {
+    let contractAddress;
+    const votingPeriod = 3600;
+
+    // Runs a proposal whose only action is a call on the contract itself, all the way to execution
+    const governanceCall = async (functionName, args) => {
+      const calldata = proposalVoting.interface.encodeFunctionData(functionName, args);
+      await proposalVoting
+        .connect(addr1)
+        ["createProposal(string,uint256,address[],uint256[],bytes[])"](`Call ${functionName}`, votingPeriod, [contractAddress], [0], [calldata]);
+      const id = await proposalVoting.proposalCount();
+
+      await proposalVoting.connect(addr1).vote(id, true);
+      await time.increase(votingPeriod + 1);
+      await proposalVoting.queueProposal(id);
+      await time.increase((await proposalVoting.getProposal(id)).params.timelockDelay);
+      return proposalVoting.executeProposal(id);
+    };
+
+    beforeEach(async function () {
+      contractAddress = await proposalVoting.getAddress();
+      await proposalVoting.mint(addr1.address, tokens(1000));
+      await proposalVoting.mint(addr2.address, tokens(600));
+    });
+
+    it("Should freeze the current parameters into each proposal", async function () {
+      await proposalVoting.connect(addr1).createProposal("Frozen", votingPeriod);
+
+      const { params } = await proposalVoting.getProposal(1);
+      expect(params.votingThreshold).to.equal(5000);
+      expect(params.quorumBasisPoints).to.equal(400);
+      expect(params.timelockDelay).to.equal(24 * 60 * 60);
+    });
+
+    it("Should reject parameter changes that don't come from an executed proposal", async function () {
+      await expect(proposalVoting.setVotingThreshold(6000)).to.be.revertedWith("Only governance can call");
+      await expect(proposalVoting.connect(addr1).setMinTokensToPropose(0)).to.be.revertedWith("Only governance can call");
+      await expect(proposalVoting.setVotingPeriodBounds(1, 2)).to.be.revertedWith("Only governance can call");
+    });
+
+    it("Should update the voting threshold through governance", async function () {
+      await expect(governanceCall("setVotingThreshold", [6000]))
+        .to.emit(proposalVoting, "VotingThresholdUpdated")
+        .withArgs(5000, 6000);
+
+      expect(await proposalVoting.votingThreshold()).to.equal(6000);
+    });
+
+    it("Should update the minimum voting power to propose through governance", async function () {
+      await expect(governanceCall("setMinTokensToPropose", [tokens(700)]))
+        .to.emit(proposalVoting, "MinTokensToProposeUpdated")
+        .withArgs(tokens(100), tokens(700));
+
+      await expect(
+        proposalVoting.connect(addr2).createProposal("Not enough anymore", votingPeriod)
+      ).to.be.revertedWith("Insufficient tokens to create proposal");
+    });
+
+    it("Should update the voting period bounds through governance", async function () {
+      await expect(governanceCall("setVotingPeriodBounds", [3600, 7 * 24 * 60 * 60]))
+        .to.emit(proposalVoting, "VotingPeriodBoundsUpdated")
+        .withArgs(60, 30 * 24 * 60 * 60, 3600, 7 * 24 * 60 * 60);
+
+      await expect(
+        proposalVoting.connect(addr1).createProposal("Too short", 600)
+      ).to.be.revertedWith("Voting period below minimum");
+      await expect(
+        proposalVoting.connect(addr1).createProposal("Too long", 8 * 24 * 60 * 60)
+      ).to.be.revertedWith("Voting period above maximum");
+    });
+
+    it("Should reject invalid parameter values", async function () {
+      await expect(governanceCall("setVotingThreshold", [0])).to.be.revertedWith("Invalid voting threshold");
+      await expect(governanceCall("setVotingThreshold", [10001])).to.be.revertedWith("Invalid voting threshold");
+      await expect(governanceCall("setVotingPeriodBounds", [600, 60])).to.be.revertedWith("Invalid voting period bounds");
+    });
+
+    it("Should not change the threshold of proposals that are already running", async function () {
+      // Running proposal: 1000 yes vs 600 no = 62.5%, which passes at 50% but not at 70%
+      const runningPeriod = 3 * 24 * 60 * 60;
+      await proposalVoting.connect(addr1).createProposal("Running", runningPeriod);
+      await governanceCall("setVotingThreshold", [7000]);
+
+      await proposalVoting.connect(addr1).vote(1, true);
+      await proposalVoting.connect(addr2).vote(1, false);
+      await time.increaseTo((await proposalVoting.getProposal(1)).deadline + 1n);
+
+      await proposalVoting.queueProposal(1);
+      expect(await proposalVoting.state(1)).to.equal(ProposalState.Queued);
+    });
+  });
+
+  describe("Executable Proposals", function () {
+    let contractAddress;
+    const votingPeriod = 3600;
+
+    const createWithActions = (signer, description, targets, values, calldatas) =>
+      proposalVoting
+        .connect(signer)
+        ["createProposal(string,uint256,address[],uint256[],bytes[])"](description, votingPeriod, targets, values, calldatas);
+
+    const passAndExecute = async (proposalId) => {
+      await proposalVoting.connect(addr1).vote(proposalId, true);
+      await time.increase(votingPeriod + 1);
+      await proposalVoting.queueProposal(proposalId);
+      await time.increase(await proposalVoting.timelockDelay());
+      return proposalVoting.executeProposal(proposalId);
+    };
+
+    beforeEach(async function () {
+      contractAddress = await proposalVoting.getAddress();
+      await proposalVoting.mint(addr1.address, tokens(600));
+    });
+
+    it("Should store actions and expose them through getProposalActions", async function () {
+      const calldata = proposalVoting.interface.encodeFunctionData("mint", [addr2.address, tokens(50)]);
+      await createWithActions(addr1, "Mint to addr2", [contractAddress], [0], [calldata]);
+
+      const actions = await proposalVoting.getProposalActions(1);
+      expect(actions.length).to.equal(1);
+      expect(actions[0].target).to.equal(contractAddress);
+      expect(actions[0].value).to.equal(0);
+      expect(actions[0].data).to.equal(calldata);
+    });
+
+    it("Should keep text-only proposals free of actions", async function () {
+      await proposalVoting.connect(addr1).createProposal("Signal only", votingPeriod);
+      expect(await proposalVoting.getProposalActions(1)).to.deep.equal([]);
+
+      await expect(passAndExecute(1)).to.not.emit(proposalVoting, "ProposalActionExecuted");
+    });
+
+    it("Should call mint on the contract itself when executed", async function () {
+      const calldata = proposalVoting.interface.encodeFunctionData("mint", [addr2.address, tokens(50)]);
+      await createWithActions(addr1, "Mint to addr2", [contractAddress], [0], [calldata]);
+
+      await expect(passAndExecute(1))
+        .to.emit(proposalVoting, "ProposalActionExecuted")
+        .withArgs(1, 0, contractAddress, 0, "0x");
+
+      expect(await proposalVoting.balanceOf(addr2.address)).to.equal(tokens(50));
+    });
+
+    it("Should pay ETH out of the contract treasury", async function () {
+      await owner.sendTransaction({ to: contractAddress, value: ethers.parseEther("2") });
+      await createWithActions(addr1, "Grant", [addr3.address], [ethers.parseEther("1")], ["0x"]);
+
+      await expect(passAndExecute(1)).to.changeEtherBalances(
+        [proposalVoting, addr3],
+        [ethers.parseEther("-1"), ethers.parseEther("1")]
+      );
+    });
+
+    it("Should revert the whole execution if any action fails", async function () {
+      const mintCall = proposalVoting.interface.encodeFunctionData("mint", [addr2.address, tokens(50)]);
+      const burnCall = proposalVoting.interface.encodeFunctionData("burn", [tokens(1)]);
+      await createWithActions(addr1, "Mint then burn", [contractAddress, contractAddress], [0, 0], [mintCall, burnCall]);
+
+      await expect(passAndExecute(1)).to.be.revertedWithCustomError(proposalVoting, "ERC20InsufficientBalance");
+
+      expect(await proposalVoting.balanceOf(addr2.address)).to.equal(0);
+      const proposal = await proposalVoting.getProposal(1);
+      expect(proposal.executed).to.equal(false);
+      expect(proposal.status).to.equal(4);
+    });
+
+    it("Should not run actions of a failed proposal", async function () {
+      const calldata = proposalVoting.interface.encodeFunctionData("mint", [addr2.address, tokens(50)]);
+      await createWithActions(addr1, "Mint to addr2", [contractAddress], [0], [calldata]);
+
+      await proposalVoting.connect(addr1).vote(1, false);
+      await time.increase(votingPeriod + 1);
+      await proposalVoting.executeProposal(1);
+
+      expect(await proposalVoting.balanceOf(addr2.address)).to.equal(0);
+    });
+
+    it("Should reject mismatched action arrays", async function () {
+      await expect(
+        createWithActions(addr1, "Broken", [addr2.address], [0, 0], ["0x"])
+      ).to.be.revertedWith("Proposal action length mismatch");
+    });
+
+    it("Should reject actions targeting the zero address", async function () {
+      await expect(
+        createWithActions(addr1, "Broken", [ethers.ZeroAddress], [0], ["0x"])
+      ).to.be.revertedWith("Action target cannot be zero address");
+    });
+  });
+
+  describe("Off-chain Proposal Content", function () {
+    const body = "# Treasury diversification\n\nMove 10% of the treasury into stablecoins.\n";
+    const contentHash = ethers.keccak256(ethers.toUtf8Bytes(body));
+
+    it("Should store the title as description and the content hash", async function () {
+      await expect(proposalVoting.createProposalWithContent("Treasury diversification", contentHash, 3600, [], [], []))
+        .to.emit(proposalVoting, "ProposalContentHashSet")
+        .withArgs(1, contentHash);
+
+      expect((await proposalVoting.getProposal(1)).description).to.equal("Treasury diversification");
+      expect(await proposalVoting.proposalContentHash(1)).to.equal(contentHash);
+    });
+
+    it("Should keep plain proposals without a content hash", async function () {
+      await expect(proposalVoting.createProposal("Plain text", 3600))
+        .to.not.emit(proposalVoting, "ProposalContentHashSet");
+      expect(await proposalVoting.proposalContentHash(1)).to.equal(ethers.ZeroHash);
+    });
+
+    it("Should run actions attached to a content proposal", async function () {
+      const calldata = proposalVoting.interface.encodeFunctionData("mint", [addr1.address, tokens(5)]);
+      await proposalVoting.createProposalWithContent("Mint", contentHash, 3600, [await proposalVoting.getAddress()], [0], [calldata]);
+      await proposalVoting.vote(1, true);
+      await time.increase(3601);
+      await proposalVoting.queueProposal(1);
+      await time.increase(await proposalVoting.timelockDelay());
+      await proposalVoting.executeProposal(1);
+
+      expect(await proposalVoting.balanceOf(addr1.address)).to.equal(tokens(5));
+    });
+
+    it("Should reject an empty hash, an empty title or a long title", async function () {
+      await expect(proposalVoting.createProposalWithContent("Title", ethers.ZeroHash, 3600, [], [], []))
+        .to.be.revertedWith("Content hash cannot be empty");
+      await expect(proposalVoting.createProposalWithContent("", contentHash, 3600, [], [], []))
+        .to.be.revertedWith("Description cannot be empty");
+      await expect(proposalVoting.createProposalWithContent("x".repeat(257), contentHash, 3600, [], [], []))
+        .to.be.revertedWith("Title too long");
+    });
+  });
+
+  describe("Enumeration Accessors", function () {
+    it("Should expose the per-proposal data ProposalVotingLens pages through", async function () {
+      await proposalVoting.mint(addr1.address, tokens(500));
+      await proposalVoting.createProposal("Owner 1", 3600);
+      await proposalVoting.connect(addr1).createProposal("Addr1 1", 3600);
+      await proposalVoting.createProposal("Owner 2", 3600);
+      await proposalVoting.cancelProposal(2);
+
+      await proposalVoting.connect(addr1).vote(1, true);
+      await proposalVoting.voteWithReason(1, VoteType.Abstain, "");
+
+      expect(await proposalVoting.getVoterCount(1)).to.equal(2);
+      expect(await proposalVoting.voters(1, 0)).to.equal(addr1.address);
+      expect(await proposalVoting.voteWeight(1, owner.address)).to.equal(tokens(10000));
+      expect(await proposalVoting.getProposalStatus(2)).to.equal(7);
+      expect(await proposalVoting.getProposalIdsByProposer(owner.address)).to.deep.equal([1n, 3n]);
+      expect(await proposalVoting.getProposalIdsByProposer(addr2.address)).to.deep.equal([]);
+
+      await expect(proposalVoting.getVoterCount(4)).to.be.revertedWith("Proposal does not exist");
+      await expect(proposalVoting.getProposalStatus(4)).to.be.revertedWith("Proposal does not exist");
+    });
+  });
+
+  describe("Quadratic Voting", function () {
+    // Mirrors the contract's VotingMode enum
+    const VotingMode = { Linear: 0, Quadratic: 1 };
+
+    // Same question as a linear (1) and a quadratic (2) proposal
+    const createPair = async () => {
+      await proposalVoting["createProposal(string,uint256,address[],uint256[],bytes[],uint8,uint256)"]("Linear", 3600, [], [], [], VotingMode.Linear, 0);
+      await proposalVoting["createProposal(string,uint256,address[],uint256[],bytes[],uint8,uint256)"]("Quadratic", 3600, [], [], [], VotingMode.Quadratic, 0);
+    };
+
+    beforeEach(async function () {
+      // 17500 GOV in total, so quorum (4%) is 700 GOV
+      await proposalVoting.mint(addr1.address, tokens(2500));
+      await proposalVoting.mint(addr2.address, tokens(2500));
+      await proposalVoting.mint(addr3.address, tokens(2500));
+    });
+
+    it("Should record the voting mode chosen at creation", async function () {
+      await createPair();
+      await proposalVoting.createProposal("Default", 3600);
+
+      expect((await proposalVoting.getProposal(1)).votingMode).to.equal(VotingMode.Linear);
+      expect((await proposalVoting.getProposal(2)).votingMode).to.equal(VotingMode.Quadratic);
+      expect((await proposalVoting.getProposal(3)).votingMode).to.equal(VotingMode.Linear);
+    });
+
+    it("Should weigh votes by the square root of tokens, where linear weighs them 1:1", async function () {
+      await createPair();
+      for (const id of [1, 2]) {
+        await proposalVoting.vote(id, true);
+        for (const voter of [addr1, addr2, addr3]) {
+          await proposalVoting.connect(voter).vote(id, false);
+        }
+      }
+
+      const linear = await proposalVoting.getProposal(1);
+      expect(linear.yesVotes).to.equal(tokens(10000));
+      expect(linear.noVotes).to.equal(tokens(7500));
+
+      // sqrt(10000) = 100 for the owner against 3 * sqrt(2500) = 150 for the others
+      const quadratic = await proposalVoting.getProposal(2);
+      expect(quadratic.yesVotes).to.equal(tokens(100));
+      expect(quadratic.noVotes).to.equal(tokens(150));
+      expect(await proposalVoting.voteWeight(2, addr1.address)).to.equal(tokens(50));
+      expect(quadratic.votedTokens).to.equal(linear.votedTokens);
+      expect(quadratic.votedTokens).to.equal(tokens(17500));
+
+      await time.increase(3601);
+      expect(await proposalVoting.state(1)).to.equal(ProposalState.Succeeded);
+      expect(await proposalVoting.state(2)).to.equal(ProposalState.Defeated);
+    });
+
+    it("Should let voters spend part of their voting power", async function () {
+      await createPair();
+
+      await expect(proposalVoting.connect(addr1).voteWithTokens(1, VoteType.For, tokens(400), "Some"))
+        .to.emit(proposalVoting, "VoteCast")
+        .withArgs(1, addr1.address, VoteType.For, tokens(400), "Some");
+      await expect(proposalVoting.connect(addr1).voteWithTokens(2, VoteType.For, tokens(400), "Some"))
+        .to.emit(proposalVoting, "VoteCast")
+        .withArgs(2, addr1.address, VoteType.For, tokens(20), "Some");
+
+      expect((await proposalVoting.getProposal(2)).votedTokens).to.equal(tokens(400));
+      await expect(
+        proposalVoting.connect(addr1).voteWithTokens(2, VoteType.For, tokens(1), "")
+      ).to.be.revertedWith("Vote weight cannot be changed");
+      await expect(
+        proposalVoting.connect(addr2).voteWithTokens(2, VoteType.For, tokens(2501), "")
+      ).to.be.revertedWith("Token amount exceeds voting power");
+      await expect(
+        proposalVoting.connect(addr2).voteWithTokens(2, VoteType.For, 0, "")
+      ).to.be.revertedWith("Token amount cannot be zero");
+    });
+
+    it("Should count tokens rather than quadratic weights towards quorum", async function () {
+      await createPair();
+      await proposalVoting.connect(addr1).voteWithTokens(2, VoteType.For, tokens(700), "");
+
+      // sqrt(700) is about 26.46 votes, but 700 GOV took part
+      const counts = await proposalVoting.getVoteCounts(2);
+      expect(counts.totalVotes).to.be.lessThan(tokens(27));
+      expect(counts.quorumVotes).to.equal(tokens(700));
+      expect(counts.quorumReached).to.equal(true);
+    });
+  });
+
+  describe("Changing Votes", function () {
+    const votingPeriod = 3600;
+
+    const createWithLockWindow = (description, lockWindow) =>
+      proposalVoting["createProposal(string,uint256,address[],uint256[],bytes[],uint8,uint256)"](
+        description, votingPeriod, [], [], [], 0, lockWindow
+      );
+
+    beforeEach(async function () {
+      await proposalVoting.mint(addr1.address, tokens(500));
+    });
+
+    it("Should move quadratic weight unchanged to the new choice", async function () {
+      await proposalVoting["createProposal(string,uint256,address[],uint256[],bytes[],uint8,uint256)"]("Quadratic", votingPeriod, [], [], [], 1, 0);
+      await proposalVoting.connect(addr1).voteWithTokens(1, VoteType.Against, tokens(100), "");
+      await proposalVoting.connect(addr1).vote(1, true);
+
+      const proposal = await proposalVoting.getProposal(1);
+      expect(proposal.noVotes).to.equal(0);
+      expect(proposal.yesVotes).to.equal(tokens(10));
+      expect(proposal.votedTokens).to.equal(tokens(100));
+    });
+
+    it("Should allow changes until the deadline when there is no lock window", async function () {
+      await proposalVoting.createProposal("No lock", votingPeriod);
+      await proposalVoting.connect(addr1).vote(1, true);
+      await time.increase(votingPeriod - 5);
+
+      await proposalVoting.connect(addr1).vote(1, false);
+      await time.increase(10);
+      await expect(proposalVoting.connect(addr1).vote(1, true)).to.be.revertedWith("Voting period has ended");
+    });
+
+    it("Should lock votes during the final window of proposals created with one", async function () {
+      await createWithLockWindow("Locked", 600);
+      await proposalVoting.createProposal("No lock", votingPeriod);
+      expect((await proposalVoting.getProposal(1)).params.voteLockWindow).to.equal(600);
+      expect((await proposalVoting.getProposal(2)).params.voteLockWindow).to.equal(0);
+
+      await proposalVoting.connect(addr1).vote(1, true);
+      await proposalVoting.connect(addr1).vote(1, false);
+      await time.increase(votingPeriod - 500);
+
+      await expect(proposalVoting.connect(addr1).vote(1, true)).to.be.revertedWith("Votes are locked");
+      // First votes are still accepted during the window
+      await expect(proposalVoting.vote(1, true)).to.emit(proposalVoting, "VoteCast");
+      await expect(proposalVoting.voteWithReason(1, VoteType.Against, "")).to.be.revertedWith("Votes are locked");
+
+      // Each proposal keeps its own window
+      await proposalVoting.connect(addr1).vote(2, true);
+      await proposalVoting.connect(addr1).vote(2, false);
+    });
+
+    it("Should cap the lock window at the governance maximum", async function () {
+      expect(await proposalVoting.maxVoteLockWindow()).to.equal(86400);
+      await expect(createWithLockWindow("Too long", 86401)).to.be.revertedWith("Vote lock window above maximum");
+
+      await expect(proposalVoting.setMaxVoteLockWindow(600))
+        .to.emit(proposalVoting, "MaxVoteLockWindowUpdated")
+        .withArgs(86400, 600);
+      await createWithLockWindow("At the maximum", 600);
+      await expect(createWithLockWindow("Too long", 601)).to.be.revertedWith("Vote lock window above maximum");
+    });
+
+    it("Should only let the parameter admin or governance set the maximum lock window", async function () {
+      await expect(proposalVoting.connect(addr1).setMaxVoteLockWindow(600))
+        .to.be.revertedWith("Caller does not have the required role");
+    });
+  });
+
+  describe("Roles & Emergency Pause", function () {
+    const votingPeriod = 3600;
+
+    beforeEach(async function () {
+      await proposalVoting.mint(addr1.address, tokens(500));
+    });
+
+    it("Should announce the deployer's roles at deployment", async function () {
+      const tx = proposalVoting.deploymentTransaction();
+      for (const role of [Role.Minter, Role.Guardian, Role.ParameterAdmin]) {
+        await expect(tx).to.emit(proposalVoting, "RoleTransferred").withArgs(role, ethers.ZeroAddress, owner.address);
+        expect(await proposalVoting.roleHolder(role)).to.equal(owner.address);
+      }
+    });
+
+    it("Should keep each role separate", async function () {
+      await proposalVoting.transferRole(Role.Minter, addr1.address);
+      await proposalVoting.transferRole(Role.ParameterAdmin, addr2.address);
+
+      await proposalVoting.connect(addr1).mint(addr3.address, tokens(1));
+      await expect(proposalVoting.mint(addr3.address, tokens(1))).to.be.revertedWith("Caller does not have the required role");
+      await expect(proposalVoting.connect(addr1).setQuorumBasisPoints(500)).to.be.revertedWith("Caller does not have the required role");
+      await proposalVoting.connect(addr2).setQuorumBasisPoints(500);
+      await expect(proposalVoting.connect(addr2).pause()).to.be.revertedWith("Caller does not have the required role");
+      await expect(
+        proposalVoting.transferRole(Role.Minter, addr3.address)
+      ).to.be.revertedWith("Caller does not have the required role");
+      await expect(
+        proposalVoting.connect(addr1).transferRole(Role.Minter, ethers.ZeroAddress)
+      ).to.be.revertedWith("New holder cannot be zero address");
+    });
+
+    it("Should let a holder renounce their role, leaving it to governance", async function () {
+      await expect(proposalVoting.renounceRole(Role.Minter))
+        .to.emit(proposalVoting, "RoleTransferred")
+        .withArgs(Role.Minter, owner.address, ethers.ZeroAddress);
+      expect(await proposalVoting.minter()).to.equal(ethers.ZeroAddress);
+      await expect(proposalVoting.mint(addr1.address, tokens(1))).to.be.revertedWith("Caller does not have the required role");
+
+      // An executed proposal can still mint, and appoint a new minter
+      const contractAddress = await proposalVoting.getAddress();
+      const calldatas = [
+        proposalVoting.interface.encodeFunctionData("mint", [addr2.address, tokens(5)]),
+        proposalVoting.interface.encodeFunctionData("transferRole", [Role.Minter, addr3.address])
+      ];
+      await proposalVoting["createProposal(string,uint256,address[],uint256[],bytes[])"](
+        "New minter", votingPeriod, [contractAddress, contractAddress], [0, 0], calldatas
+      );
+      await proposalVoting.vote(1, true);
+      await time.increase(votingPeriod + 1);
+      await proposalVoting.queueProposal(1);
+      await time.increase(await proposalVoting.timelockDelay());
+
+      await expect(proposalVoting.executeProposal(1))
+        .to.emit(proposalVoting, "RoleTransferred")
+        .withArgs(Role.Minter, ethers.ZeroAddress, addr3.address);
+      expect(await proposalVoting.balanceOf(addr2.address)).to.equal(tokens(5));
+      expect(await proposalVoting.minter()).to.equal(addr3.address);
+    });
+
+    it("Should stop proposals, votes and execution while paused, but not transfers", async function () {
+      await proposalVoting.createProposal("Before the incident", votingPeriod);
+      await expect(proposalVoting.pause()).to.emit(proposalVoting, "Paused").withArgs(owner.address);
+
+      await expect(proposalVoting.createProposal("During", votingPeriod))
+        .to.be.revertedWithCustomError(proposalVoting, "EnforcedPause");
+      await expect(proposalVoting.connect(addr1).vote(1, true))
+        .to.be.revertedWithCustomError(proposalVoting, "EnforcedPause");
+      await expect(proposalVoting.connect(addr1).voteWithTokens(1, VoteType.For, tokens(1), ""))
+        .to.be.revertedWithCustomError(proposalVoting, "EnforcedPause");
+
+      await proposalVoting.connect(addr1).transfer(addr2.address, tokens(100));
+      await proposalVoting.connect(addr2).delegate(addr3.address);
+      expect(await proposalVoting.balanceOf(addr2.address)).to.equal(tokens(100));
+
+      await time.increase(votingPeriod + 1);
+      await expect(proposalVoting.executeProposal(1))
+        .to.be.revertedWithCustomError(proposalVoting, "EnforcedPause");
+      await proposalVoting.cancelProposal(1);
+
+      await expect(proposalVoting.connect(addr1).unpause()).to.be.revertedWith("Caller does not have the required role");
+      await expect(proposalVoting.unpause()).to.emit(proposalVoting, "Unpaused").withArgs(owner.address);
+      await proposalVoting.createProposal("After", votingPeriod);
+    });
+
+    it("Should not let the guardian renounce while paused, as nothing else could unpause", async function () {
+      await proposalVoting.pause();
+      await expect(proposalVoting.renounceRole(Role.Guardian))
+        .to.be.revertedWithCustomError(proposalVoting, "EnforcedPause");
+      await proposalVoting.renounceRole(Role.Minter);
+
+      await proposalVoting.unpause();
+      await proposalVoting.renounceRole(Role.Guardian);
+      expect(await proposalVoting.guardian()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should not let an executed proposal pause after renouncing the guardian role", async function () {
+      const contractAddress = await proposalVoting.getAddress();
+      const calldatas = [
+        proposalVoting.interface.encodeFunctionData("renounceRole", [Role.Guardian]),
+        proposalVoting.interface.encodeFunctionData("pause")
+      ];
+      await proposalVoting["createProposal(string,uint256,address[],uint256[],bytes[])"](
+        "Renounce, then pause", votingPeriod, [contractAddress, contractAddress], [0, 0], calldatas
+      );
+      await proposalVoting.vote(1, true);
+      await time.increase(votingPeriod + 1);
+      await proposalVoting.queueProposal(1);
+      await time.increase(await proposalVoting.timelockDelay());
+
+      await expect(proposalVoting.executeProposal(1)).to.be.revertedWith("No guardian to unpause");
+      expect(await proposalVoting.paused()).to.equal(false);
+      expect(await proposalVoting.guardian()).to.equal(owner.address);
+    });
+  });
+
+  describe("View Functions", function () {
+    it("Should return correct voting power", async function () {
+      await proposalVoting.mint(addr1.address, tokens(750));
+      expect(await proposalVoting["getVotingPower(address)"](addr1.address)).to.equal(tokens(750));
+    });
+
+    it("Should return correct vote counts", async function () {
+      await proposalVoting.mint(addr1.address, tokens(500));
+      await proposalVoting.mint(addr2.address, tokens(300));
+      
+      await proposalVoting.connect(addr1).createProposal("Test", 3600);
+      await proposalVoting.connect(addr1).vote(1, true);
+      await proposalVoting.connect(addr2).vote(1, false);
+
+      const [yesVotes, noVotes, totalVotes] = await proposalVoting.getVoteCounts(1);
+      expect(yesVotes).to.equal(tokens(500));
+      expect(noVotes).to.equal(tokens(300));
+      expect(totalVotes).to.equal(tokens(800));
+    });
+
+    it("Should expose stored proposals through the public proposals getter", async function () {
+      await proposalVoting.mint(addr1.address, tokens(500));
+      await proposalVoting.connect(addr1).createProposal("Test", 3600);
+      await proposalVoting.connect(addr1).vote(1, true);
+
+      const proposal = await proposalVoting.proposals(1);
+      expect(proposal.description).to.equal("Test");
+      expect(proposal.proposer).to.equal(addr1.address);
+      expect(proposal.yesVotes).to.equal(tokens(500));
+      expect(proposal.votedTokens).to.equal(tokens(500));
     });
 
     it("Should check if voting is active", async function () {
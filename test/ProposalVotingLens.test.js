@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("ProposalVotingLens", function () {
+  let proposalVoting;
+  let lens;
+  let owner;
+  let addr1;
+  let addr2;
+
+  const tokens = (amount) => ethers.parseEther(amount.toString());
+
+  // Mirrors ProposalVoting's VoteType enum
+  const VoteType = { Against: 0, For: 1, Abstain: 2 };
+
+  // Stored ProposalStatus values used below
+  const Status = { Active: 0, Canceled: 7 };
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const ProposalVoting = await ethers.getContractFactory("ProposalVoting");
+    proposalVoting = await ProposalVoting.deploy();
+    const ProposalVotingLens = await ethers.getContractFactory("ProposalVotingLens");
+    lens = await ProposalVotingLens.deploy(await proposalVoting.getAddress());
+  });
+
+  it("Should require a ProposalVoting address", async function () {
+    const ProposalVotingLens = await ethers.getContractFactory("ProposalVotingLens");
+    await expect(ProposalVotingLens.deploy(ethers.ZeroAddress)).to.be.revertedWith("Governance cannot be zero address");
+    expect(await lens.governance()).to.equal(await proposalVoting.getAddress());
+  });
+
+  it("Should page through a few hundred proposals within bounds and gas", async function () {
+    this.timeout(120000);
+    const total = 300;
+    for (let i = 1; i <= total; i++) {
+      await proposalVoting.createProposal(`Proposal ${i}`, 3600);
+    }
+
+    const first = await lens.getProposals(0, 100);
+    expect(first.length).to.equal(100);
+    expect(first[0].id).to.equal(1);
+    expect(first[99].description).to.equal("Proposal 100");
+
+    const last = await lens.getProposals(250, 100);
+    expect(last.map((p) => Number(p.id))).to.deep.equal(Array.from({ length: 50 }, (_, i) => 251 + i));
+
+    expect(await lens.getProposals(300, 10)).to.deep.equal([]);
+    expect(await lens.getProposals(ethers.MaxUint256, 10)).to.deep.equal([]);
+    expect(await lens.getProposals(0, 0)).to.deep.equal([]);
+    await expect(lens.getProposals(0, 101)).to.be.revertedWith("Page size too large");
+
+    // A full page, and a status filter that scans all 300 proposals, stay far below the 30M block gas limit
+    expect(await lens.getProposals.estimateGas(200, 100)).to.be.lessThan(5_000_000n);
+    expect(await lens.getProposalsByStatus.estimateGas(Status.Canceled, 0, 100)).to.be.lessThan(5_000_000n);
+    expect(await lens.getProposalsByStatus(Status.Canceled, 0, 100)).to.deep.equal([]);
+  });
+
+  it("Should filter proposals by stored status with paging over the matches", async function () {
+    for (let i = 1; i <= 9; i++) {
+      await proposalVoting.createProposal(`Proposal ${i}`, 3600);
+    }
+    for (const id of [2, 5, 6, 9]) {
+      await proposalVoting.cancelProposal(id);
+    }
+
+    const ids = (page) => page.map((p) => Number(p.id));
+    expect(ids(await lens.getProposalsByStatus(Status.Canceled, 0, 10))).to.deep.equal([2, 5, 6, 9]);
+    expect(ids(await lens.getProposalsByStatus(Status.Canceled, 1, 2))).to.deep.equal([5, 6]);
+    expect(ids(await lens.getProposalsByStatus(Status.Canceled, 4, 2))).to.deep.equal([]);
+    expect(ids(await lens.getProposalsByStatus(Status.Active, 3, 100))).to.deep.equal([7, 8]);
+    await expect(lens.getProposalsByStatus(Status.Active, 0, 101)).to.be.revertedWith("Page size too large");
+  });
+
+  it("Should list the proposals created by an address", async function () {
+    await proposalVoting.mint(addr1.address, tokens(500));
+    await proposalVoting.createProposal("Owner 1", 3600);
+    await proposalVoting.connect(addr1).createProposal("Addr1 1", 3600);
+    await proposalVoting.createProposal("Owner 2", 3600);
+
+    const byOwner = await lens.getProposalsByProposer(owner.address);
+    expect(byOwner.map((p) => p.description)).to.deep.equal(["Owner 1", "Owner 2"]);
+    expect((await lens.getProposalsByProposer(addr1.address))[0].id).to.equal(2);
+    expect(await lens.getProposalsByProposer(addr2.address)).to.deep.equal([]);
+  });
+
+  it("Should page through voters with their choices and weights", async function () {
+    await proposalVoting.mint(addr1.address, tokens(500));
+    await proposalVoting.mint(addr2.address, tokens(300));
+    await proposalVoting.createProposal("Who voted?", 3600);
+
+    await proposalVoting.connect(addr2).vote(1, false);
+    await proposalVoting.voteWithReason(1, VoteType.Abstain, "");
+    await proposalVoting.connect(addr1).vote(1, true);
+
+    const all = await lens.getVoters(1, 0, 10);
+    expect(all.map((v) => [v.voter, Number(v.support), v.weight])).to.deep.equal([
+      [addr2.address, VoteType.Against, tokens(300)],
+      [owner.address, VoteType.Abstain, tokens(10000)],
+      [addr1.address, VoteType.For, tokens(500)]
+    ]);
+
+    const page = await lens.getVoters(1, 2, 10);
+    expect(page.map((v) => v.voter)).to.deep.equal([addr1.address]);
+    expect(await lens.getVoters(1, 3, 10)).to.deep.equal([]);
+
+    await expect(lens.getVoters(1, 0, 101)).to.be.revertedWith("Page size too large");
+    await expect(lens.getVoters(2, 0, 10)).to.be.revertedWith("Proposal does not exist");
+  });
+});
@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createIndexer } = require("../scripts/indexer");
+const { createApiServer } = require("../scripts/api");
+
+describe("Governance API", function () {
+  let proposalVoting;
+  let owner;
+  let addr1;
+  let addr2;
+  let server;
+  let url;
+
+  const tokens = (amount) => ethers.parseEther(amount.toString());
+
+  const get = async (path) => {
+    const res = await fetch(`${url}${path}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const ProposalVoting = await ethers.getContractFactory("ProposalVoting");
+    proposalVoting = await ProposalVoting.deploy();
+    await proposalVoting.waitForDeployment();
+    const startBlock = (await proposalVoting.deploymentTransaction().wait()).blockNumber;
+
+    await proposalVoting.mint(addr1.address, tokens(1000));
+    await proposalVoting.createProposal("Active one", 3600);
+    await proposalVoting.createProposal("Canceled one", 3600);
+    await proposalVoting.createProposal("Voted one", 3600);
+    await proposalVoting.cancelProposal(2);
+    await proposalVoting.connect(addr1).voteWithReason(3, 1, "Yes please");
+    await proposalVoting.voteWithReason(3, 2, "");
+
+    const indexer = await createIndexer(proposalVoting, { startBlock });
+    server = createApiServer(proposalVoting, { indexer, syncInterval: 0 });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("Should report health", async function () {
+    const { status, body } = await get("/health");
+    expect(status).to.equal(200);
+    expect(body.status).to.equal("ok");
+    expect(body.chainId).to.equal(31337);
+    expect(body.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(body.contract).to.equal(await proposalVoting.getAddress());
+  });
+
+  it("Should page and filter proposals by status", async function () {
+    let { body } = await get("/proposals?page=2&pageSize=2");
+    expect(body).to.include({ page: 2, pageSize: 2, total: 3, totalPages: 2 });
+    expect(body.proposals.map((p) => p.description)).to.deep.equal(["Voted one"]);
+    expect(body.proposals[0].yesVotes).to.equal(tokens(1000).toString());
+
+    ({ body } = await get("/proposals?status=canceled"));
+    expect(body.proposals.map((p) => p.id)).to.deep.equal([2]);
+
+    await time.increase(3601);
+    ({ body } = await get("/proposals?status=Succeeded"));
+    expect(body.proposals.map((p) => p.id)).to.deep.equal([3]);
+
+    expect((await get("/proposals?status=nope")).status).to.equal(400);
+    expect((await get("/proposals?pageSize=1000")).status).to.equal(400);
+    expect((await get("/proposals?page=0")).status).to.equal(400);
+  });
+
+  it("Should return one proposal with its votes and participation", async function () {
+    let { status, body } = await get("/proposals/3");
+    expect(status).to.equal(200);
+    expect(body.state).to.equal("Active");
+    expect(body.abstainVotes).to.equal(tokens(10000).toString());
+    expect(body.actions).to.deep.equal([]);
+    expect(body.participation.voterCount).to.equal(2);
+    expect(body.participation.votedWeight).to.equal(tokens(11000).toString());
+
+    ({ status, body } = await get("/proposals/3/votes?pageSize=1"));
+    expect(status).to.equal(200);
+    expect(body.total).to.equal(2);
+    expect(body.votes).to.have.length(1);
+    expect(body.votes[0]).to.include({ voter: addr1.address, support: "For", reason: "Yes please" });
+
+    expect((await get("/proposals/4")).status).to.equal(404);
+    expect((await get("/proposals/abc/votes")).status).to.equal(404);
+  });
+
+  it("Should describe an account and its vote history", async function () {
+    const { status, body } = await get(`/accounts/${addr1.address.toLowerCase()}`);
+    expect(status).to.equal(200);
+    expect(body).to.include({
+      address: addr1.address,
+      balance: tokens(1000).toString(),
+      votingPower: tokens(1000).toString(),
+      delegate: addr1.address
+    });
+    expect(body.votes.map((v) => v.proposalId)).to.deep.equal([3]);
+
+    const ownerView = await get(`/accounts/${owner.address}`);
+    expect(ownerView.body.proposals).to.deep.equal([1, 2, 3]);
+
+    const stranger = await get(`/accounts/${addr2.address}`);
+    expect(stranger.body.votes).to.deep.equal([]);
+
+    expect((await get("/accounts/0x1234")).status).to.equal(400);
+  });
+
+  it("Should summarize governance activity", async function () {
+    const { body } = await get("/stats");
+    expect(body.proposalCount).to.equal(3);
+    expect(body.proposalsByState).to.include({ Active: 2, Canceled: 1, Executed: 0 });
+    expect(body.totalSupply).to.equal(tokens(11000).toString());
+    expect(body.voteCount).to.equal(2);
+    expect(body.uniqueVoters).to.equal(2);
+    // 0%, 0% and 100% turnout
+    expect(body.averageParticipationBps).to.equal(3333);
+    expect(body.parameters).to.deep.equal({
+      minTokensToPropose: tokens(100).toString(),
+      votingThreshold: 5000,
+      quorumBasisPoints: 400,
+      timelockDelay: 86400,
+      proposalBond: "0",
+      maxActiveProposals: 0,
+      proposalCooldown: 0
+    });
+  });
+
+  it("Should reject unknown routes and non-GET methods", async function () {
+    expect((await get("/nope")).status).to.equal(404);
+    const res = await fetch(`${url}/proposals`, { method: "POST" });
+    expect(res.status).to.equal(405);
+  });
+});
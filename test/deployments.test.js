@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  deploy,
+  loadDeployment,
+  saveDeployment,
+  resolveContractAddress,
+  getDeployedContract
+} = require("../scripts/lib/deployments");
+
+const { ethers } = hre;
+
+describe("Deployment Manifests", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should write the address, transaction, block, constructor args and ABI", async function () {
+    const manifest = await deploy(hre, { save: true, dir });
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, "hardhat.json"), "utf8"));
+
+    const receipt = await ethers.provider.getTransactionReceipt(saved.transactionHash);
+    expect(saved.address).to.equal(manifest.address);
+    expect(saved.network).to.equal("hardhat");
+    expect(saved.chainId).to.equal(31337);
+    expect(saved.blockNumber).to.equal(receipt.blockNumber);
+    expect(saved.constructorArgs).to.deep.equal([]);
+    expect(saved.abi.some((item) => item.type === "function" && item.name === "createProposal")).to.equal(true);
+    expect(await manifest.contract.minter()).to.equal((await ethers.getSigners())[0].address);
+
+    const recorded = saved.modules.MultipleChoiceVoting;
+    expect(recorded.constructorArgs).to.deep.equal([manifest.address]);
+    const multipleChoice = await ethers.getContractAt("MultipleChoiceVoting", recorded.address);
+    expect(await multipleChoice.governance()).to.equal(manifest.address);
+
+    const lens = await ethers.getContractAt("ProposalVotingLens", saved.modules.ProposalVotingLens.address);
+    expect(await lens.governance()).to.equal(manifest.address);
+    expect(saved.modules.ProposalBonds.address).to.equal(await manifest.contract.proposalBonds());
+    expect(saved.modules.ProposalBonds.transactionHash).to.equal(saved.transactionHash);
+  });
+
+  it("Should not write a manifest for the in-process network by default", async function () {
+    const manifest = await deploy(hre, { dir });
+    expect(manifest.file).to.equal(undefined);
+    expect(fs.readdirSync(dir)).to.deep.equal([]);
+  });
+
+  it("Should refuse to redeploy over an existing manifest unless forced", async function () {
+    const first = await deploy(hre, { save: true, dir });
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    await expect(deploy(hre, { save: true, dir })).to.be.rejectedWith("A deployment already exists");
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    expect(loadDeployment("hardhat", { dir }).address).to.equal(first.address);
+
+    const second = await deploy(hre, { save: true, dir, force: true });
+    expect(second.address).to.not.equal(first.address);
+    expect(loadDeployment("hardhat", { dir }).address).to.equal(second.address);
+  });
+
+  it("Should resolve the contract from the network's manifest", async function () {
+    const manifest = await deploy(hre, { save: true, dir });
+    const [, other] = await ethers.getSigners();
+
+    expect(await resolveContractAddress(hre, undefined, { dir })).to.equal(manifest.address);
+    expect(await resolveContractAddress(hre, other.address, { dir })).to.equal(other.address);
+
+    const contract = await getDeployedContract(hre, { signer: other, dir });
+    expect(await contract.getAddress()).to.equal(manifest.address);
+    expect(contract.runner.address).to.equal(other.address);
+  });
+
+  it("Should reject missing, stale and foreign-chain manifests", async function () {
+    await expect(resolveContractAddress(hre, undefined, { dir })).to.be.rejectedWith('No deployment found for network "hardhat"');
+
+    const [, other] = await ethers.getSigners();
+    saveDeployment("hardhat", { address: other.address, chainId: 31337 }, { dir });
+    await expect(resolveContractAddress(hre, undefined, { dir })).to.be.rejectedWith("the deployment manifest is stale");
+
+    const manifest = await deploy(hre, { dir });
+    saveDeployment("hardhat", { address: manifest.address, chainId: 11155111 }, { dir, force: true });
+    await expect(resolveContractAddress(hre, undefined, { dir })).to.be.rejectedWith("was made on chain 11155111");
+  });
+});
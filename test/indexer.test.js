@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createIndexer } = require("../scripts/indexer");
+
+describe("Event Indexer", function () {
+  let proposalVoting;
+  let owner;
+  let addr1;
+  let addr2;
+  let startBlock;
+  let file;
+
+  const tokens = (amount) => ethers.parseEther(amount.toString());
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const ProposalVoting = await ethers.getContractFactory("ProposalVoting");
+    proposalVoting = await ProposalVoting.deploy();
+    await proposalVoting.waitForDeployment();
+    startBlock = (await proposalVoting.deploymentTransaction().wait()).blockNumber;
+
+    await proposalVoting.mint(addr1.address, tokens(1000));
+    await proposalVoting.mint(addr2.address, tokens(500));
+
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "index.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  it("Should index proposals and answer vote queries", async function () {
+    await proposalVoting.createProposal("First", 3600);
+    await proposalVoting.createProposal("Second", 3600);
+    await proposalVoting.connect(addr1).voteWithReason(1, 1, "Ship it");
+    await proposalVoting.connect(addr2).vote(1, false);
+    await proposalVoting.connect(addr1).voteWithReason(2, 2, "");
+
+    const indexer = await createIndexer(proposalVoting, { file, startBlock });
+    await indexer.sync();
+
+    expect(indexer.getProposals().map((p) => p.description)).to.deep.equal(["First", "Second"]);
+
+    const first = indexer.getProposal(1);
+    expect(first.proposer).to.equal(owner.address);
+    expect(first.status).to.equal("Active");
+    expect(first.yesVotes).to.equal(tokens(1000).toString());
+    expect(first.noVotes).to.equal(tokens(500).toString());
+    expect(first.voterCount).to.equal(2);
+
+    const votes = indexer.getVotesByProposal(1);
+    expect(votes.map((v) => [v.voter, v.support])).to.deep.equal([
+      [addr1.address, "For"],
+      [addr2.address, "Against"]
+    ]);
+    expect(votes[0].reason).to.equal("Ship it");
+
+    const byVoter = indexer.getVotesByVoter(addr1.address.toLowerCase());
+    expect(byVoter.map((v) => [v.proposalId, v.support])).to.deep.equal([[1, "For"], [2, "Abstain"]]);
+
+    // 1500 of 11500 GOV voted on proposal 1
+    expect(indexer.getParticipation(1)).to.deep.equal({
+      proposalId: 1,
+      voterCount: 2,
+      votedWeight: tokens(1500).toString(),
+      votedTokens: tokens(1500).toString(),
+      eligibleSupply: tokens(11500).toString(),
+      participationBps: 1304
+    });
+    expect(indexer.getParticipation(3)).to.equal(undefined);
+  });
+
+  it("Should measure quadratic participation in tokens rather than weight", async function () {
+    await proposalVoting["createProposal(string,uint256,address[],uint256[],bytes[],uint8,uint256)"]("Quadratic", 3600, [], [], [], 1, 0);
+    await proposalVoting.connect(addr1).vote(1, true);
+    await proposalVoting.connect(addr2).voteWithTokens(1, 0, tokens(400), "");
+    await proposalVoting.connect(addr2).vote(1, true);
+
+    const indexer = await createIndexer(proposalVoting, { file, startBlock });
+    await indexer.sync();
+
+    const onChain = await proposalVoting.getProposal(1);
+    expect(indexer.getProposal(1)).to.include({ votingMode: "Quadratic", yesVotes: onChain.yesVotes.toString() });
+
+    // 1400 of 11500 GOV voted, whatever their square-root weight
+    const participation = indexer.getParticipation(1);
+    expect(participation.votedWeight).to.equal(onChain.yesVotes.toString());
+    expect(participation.votedTokens).to.equal(tokens(1400).toString());
+    expect(participation.participationBps).to.equal(1217);
+  });
+
+  it("Should move the weight of changed votes between tallies", async function () {
+    await proposalVoting.createProposal("Undecided", 3600);
+    await proposalVoting.connect(addr1).vote(1, true);
+    await proposalVoting.connect(addr2).vote(1, true);
+    await proposalVoting.connect(addr1).voteWithReason(1, 0, "Read the fine print");
+
+    const indexer = await createIndexer(proposalVoting, { startBlock });
+    await indexer.sync();
+
+    const proposal = indexer.getProposal(1);
+    expect(proposal.yesVotes).to.equal(tokens(500).toString());
+    expect(proposal.noVotes).to.equal(tokens(1000).toString());
+    expect(proposal.voterCount).to.equal(2);
+    const [vote] = indexer.getVotesByVoter(addr1.address);
+    expect([vote.support, vote.weight, vote.reason]).to.deep.equal(["Against", tokens(1000).toString(), "Read the fine print"]);
+  });
+
+  it("Should follow the lifecycle events", async function () {
+    await proposalVoting.createProposal("Passes", 3600);
+    await proposalVoting.createProposal("Canceled", 3600);
+    await proposalVoting.createProposal("Fails", 3600);
+    await proposalVoting.vote(1, true);
+    await proposalVoting.cancelProposal(2);
+    await time.increase(3601);
+    await proposalVoting.queueProposal(1);
+    await proposalVoting.executeProposal(3);
+
+    const indexer = await createIndexer(proposalVoting, { startBlock });
+    await indexer.sync();
+    expect(indexer.getProposals().map((p) => p.status)).to.deep.equal(["Queued", "Canceled", "Defeated"]);
+    expect(indexer.getProposal(1).eta).to.equal(Number((await proposalVoting.getProposal(1)).eta));
+
+    await time.increase(await proposalVoting.timelockDelay());
+    await proposalVoting.executeProposal(1);
+    await indexer.sync();
+    expect(indexer.getProposal(1).status).to.equal("Executed");
+  });
+
+  it("Should resume from the last processed block", async function () {
+    await proposalVoting.createProposal("Before restart", 3600);
+    await proposalVoting.connect(addr1).vote(1, true);
+
+    const first = await createIndexer(proposalVoting, { file, startBlock });
+    await first.sync();
+    const lastBlock = first.lastBlock;
+
+    await proposalVoting.connect(addr2).vote(1, false);
+
+    const resumed = await createIndexer(proposalVoting, { file, startBlock });
+    expect(resumed.lastBlock).to.equal(lastBlock);
+    const { fromBlock } = await resumed.sync();
+
+    expect(fromBlock).to.equal(lastBlock + 1);
+    expect(resumed.getVotesByProposal(1)).to.have.length(2);
+    expect(resumed.getProposals()).to.have.length(1);
+  });
+
+  it("Should roll back blocks that are no longer canonical", async function () {
+    await proposalVoting.createProposal("Reorged", 3600);
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    await proposalVoting.connect(addr1).vote(1, true);
+    await proposalVoting.connect(addr2).vote(1, true);
+
+    const indexer = await createIndexer(proposalVoting, { file, startBlock });
+    await indexer.sync();
+    expect(indexer.getVotesByProposal(1)).to.have.length(2);
+
+    // Replace the two voting blocks with a different history
+    await network.provider.send("evm_revert", [snapshot]);
+    await proposalVoting.connect(addr2).vote(1, false);
+
+    const { rolledBack } = await indexer.sync();
+    expect(rolledBack).to.equal(2);
+
+    const votes = indexer.getVotesByProposal(1);
+    expect(votes.map((v) => [v.voter, v.support])).to.deep.equal([[addr2.address, "Against"]]);
+    expect(indexer.getProposal(1).yesVotes).to.equal("0");
+
+    // The rollback is persisted too
+    const reloaded = await createIndexer(proposalVoting, { file, startBlock });
+    expect(reloaded.getVotesByProposal(1)).to.deep.equal(votes);
+  });
+
+  it("Should refuse a store written for another contract", async function () {
+    const indexer = await createIndexer(proposalVoting, { file, startBlock });
+    await indexer.sync();
+
+    const ProposalVoting = await ethers.getContractFactory("ProposalVoting");
+    const other = await ProposalVoting.deploy();
+    await expect(createIndexer(other, { file })).to.be.rejectedWith("indexes");
+  });
+});
@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  hashDocument,
+  digestToCid,
+  extractTitle,
+  submitDocument,
+  verifyDocument
+} = require("../scripts/proposal-content");
+
+describe("Proposal Content Tool", function () {
+  let proposalVoting;
+
+  const document = [
+    "# Fund the security audit",
+    "",
+    "We propose paying for an external audit before the next release.",
+    "",
+    "- Scope: ProposalVoting and the relayer",
+    ""
+  ].join("\n");
+
+  beforeEach(async function () {
+    const ProposalVoting = await ethers.getContractFactory("ProposalVoting");
+    proposalVoting = await ProposalVoting.deploy();
+    await proposalVoting.waitForDeployment();
+  });
+
+  it("Should hash documents and derive IPFS CIDs", function () {
+    expect(hashDocument(document)).to.equal(ethers.keccak256(ethers.toUtf8Bytes(document)));
+    expect(hashDocument(Buffer.from(document), "sha256")).to.equal(ethers.sha256(ethers.toUtf8Bytes(document)));
+    expect(() => hashDocument(document, "md5")).to.throw('Unknown hash algorithm "md5"');
+
+    // Well-known CID of an empty raw block
+    expect(digestToCid(hashDocument("", "sha256"))).to.equal("bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku");
+  });
+
+  it("Should take the title from the first heading", function () {
+    expect(extractTitle(document)).to.equal("Fund the security audit");
+    expect(extractTitle("\nNo heading here\nSecond line")).to.equal("No heading here");
+  });
+
+  it("Should submit a document and verify it against the stored hash", async function () {
+    const result = await submitDocument(proposalVoting, Buffer.from(document), { votingPeriod: 3600 });
+    expect(result.proposalId).to.equal(1);
+    expect(result.title).to.equal("Fund the security audit");
+    expect((await proposalVoting.getProposal(1)).description).to.equal("Fund the security audit");
+
+    expect(await verifyDocument(proposalVoting, 1, Buffer.from(document))).to.deep.equal({
+      valid: true,
+      algorithm: "keccak256",
+      expected: result.contentHash
+    });
+
+    const tampered = await verifyDocument(proposalVoting, 1, Buffer.from(document.replace("external", "internal")));
+    expect(tampered.valid).to.equal(false);
+    expect(tampered.algorithm).to.equal(undefined);
+  });
+
+  it("Should verify sha256 submissions and reject plain proposals", async function () {
+    await submitDocument(proposalVoting, document, { title: "Audit", votingPeriod: 3600, algorithm: "sha256" });
+    const { valid, algorithm } = await verifyDocument(proposalVoting, 1, document);
+    expect(valid).to.equal(true);
+    expect(algorithm).to.equal("sha256");
+
+    await proposalVoting.createProposal("Plain", 3600);
+    await expect(verifyDocument(proposalVoting, 2, document)).to.be.rejectedWith("has no off-chain content hash");
+  });
+});
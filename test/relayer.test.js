@@ -0,0 +1,214 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { signBallot, nextBallotNonce, saveBallotsToFile } = require("../scripts/lib/ballots");
+const { loadBallotsFromFile, submitBallots, createBallotServer } = require("../scripts/relayer");
+
+describe("Ballot Relayer", function () {
+  let proposalVoting;
+  let relayer;
+  let voters;
+
+  const tokens = (amount) => ethers.parseEther(amount.toString());
+
+  beforeEach(async function () {
+    [relayer, ...voters] = await ethers.getSigners();
+
+    const ProposalVoting = await ethers.getContractFactory("ProposalVoting");
+    proposalVoting = await ProposalVoting.deploy();
+    await proposalVoting.waitForDeployment();
+
+    for (const voter of voters.slice(0, 5)) {
+      await proposalVoting.mint(voter.address, tokens(100));
+    }
+    await proposalVoting.createProposal("Relayed Proposal", 3600);
+  });
+
+  it("Should submit ballots from a JSON file in batches", async function () {
+    const ballots = [];
+    for (const voter of voters.slice(0, 5)) {
+      ballots.push(await signBallot(voter, proposalVoting, { proposalId: 1, support: "for" }));
+    }
+
+    const file = path.join(os.tmpdir(), `ballots-${Date.now()}.json`);
+    fs.writeFileSync(file, JSON.stringify(ballots));
+
+    const logs = [];
+    try {
+      const { submitted, rejected } = await submitBallots(proposalVoting, loadBallotsFromFile(file), {
+        batchSize: 2,
+        log: (line) => logs.push(line)
+      });
+
+      expect(submitted.length).to.equal(5);
+      expect(rejected).to.deep.equal([]);
+      expect(logs.length).to.equal(3);
+    } finally {
+      fs.unlinkSync(file);
+    }
+
+    expect((await proposalVoting.getProposal(1)).yesVotes).to.equal(tokens(500));
+  });
+
+  it("Should append to a ballots file in the form it already has", async function () {
+    const [first, second] = [
+      await signBallot(voters[0], proposalVoting, { proposalId: 1, support: "for" }),
+      await signBallot(voters[1], proposalVoting, { proposalId: 1, support: "for" })
+    ];
+    const wrapped = path.join(os.tmpdir(), `ballots-wrapped-${Date.now()}.json`);
+    const bare = path.join(os.tmpdir(), `ballots-bare-${Date.now()}.json`);
+    fs.writeFileSync(wrapped, JSON.stringify({ note: "round 1", ballots: [first] }));
+
+    try {
+      saveBallotsToFile(wrapped, [...loadBallotsFromFile(wrapped), second]);
+      expect(JSON.parse(fs.readFileSync(wrapped, "utf8"))).to.deep.equal({ note: "round 1", ballots: [first, second] });
+
+      saveBallotsToFile(bare, [first]);
+      expect(JSON.parse(fs.readFileSync(bare, "utf8"))).to.deep.equal([first]);
+    } finally {
+      fs.rmSync(wrapped, { force: true });
+      fs.rmSync(bare, { force: true });
+    }
+  });
+
+  it("Should report invalid ballots without submitting them", async function () {
+    const good = await signBallot(voters[0], proposalVoting, { proposalId: 1, support: "against" });
+    const forged = { ...(await signBallot(voters[1], proposalVoting, { proposalId: 1, support: "against" })), support: 1 };
+    const incomplete = { proposalId: "1", voter: voters[2].address };
+
+    const { submitted, rejected } = await submitBallots(proposalVoting, [good, good, forged, incomplete]);
+
+    expect(submitted.map((s) => s.voter)).to.deep.equal([voters[0].address]);
+    expect(rejected.map((r) => r.reason)).to.have.members([
+      "Duplicate ballot nonce",
+      "Invalid signature",
+      'Ballot is missing "support"'
+    ]);
+    expect((await proposalVoting.getProposal(1)).noVotes).to.equal(tokens(100));
+  });
+
+  it("Should number a voter's queued ballots after the ones still waiting to be relayed", async function () {
+    const [alice, bob] = voters;
+    await proposalVoting.createProposal("Second Proposal", 3600);
+
+    const pending = [await signBallot(alice, proposalVoting, { proposalId: 1, support: "for" })];
+    expect(await nextBallotNonce(proposalVoting, bob.address, pending)).to.equal(0n);
+    expect(await nextBallotNonce(proposalVoting, alice.address.toLowerCase(), pending)).to.equal(1n);
+
+    const nonce = await nextBallotNonce(proposalVoting, alice.address, pending);
+    pending.push(await signBallot(alice, proposalVoting, { proposalId: 2, support: "against", nonce }));
+
+    const { submitted, rejected } = await submitBallots(proposalVoting, pending);
+    expect(rejected).to.deep.equal([]);
+    expect(submitted.map((s) => s.proposalId)).to.deep.equal(["1", "2"]);
+    expect(await nextBallotNonce(proposalVoting, alice.address)).to.equal(2n);
+  });
+
+  it("Should relay a voter's ballots in nonce order, each after the previous one is mined", async function () {
+    const [alice, bob] = voters;
+    await proposalVoting.createProposal("Second Proposal", 3600);
+    const ballots = [
+      await signBallot(alice, proposalVoting, { proposalId: 2, support: "against", nonce: 1 }),
+      await signBallot(bob, proposalVoting, { proposalId: 1, support: "for" }),
+      await signBallot(alice, proposalVoting, { proposalId: 1, support: "for", nonce: 0 })
+    ];
+
+    // As on a live network, transactions wait in the mempool until the next block
+    await network.provider.send("evm_setAutomine", [false]);
+    await network.provider.send("evm_setIntervalMining", [200]);
+    let result;
+    try {
+      result = await submitBallots(proposalVoting, ballots);
+    } finally {
+      await network.provider.send("evm_setIntervalMining", [0]);
+      await network.provider.send("evm_setAutomine", [true]);
+    }
+
+    expect(result.rejected).to.deep.equal([]);
+    expect(result.submitted).to.have.length(3);
+    expect((await proposalVoting.getProposal(2)).noVotes).to.equal(tokens(100));
+    expect(await proposalVoting.nonces(alice.address)).to.equal(2n);
+  });
+
+  it("Should keep ballots queued when their transaction can't be sent", async function () {
+    // Fails to send the first transaction, as a dropped connection to the node would
+    let failNext = true;
+    const voteBySig = Object.assign(async (...args) => {
+      if (failNext) {
+        failNext = false;
+        throw new Error("connection reset");
+      }
+      return proposalVoting.voteBySig(...args);
+    }, { staticCall: (...args) => proposalVoting.voteBySig.staticCall(...args) });
+    const server = createBallotServer({ interface: proposalVoting.interface, voteBySig }, { batchSize: 10 });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      await proposalVoting.createProposal("Second Proposal", 3600);
+      const ballots = [
+        await signBallot(voters[0], proposalVoting, { proposalId: 1, support: "for" }),
+        await signBallot(voters[1], proposalVoting, { proposalId: 1, support: "for" }),
+        await signBallot(voters[0], proposalVoting, { proposalId: 2, support: "for", nonce: 1 })
+      ];
+      await fetch(`${url}/ballots`, { method: "POST", body: JSON.stringify(ballots) });
+
+      let res = await fetch(`${url}/flush`, { method: "POST" });
+      let result = await res.json();
+      expect(result.submitted.map((s) => s.voter)).to.deep.equal([voters[1].address]);
+      expect(result.unsent).to.deep.equal([
+        { ballot: ballots[0], reason: "connection reset" },
+        { ballot: ballots[2], reason: "Waiting for an earlier ballot from the same voter" }
+      ]);
+
+      res = await fetch(`${url}/ballots`);
+      expect((await res.json()).pending).to.deep.equal([ballots[0], ballots[2]]);
+
+      res = await fetch(`${url}/flush`, { method: "POST" });
+      result = await res.json();
+      expect(result.submitted.map((s) => s.proposalId)).to.deep.equal(["1", "2"]);
+      expect(result.unsent).to.deep.equal([]);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    expect((await proposalVoting.getProposal(1)).yesVotes).to.equal(tokens(200));
+    expect((await proposalVoting.getProposal(2)).yesVotes).to.equal(tokens(100));
+  });
+
+  it("Should collect ballots over HTTP and relay them on flush", async function () {
+    const server = createBallotServer(proposalVoting, { batchSize: 10 });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const ballots = [
+        await signBallot(voters[0], proposalVoting, { proposalId: 1, support: "for" }),
+        await signBallot(voters[1], proposalVoting, { proposalId: 1, support: "abstain" })
+      ];
+
+      let res = await fetch(`${url}/ballots`, { method: "POST", body: JSON.stringify(ballots) });
+      expect(res.status).to.equal(202);
+      expect(await res.json()).to.deep.equal({ queued: 2, pending: 2 });
+
+      res = await fetch(`${url}/ballots`, { method: "POST", body: JSON.stringify({ proposalId: 1 }) });
+      expect(res.status).to.equal(400);
+
+      res = await fetch(`${url}/flush`, { method: "POST" });
+      const { submitted, rejected } = await res.json();
+      expect(submitted.length).to.equal(2);
+      expect(rejected).to.deep.equal([]);
+
+      res = await fetch(`${url}/ballots`);
+      expect((await res.json()).pending).to.deep.equal([]);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    const proposal = await proposalVoting.getProposal(1);
+    expect(proposal.yesVotes).to.equal(tokens(100));
+    expect(proposal.abstainVotes).to.equal(tokens(100));
+  });
+});
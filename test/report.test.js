@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildReport, renderReport } = require("../scripts/report");
+
+describe("Result Reports", function () {
+  let proposalVoting;
+  let owner;
+  let addr1;
+  let addr2;
+  let startBlock;
+
+  const tokens = (amount) => ethers.parseEther(amount.toString());
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const ProposalVoting = await ethers.getContractFactory("ProposalVoting");
+    proposalVoting = await ProposalVoting.deploy();
+    await proposalVoting.waitForDeployment();
+    startBlock = (await proposalVoting.deploymentTransaction().wait()).blockNumber;
+
+    // 12000 GOV in total: owner 10000, addr1 1500, addr2 500
+    await proposalVoting.mint(addr1.address, tokens(1500));
+    await proposalVoting.mint(addr2.address, tokens(500));
+    await proposalVoting.createProposal("Budget, Q3", 3600);
+    await proposalVoting.connect(addr1).voteWithReason(1, 1, 'Looks "fine"');
+    await proposalVoting.connect(addr2).voteWithReason(1, 0, "Too | expensive");
+  });
+
+  it("Should report the tally, threshold, turnout and voters of a proposal", async function () {
+    await time.increase(3601);
+    const report = await buildReport(proposalVoting, { proposalIds: [1], startBlock });
+    const latest = await ethers.provider.getBlock("latest");
+
+    expect(report.computedAt).to.deep.equal({
+      blockNumber: latest.number,
+      timestamp: new Date(latest.timestamp * 1000).toISOString()
+    });
+
+    const [proposal] = report.proposals;
+    expect(proposal.state).to.equal("Succeeded");
+    expect(proposal.tally).to.deep.equal({ for: "1500.0", against: "500.0", abstain: "0.0", total: "2000.0" });
+    expect(proposal.yesPercent).to.equal("75.00");
+    expect(proposal.votingThresholdPercent).to.equal("50.00");
+    expect(proposal.thresholdReached).to.equal(true);
+    expect(proposal.quorum).to.equal("480.0");
+    expect(proposal.quorumReached).to.equal(true);
+    expect(proposal.eligibleSupply).to.equal("12000.0");
+    expect(proposal.turnoutPercent).to.equal("16.66");
+    expect(proposal.voters.map((v) => [v.voter, v.support, v.weight])).to.deep.equal([
+      [addr1.address, "For", "1500.0"],
+      [addr2.address, "Against", "500.0"]
+    ]);
+  });
+
+  it("Should count tokens rather than weight towards the turnout of quadratic proposals", async function () {
+    await proposalVoting["createProposal(string,uint256,address[],uint256[],bytes[],uint8,uint256)"]("Quadratic", 3600, [], [], [], 1, 0);
+    await proposalVoting.connect(addr1).vote(2, true);
+    await proposalVoting.connect(addr2).vote(2, false);
+
+    const [proposal] = (await buildReport(proposalVoting, { proposalIds: [2], startBlock })).proposals;
+    expect(proposal.tally.total.startsWith("61.09")).to.equal(true);
+    expect(proposal.turnoutPercent).to.equal("16.66");
+  });
+
+  it("Should select proposals created in a block range", async function () {
+    const from = (await ethers.provider.getBlockNumber()) + 1;
+    await proposalVoting.createProposal("Second", 3600);
+    await proposalVoting.createProposal("Third", 3600);
+    const to = await ethers.provider.getBlockNumber();
+    await proposalVoting.createProposal("Fourth", 3600);
+
+    const report = await buildReport(proposalVoting, { fromBlock: from, toBlock: to, startBlock });
+    expect(report.proposals.map((p) => p.id)).to.deep.equal([2, 3]);
+    expect(report.proposals[0].yesPercent).to.equal("0.00");
+    expect(report.proposals[0].turnoutPercent).to.equal("0.00");
+
+    await expect(buildReport(proposalVoting, { proposalIds: [9], startBlock })).to.be.rejectedWith("Proposal 9 does not exist");
+  });
+
+  it("Should render CSV, JSON and Markdown", async function () {
+    const report = await buildReport(proposalVoting, { proposalIds: [1], startBlock });
+
+    const csv = renderReport(report, "csv").split("\n");
+    expect(csv[0]).to.match(/^proposalId,description,state,forGov/);
+    expect(csv[1]).to.match(/^1,"Budget, Q3",Active,1500.0,500.0,0.0,2000.0,75.00,50.00,true,480.0,true,16.66,\d+,/);
+    expect(csv[2]).to.equal("");
+    expect(csv[4]).to.equal(`1,${addr1.address},For,1500.0,"Looks ""fine""",${report.proposals[0].voters[0].blockNumber},${report.proposals[0].voters[0].transactionHash}`);
+
+    expect(JSON.parse(renderReport(report, "json"))).to.deep.equal(report);
+
+    const md = renderReport(report, "md");
+    expect(md).to.include(`computed at block ${report.computedAt.blockNumber} (${report.computedAt.timestamp})`);
+    expect(md).to.include("## Proposal #1: Budget, Q3");
+    expect(md).to.include("| 1500.0 GOV | 500.0 GOV | 0.0 GOV | 2000.0 GOV |");
+    expect(md).to.include("- Yes: 75.00% of For + Against (threshold 50.00%, reached)");
+    expect(md).to.include(`| \`${addr2.address}\` | Against | 500.0 GOV | Too \\| expensive |`);
+
+    expect(() => renderReport(report, "xml")).to.throw('Unknown format "xml"');
+  });
+});
@@ -0,0 +1,99 @@
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+  parseDuration,
+  formatDuration,
+  validateScenario,
+  loadScenario,
+  runScenario,
+  renderTimeline
+} = require("../scripts/scenario");
+
+const SCENARIOS_DIR = path.join(__dirname, "..", "scenarios");
+
+describe("Scenario Runner", function () {
+  it("Should parse and format durations", function () {
+    expect(parseDuration(90)).to.equal(90);
+    expect(parseDuration("90m")).to.equal(5400);
+    expect(parseDuration("2d")).to.equal(172800);
+    expect(() => parseDuration("1.5h")).to.throw('Invalid duration "1.5h"');
+
+    expect(formatDuration(5)).to.equal("5s");
+    expect(formatDuration(90061)).to.equal("1d 1h 1m 1s");
+  });
+
+  it("Should reject malformed scenarios with the offending step", function () {
+    expect(() => validateScenario({ accounts: {} })).to.throw("must be an object with a steps array");
+    expect(() => validateScenario({ accounts: { deployer: 5 }, steps: [] })).to.throw('"deployer" is reserved');
+    expect(() => validateScenario({ steps: [{ vote: {}, wait: 10 }] })).to.throw("Step 1 must have exactly one of");
+    expect(() => validateScenario({ steps: [{ wait: 10 }, { wait: "soon" }] })).to.throw('Step 2: Invalid duration "soon"');
+    expect(() => validateScenario({ steps: [{ expect: { proposal: 1, winner: "yes" } }] })).to.throw("unknown expectation(s) winner");
+
+    const { steps } = validateScenario({ steps: [{ queue: "upgrade" }, { wait: "1h" }] });
+    expect(steps).to.deep.equal([
+      { type: "queue", args: { proposal: "upgrade" }, reverts: undefined },
+      { type: "wait", args: { seconds: 3600 }, reverts: undefined }
+    ]);
+  });
+
+  it("Should run the bundled YAML and JSON scenarios to a pass", async function () {
+    for (const file of ["contentious-upgrade.yaml", "quorum-change.json"]) {
+      const result = await runScenario(hre, loadScenario(path.join(SCENARIOS_DIR, file)));
+      expect(result.passed, renderTimeline(result).join("\n")).to.equal(true);
+    }
+  });
+
+  it("Should create proposals with the given vote lock window", async function () {
+    const result = await runScenario(hre, validateScenario({
+      accounts: { alice: 500 },
+      steps: [
+        { propose: { name: "budget", by: "alice", period: "1h", lockWindow: "10m" } },
+        { vote: { proposal: "budget", by: "alice", support: "for" } },
+        { wait: "55m" },
+        { vote: { proposal: "budget", by: "alice", support: "against" }, reverts: "Votes are locked" }
+      ]
+    }));
+
+    expect(result.passed, renderTimeline(result).join("\n")).to.equal(true);
+  });
+
+  it("Should report failed expectations and keep going", async function () {
+    const result = await runScenario(hre, validateScenario({
+      name: "Wrong guess",
+      accounts: { alice: 500 },
+      steps: [
+        { propose: { name: "budget", by: "alice", period: "1h" } },
+        { vote: { proposal: "budget", by: "alice", support: "against" } },
+        { expect: { proposal: "budget", for: 500, against: 500 } },
+        { expect: { account: "alice", balance: 500, votingPower: 500 } }
+      ]
+    }));
+
+    expect(result.passed).to.equal(false);
+    expect(result.steps[2].expectations.map((e) => e.passed)).to.deep.equal([false, true]);
+    expect(result.steps[3].passed).to.equal(true);
+
+    const timeline = renderTimeline(result);
+    expect(timeline[0]).to.equal("🎬 Wrong guess");
+    expect(timeline.some((line) => line.endsWith("  ❌ #1 (budget) for votes: expected 500.0 GOV, got 0.0 GOV"))).to.equal(true);
+    expect(timeline.at(-1)).to.equal("❌ 1 of 4 expectations failed");
+  });
+
+  it("Should stop at an action that reverts unexpectedly and skip the rest", async function () {
+    const result = await runScenario(hre, validateScenario({
+      accounts: { alice: 500 },
+      steps: [
+        { propose: { name: "budget", by: "alice", period: "1h" } },
+        { queue: "budget" },
+        { wait: "1h" },
+        { expect: { proposal: "budget", state: "Defeated" } }
+      ]
+    }));
+
+    expect(result.passed).to.equal(false);
+    expect(result.steps[1]).to.include({ passed: false, error: "Voting period has not ended" });
+    expect(result.steps.slice(2).every((step) => step.skipped)).to.equal(true);
+    expect(renderTimeline(result).at(-1)).to.equal("❌ Stopped at a failed step (0 of 0 expectations failed), 2 step(s) skipped");
+  });
+});
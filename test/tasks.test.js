@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { ethers } = hre;
+
+describe("Governance Tasks", function () {
+  let proposalVoting;
+  let contract;
+  let owner;
+  let addr1;
+  let output;
+  let originalLog;
+
+  const tokens = (amount) => ethers.parseEther(amount.toString());
+
+  // Runs a task with its output captured instead of printed
+  const run = async (name, args) => {
+    output = [];
+    return hre.run(name, { contract, ...args });
+  };
+
+  before(function () {
+    originalLog = console.log;
+    console.log = (...args) => output.push(args.join(" "));
+  });
+
+  after(function () {
+    console.log = originalLog;
+  });
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+
+    const ProposalVoting = await ethers.getContractFactory("ProposalVoting");
+    proposalVoting = await ProposalVoting.deploy();
+    await proposalVoting.waitForDeployment();
+    contract = await proposalVoting.getAddress();
+  });
+
+  it("gov:mint and gov:balance should report GOV amounts", async function () {
+    await run("gov:mint", { to: addr1.address, amount: "250.5" });
+    expect(output.join("\n")).to.include("Minted 250.5 GOV");
+
+    const balance = await run("gov:balance", { account: addr1.address });
+    expect(balance).to.deep.equal({
+      account: addr1.address,
+      balance: tokens(250.5).toString(),
+      votingPower: tokens(250.5).toString(),
+      delegate: addr1.address
+    });
+    expect(output.join("\n")).to.include("Voting power: 250.5 GOV");
+  });
+
+  it("gov:propose, gov:vote and gov:status should follow a proposal", async function () {
+    const created = await run("gov:propose", { description: "Fund the audit", period: 3600 });
+    expect(created.proposalId).to.equal(1);
+
+    await run("gov:vote", { id: 1, support: "for", reason: "Needed" });
+    expect(output.join("\n")).to.include("voted For on proposal #1 with 10000.0 GOV");
+    await run("gov:vote", { id: 1, support: "against" });
+    expect(output.join("\n")).to.include("changed their vote to Against on proposal #1");
+    await run("gov:vote", { id: 1, support: "for" });
+
+    const status = await run("gov:status", { id: 1 });
+    expect(status.state).to.equal("Active");
+    expect(status.status).to.equal("Active");
+    expect(status.yesVotes).to.equal(tokens(10000).toString());
+    expect(status.quorumReached).to.equal(true);
+    expect(output.join("\n")).to.include("State:     Active");
+  });
+
+  it("gov:propose --quadratic and gov:vote --tokens should use the quadratic mode", async function () {
+    await run("gov:propose", { description: "Fairer vote", period: 3600, quadratic: true });
+    await run("gov:vote", { id: 1, support: "for", tokens: "400" });
+    expect(output.join("\n")).to.include("with 20.0 GOV");
+
+    const status = await run("gov:status", { id: 1 });
+    expect(status.votingMode).to.equal("Quadratic");
+    expect(status.votedTokens).to.equal(tokens(400).toString());
+    expect(output.join("\n")).to.include("Mode:      quadratic (400.0 GOV voted)");
+  });
+
+  it("gov:propose --lock-window should freeze votes in the proposal's final window", async function () {
+    await run("gov:propose", { description: "Locked", period: 3600, lockWindow: 600 });
+
+    const status = await run("gov:status", { id: 1 });
+    expect(status.votingMode).to.equal("Linear");
+    expect(status.params.voteLockWindow).to.equal(600);
+    expect(output.join("\n")).to.include("Locked:    votes can't change in the last 600s");
+  });
+
+  it("gov:status should print JSON with --json", async function () {
+    await run("gov:propose", { description: "JSON please", period: 3600 });
+    await run("gov:status", { id: 1, json: true });
+
+    const parsed = JSON.parse(output.join("\n"));
+    expect(parsed.id).to.equal(1);
+    expect(parsed.description).to.equal("JSON please");
+    expect(parsed.state).to.equal("Active");
+  });
+
+  it("gov:execute should queue, then execute a passed proposal", async function () {
+    await run("gov:propose", { description: "Ship it", period: 3600 });
+    await run("gov:vote", { id: 1, support: "for" });
+    await time.increase(3601);
+
+    const queued = await run("gov:execute", { id: 1 });
+    expect(queued.action).to.equal("queued");
+    expect(queued.state).to.equal("Queued");
+
+    await expect(run("gov:execute", { id: 1 })).to.be.rejectedWith("is timelocked until");
+
+    await time.increase(await proposalVoting.timelockDelay());
+    const executed = await run("gov:execute", { id: 1 });
+    expect(executed.action).to.equal("executed");
+    expect(executed.state).to.equal("Executed");
+
+    await expect(run("gov:execute", { id: 1 })).to.be.rejectedWith("is Executed; nothing to execute");
+  });
+
+  it("gov:execute should finalize a defeated proposal", async function () {
+    await run("gov:propose", { description: "Nobody cares", period: 3600 });
+    await time.increase(3601);
+
+    const result = await run("gov:execute", { id: 1 });
+    expect(result.action).to.equal("finalized");
+    expect((await proposalVoting.getProposal(1)).status).to.equal(6);
+  });
+
+  it("gov:list should filter by state", async function () {
+    await run("gov:propose", { description: "First", period: 3600 });
+    await run("gov:propose", { description: "Second", period: 3600 });
+    await proposalVoting.cancelProposal(2);
+
+    const all = await run("gov:list", {});
+    expect(all.map((p) => p.id)).to.deep.equal([1, 2]);
+
+    const canceled = await run("gov:list", { state: "canceled" });
+    expect(canceled.map((p) => p.description)).to.deep.equal(["Second"]);
+    expect(output.join("\n")).to.include("#2  Canceled");
+  });
+});
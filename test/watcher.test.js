@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createWatcher } = require("../scripts/watcher");
+
+describe("Deadline Watcher", function () {
+  let proposalVoting;
+  let addr1;
+  let startBlock;
+  let file;
+  let receiver;
+  let webhook;
+  let received;
+  let failNext;
+
+  const votingPeriod = 2 * 24 * 60 * 60;
+  const tokens = (amount) => ethers.parseEther(amount.toString());
+
+  beforeEach(async function () {
+    [, addr1] = await ethers.getSigners();
+
+    const ProposalVoting = await ethers.getContractFactory("ProposalVoting");
+    proposalVoting = await ProposalVoting.deploy();
+    await proposalVoting.waitForDeployment();
+    startBlock = (await proposalVoting.deploymentTransaction().wait()).blockNumber;
+    await proposalVoting.mint(addr1.address, tokens(1000));
+
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "watcher-")), "watcher.json");
+
+    // Mock webhook receiver: records each JSON body, or answers 500 while failNext > 0
+    received = [];
+    failNext = 0;
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        if (failNext > 0) {
+          failNext--;
+          res.writeHead(500).end();
+          return;
+        }
+        received.push(JSON.parse(body));
+        res.writeHead(204).end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    webhook = `http://127.0.0.1:${receiver.address().port}/hook`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => receiver.close(resolve));
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  it("Should post new proposals, reminders and missed deadlines once each, across restarts", async function () {
+    const watch = () => createWatcher(proposalVoting, { file, startBlock, webhooks: [webhook] });
+
+    await proposalVoting.connect(addr1).createProposal("Fund the audit", votingPeriod);
+    const { deadline } = await proposalVoting.getProposal(1);
+    await proposalVoting.connect(addr1).vote(1, true);
+
+    let watcher = await watch();
+    await watcher.poll();
+    expect(received.map((n) => n.type)).to.deep.equal(["proposal-created"]);
+    expect(received[0]).to.include({ proposalId: 1, description: "Fund the audit", deadline: Number(deadline) });
+
+    // 23.5 hours before the deadline
+    await time.increaseTo(deadline - 23n * 3600n - 1800n);
+    await watcher.poll();
+    await watcher.poll();
+    expect(received.map((n) => n.type)).to.deep.equal(["proposal-created", "deadline-reminder"]);
+    expect(received[1]).to.include({ hoursLeft: 24, voterCount: 1 });
+    expect(received[1].message).to.equal('24 hours left to vote on proposal #1: "Fund the audit" (1 voter so far)');
+
+    // A restarted watcher picks up where the last one stopped
+    await time.increaseTo(deadline - 1800n);
+    watcher = await watch();
+    await watcher.poll();
+    expect(received.at(-1)).to.include({ type: "deadline-reminder", hoursLeft: 1 });
+
+    await time.increaseTo(deadline + 1n);
+    watcher = await watch();
+    await watcher.poll();
+    await watcher.poll();
+    expect(received.map((n) => n.type)).to.deep.equal([
+      "proposal-created", "deadline-reminder", "deadline-reminder", "deadline-passed"
+    ]);
+    expect(received[3]).to.include({ state: "Succeeded" });
+    expect(received[3].message).to.match(/^Proposal #1 "Fund the audit" reached its deadline on .* but was never executed \(Succeeded\)$/);
+  });
+
+  it("Should retry failed deliveries without repeating successful ones", async function () {
+    const printed = [];
+    const watcher = await createWatcher(proposalVoting, {
+      file,
+      startBlock,
+      webhooks: [webhook, `${webhook}?second`],
+      write: (line) => printed.push(line)
+    });
+
+    await proposalVoting.connect(addr1).createProposal("Rename the token", votingPeriod);
+    failNext = 1;
+    const first = await watcher.poll();
+    expect(first.failed).to.equal(1);
+    expect(received).to.have.length(1);
+
+    const second = await watcher.poll();
+    expect(second.failed).to.equal(0);
+    expect(received.map((n) => n.key)).to.deep.equal(["proposal-created:1", "proposal-created:1"]);
+    expect(JSON.parse(fs.readFileSync(file, "utf8")).sent["proposal-created:1"]).to.have.length(2);
+    expect(printed).to.deep.equal([]);
+  });
+
+  it("Should print to stdout and skip executed and canceled proposals", async function () {
+    const printed = [];
+    const watcher = await createWatcher(proposalVoting, { startBlock, reminderHours: [1], write: (line) => printed.push(line) });
+
+    await proposalVoting.connect(addr1).createProposal("Executed", 3600);
+    await proposalVoting.connect(addr1).createProposal("Canceled", 3600);
+    await proposalVoting.connect(addr1).cancelProposal(2);
+    await proposalVoting.connect(addr1).createProposal("Late start", 3600);
+    await time.increase(1800);
+
+    // Half an hour in, only the 1 hour reminder is left for the live proposals
+    const { sent } = await watcher.poll();
+    expect(sent.map((n) => [n.type, n.proposalId])).to.deep.equal([
+      ["proposal-created", 1], ["deadline-reminder", 1], ["proposal-created", 3], ["deadline-reminder", 3]
+    ]);
+    expect(printed[0]).to.match(/^🔔 New proposal #1: "Executed", voting ends /);
+
+    await time.increase(3600);
+    await proposalVoting.executeProposal(1);
+    const after = await watcher.poll();
+    expect(after.sent.map((n) => [n.type, n.proposalId])).to.deep.equal([["deadline-passed", 3]]);
+    expect(printed.at(-1)).to.match(/never executed \(Defeated\)$/);
+  });
+
+  it("Should ignore proposals created before the start block", async function () {
+    const printed = [];
+    await proposalVoting.connect(addr1).createProposal("Before", 3600);
+    const watcher = await createWatcher(proposalVoting, {
+      startBlock: await ethers.provider.getBlockNumber() + 1,
+      write: (line) => printed.push(line)
+    });
+
+    await proposalVoting.connect(addr1).vote(1, true);
+    await proposalVoting.connect(addr1).createProposal("After", 3600);
+    await time.increase(3601);
+    await proposalVoting.queueProposal(1);
+    await time.increase(await proposalVoting.timelockDelay());
+    await proposalVoting.executeProposal(1);
+
+    const { sent } = await watcher.poll();
+    expect(sent.map((n) => [n.type, n.proposalId])).to.deep.equal([["deadline-passed", 2]]);
+  });
+});